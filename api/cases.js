@@ -0,0 +1,94 @@
+/**
+ * Support Cases API Endpoint
+ * 
+ * Look up support cases with their full timeline:
+ * - GET ?id=<caseId> | ?threadId=<gmailThreadId> | ?customer=<email>
+ * - POST { id, state, note? } to move a case to a new state (e.g. "resolved")
+ */
+
+import { MCPClientManager } from '../lib/mcp-client.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { CaseManager, CASE_STATES } from '../lib/case-manager.js';
+import { isAuthorizedAdmin } from '../lib/admin-auth.js';
+import { createLogger } from '../lib/logger.js';
+import config from '../config/agent-config.json' assert { type: 'json' };
+
+const logger = createLogger('cases');
+
+let mcpClient, caseManager;
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorizedAdmin(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Initialize services if not already done
+    if (!mcpClient) {
+      await initializeServices();
+    }
+
+    if (req.method === 'GET') {
+      const { id, threadId, customer } = req.query;
+      
+      if (!id && !threadId && !customer) {
+        return res.status(400).json({ error: 'One of id, threadId or customer is required' });
+      }
+      
+      const cases = await caseManager.findCases({
+        caseId: id,
+        threadId,
+        customerEmail: customer
+      });
+      
+      if ((id || threadId) && cases.length === 0) {
+        return res.status(404).json({ error: 'Case not found' });
+      }
+      
+      return res.status(200).json({ count: cases.length, cases });
+      
+    } else if (req.method === 'POST') {
+      const { id, state, note } = req.body || {};
+      
+      if (!id || !state) {
+        return res.status(400).json({ error: 'Missing required fields: id, state' });
+      }
+      
+      if (!CASE_STATES.includes(state)) {
+        return res.status(400).json({ error: `Unknown state: ${state}`, states: CASE_STATES });
+      }
+      
+      const updated = await caseManager.setState(id, state, { note });
+      if (!updated) {
+        return res.status(404).json({ error: 'Case not found' });
+      }
+      
+      return res.status(200).json({ success: true, case: updated });
+      
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+  } catch (error) {
+    logger.error('❌ Cases endpoint error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Initialize required services
+ */
+async function initializeServices() {
+  logger.info('🚀 Initializing case services...');
+  
+  mcpClient = new MCPClientManager(config);
+  await mcpClient.initialize();
+  
+  const supabase = new SupabaseOperations(mcpClient);
+  caseManager = new CaseManager({ config, supabase });
+  
+  logger.info('✅ Case services initialized');
+}
@@ -13,6 +13,9 @@ import config from '../config/agent-config.json' assert { type: 'json' };
 
 const logger = createLogger('daily-report');
 
+// Initialize services
+let mcpClient, gmail, supabase;
+
 export default async function handler(req, res) {
   try {
     if (req.method === 'POST') {
@@ -65,6 +68,10 @@ async function generateDailyReport(date, sendEmail = true) {
     // Get activity data
     const activityData = await supabase.getDailyActivity(date);
     const systemHealth = await mcpClient.healthCheck();
+    const responseTimes = await supabase.getResponseTimeStats(date);
+    const slaSummary = await supabase.getSlaSummary(date);
+    const promptVersionStats = await supabase.getPromptVersionStats(date);
+    const llmUsageStats = await supabase.getLlmUsageStats(date);
     
     // Build report sections
     const report = {
@@ -72,7 +79,10 @@ async function generateDailyReport(date, sendEmail = true) {
       summary: buildSummarySection(activityData),
       details: buildDetailsSection(activityData),
       systemStatus: buildSystemSection(systemHealth),
-      metrics: buildMetricsSection(activityData)
+      metrics: buildMetricsSection(activityData, responseTimes),
+      sla: buildSlaSection(slaSummary),
+      promptVersions: buildPromptVersionSection(promptVersionStats),
+      llmUsage: buildLlmUsageSection(llmUsageStats)
     };
     
     // Send email report if requested
@@ -93,11 +103,11 @@ async function generateDailyReport(date, sendEmail = true) {
  * Initialize services for report generation
  */
 async function initializeServices() {
-  const mcpClient = new MCPClientManager(config);
+  mcpClient = new MCPClientManager(config);
   await mcpClient.initialize();
   
-  const gmail = new GmailOperations(mcpClient);
-  const supabase = new SupabaseOperations(mcpClient);
+  gmail = new GmailOperations(mcpClient);
+  supabase = new SupabaseOperations(mcpClient);
 }
 
 /**
@@ -156,7 +166,7 @@ function buildSystemSection(systemHealth) {
 /**
  * Build metrics section
  */
-function buildMetricsSection(activityData) {
+function buildMetricsSection(activityData, responseTimes = {}) {
   const emailsProcessed = activityData.find(a => a.activity_type === 'emails_processed')?.count || 0;
   const escalated = activityData.find(a => a.activity_type === 'escalated')?.count || 0;
   
@@ -164,11 +174,114 @@ function buildMetricsSection(activityData) {
     automationSuccessRate: emailsProcessed > 0 
       ? ((emailsProcessed - escalated) / emailsProcessed * 100).toFixed(1)
       : '100',
-    averageResponseTime: 'N/A', // Could be calculated if timing data is stored
+    averageResponseTime: formatDuration(responseTimes.avg_seconds),
+    p90ResponseTime: formatDuration(responseTimes.p90_seconds),
+    responsesSent: Number(responseTimes.responses || 0),
     customerSatisfaction: 'N/A'  // Could be calculated from follow-up emails
   };
 }
 
+/**
+ * Build SLA section (cases handed to a human that day, per priority)
+ */
+function buildSlaSection(slaSummary) {
+  const byPriority = {};
+  const totals = { total: 0, firstResponseMet: 0, firstResponseBreached: 0, resolutionBreached: 0 };
+  
+  slaSummary.forEach(row => {
+    const entry = {
+      total: Number(row.total || 0),
+      firstResponseMet: Number(row.first_response_met || 0),
+      firstResponseBreached: Number(row.first_response_breached || 0),
+      resolutionBreached: Number(row.resolution_breached || 0),
+      averageHumanResponseTime: formatDuration(row.avg_human_response_seconds)
+    };
+    
+    byPriority[row.sla_priority || 'medium'] = entry;
+    totals.total += entry.total;
+    totals.firstResponseMet += entry.firstResponseMet;
+    totals.firstResponseBreached += entry.firstResponseBreached;
+    totals.resolutionBreached += entry.resolutionBreached;
+  });
+  
+  return {
+    ...totals,
+    complianceRate: totals.total > 0
+      ? ((totals.total - totals.firstResponseBreached) / totals.total * 100).toFixed(1)
+      : '100',
+    byPriority
+  };
+}
+
+/**
+ * Build prompt experiment section (outcomes per prompt version)
+ */
+function buildPromptVersionSection(promptVersionStats) {
+  return promptVersionStats.map(row => {
+    const handled = Number(row.handled || 0);
+    const escalated = Number(row.escalated || 0);
+    const total = handled + escalated;
+    
+    return {
+      version: row.prompt_version,
+      emails: total,
+      escalated,
+      escalationRate: total > 0 ? (escalated / total * 100).toFixed(1) : '0.0',
+      approvalsRequested: Number(row.approvals_requested || 0),
+      approvalsRejected: Number(row.approvals_rejected || 0),
+      parseFailures: Number(row.parse_failures || 0)
+    };
+  });
+}
+
+/**
+ * Build LLM usage section (totals and per-outcome averages)
+ */
+function buildLlmUsageSection(llmUsageStats) {
+  const totals = { emails: 0, calls: 0, retries: 0, tokens: 0, costUsd: 0 };
+  
+  const byAction = llmUsageStats.map(row => {
+    const emails = Number(row.emails || 0);
+    const tokens = Number(row.prompt_tokens || 0) + Number(row.completion_tokens || 0);
+    const costUsd = Number(row.cost_usd || 0);
+    
+    totals.emails += emails;
+    totals.calls += Number(row.calls || 0);
+    totals.retries += Number(row.retries || 0);
+    totals.tokens += tokens;
+    totals.costUsd += costUsd;
+    
+    return {
+      action: row.action || 'unknown',
+      emails,
+      averageTokens: emails > 0 ? Math.round(tokens / emails) : 0,
+      averageCostUsd: emails > 0 ? (costUsd / emails).toFixed(4) : '0.0000',
+      averageLatency: formatDuration(row.avg_latency_ms === null || row.avg_latency_ms === undefined ? null : Number(row.avg_latency_ms) / 1000)
+    };
+  });
+  
+  return {
+    ...totals,
+    costUsd: totals.costUsd.toFixed(4),
+    averageCostUsd: totals.emails > 0 ? (totals.costUsd / totals.emails).toFixed(4) : '0.0000',
+    byAction
+  };
+}
+
+/**
+ * Format a number of seconds for the report
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || Number.isNaN(Number(seconds))) {
+    return 'N/A';
+  }
+  
+  const value = Number(seconds);
+  if (value < 60) return `${Math.round(value)}s`;
+  if (value < 3600) return `${(value / 60).toFixed(1)} min`;
+  return `${(value / 3600).toFixed(1)} h`;
+}
+
 /**
  * Send report via email
  */
@@ -219,9 +332,35 @@ Services:
 METRICS
 =======
 Automation Success: ${report.metrics.automationSuccessRate}%
-Average Response Time: ${report.metrics.averageResponseTime}
+Average Response Time: ${report.metrics.averageResponseTime} (p90 ${report.metrics.p90ResponseTime}, ${report.metrics.responsesSent} replies)
 Customer Satisfaction: ${report.metrics.customerSatisfaction}
 
+SLA
+===
+Cases Handed to a Human: ${report.sla.total}
+First Response Compliance: ${report.sla.complianceRate}%
+First Response Breaches: ${report.sla.firstResponseBreached}
+Resolution Breaches: ${report.sla.resolutionBreached}
+${Object.entries(report.sla.byPriority).map(([priority, entry]) =>
+  `- ${priority}: ${entry.total} cases, ${entry.firstResponseBreached} first-response breaches, avg human response ${entry.averageHumanResponseTime}`
+).join('\n')}
+
+LLM USAGE
+=========
+Emails: ${report.llmUsage.emails} (${report.llmUsage.calls} model calls, ${report.llmUsage.retries} retries)
+Tokens: ${report.llmUsage.tokens}
+Estimated Cost: $${report.llmUsage.costUsd} ($${report.llmUsage.averageCostUsd} per email)
+${report.llmUsage.byAction.map(entry =>
+  `- ${entry.action}: ${entry.emails} emails, avg ${entry.averageTokens} tokens, $${entry.averageCostUsd}, ${entry.averageLatency} model time`
+).join('\n')}
+
+PROMPT VERSIONS
+===============
+${report.promptVersions.length ? report.promptVersions.map(entry =>
+  `- ${entry.version}: ${entry.emails} emails, ${entry.escalationRate}% escalated, ` +
+  `${entry.approvalsRejected}/${entry.approvalsRequested} approvals rejected, ${entry.parseFailures} parse failures`
+).join('\n') : 'No activity'}
+
 DETAILED ACTIVITY
 ================
 ${report.details.map(detail => 
@@ -0,0 +1,89 @@
+/**
+ * Email Jobs API Endpoint
+ * 
+ * Inspect the retry queue and re-drive dead-lettered emails:
+ * - GET: list jobs (?status=dead|pending|processing|completed) or fetch one (?id=<messageId>)
+ * - POST: { messageId, action: "redrive" } - move a dead-lettered email back to the queue
+ */
+
+import { MCPClientManager } from '../lib/mcp-client.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { RetryQueue } from '../lib/retry-queue.js';
+import { isAuthorizedAdmin } from '../lib/admin-auth.js';
+import { createLogger } from '../lib/logger.js';
+import config from '../config/agent-config.json' assert { type: 'json' };
+
+const logger = createLogger('email-jobs');
+
+let mcpClient, retryQueue;
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorizedAdmin(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Initialize services if not already done
+    if (!mcpClient) {
+      await initializeServices();
+    }
+
+    if (req.method === 'GET') {
+      const { id, status = 'dead', limit } = req.query;
+      
+      if (id) {
+        const job = await retryQueue.get(id);
+        if (!job) {
+          return res.status(404).json({ error: 'Email job not found' });
+        }
+        return res.status(200).json({ job });
+      }
+      
+      const jobs = await retryQueue.list(status, parseInt(limit) || 50);
+      return res.status(200).json({ status, count: jobs.length, jobs });
+      
+    } else if (req.method === 'POST') {
+      const { messageId, action } = req.body || {};
+      
+      if (!messageId || !action) {
+        return res.status(400).json({ error: 'Missing required fields: messageId, action' });
+      }
+      
+      if (action !== 'redrive') {
+        return res.status(400).json({ error: `Unknown action: ${action}` });
+      }
+      
+      const job = await retryQueue.redrive(messageId);
+      if (!job) {
+        return res.status(409).json({ success: false, error: 'Job not found or not dead-lettered' });
+      }
+      
+      return res.status(200).json({ success: true, job });
+      
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+  } catch (error) {
+    logger.error('❌ Email jobs endpoint error:', error);
+    return res.status(500).json({
+      error: 'Email job request failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Initialize required services
+ */
+async function initializeServices() {
+  logger.info('🚀 Initializing email job services...');
+  
+  mcpClient = new MCPClientManager(config);
+  await mcpClient.initialize();
+  
+  const supabase = new SupabaseOperations(mcpClient);
+  retryQueue = new RetryQueue({ config, supabase });
+  
+  logger.info('✅ Email job services initialized');
+}
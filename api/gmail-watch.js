@@ -0,0 +1,74 @@
+/**
+ * Gmail Watch API Endpoint
+ * 
+ * Keeps the Gmail push watch alive from serverless deployments:
+ * - GET: renew the watch if it is close to expiry (used by Vercel cron)
+ * - POST: force renewal ({ "force": true }) or check status ({ "force": false })
+ */
+
+import { MCPClientManager } from '../lib/mcp-client.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { GmailWatchManager } from '../lib/watch-manager.js';
+import { sendAdminAlert } from '../lib/admin-alerts.js';
+import { isAuthorizedAdmin, isAuthorizedCron } from '../lib/admin-auth.js';
+import { createLogger } from '../lib/logger.js';
+import config from '../config/agent-config.json' assert { type: 'json' };
+
+const logger = createLogger('gmail-watch');
+
+let mcpClient, watchManager;
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorizedAdmin(req) && !isAuthorizedCron(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Initialize services if not already done
+    if (!mcpClient) {
+      await initializeServices();
+    }
+
+    if (req.method === 'GET') {
+      const status = await watchManager.ensureWatch();
+      return res.status(200).json({ gmailWatch: status });
+      
+    } else if (req.method === 'POST') {
+      const { force = true } = req.body || {};
+      const status = await watchManager.ensureWatch({ force });
+      return res.status(200).json({ gmailWatch: status });
+      
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+  } catch (error) {
+    logger.error('❌ Gmail watch endpoint error:', error);
+    return res.status(500).json({
+      error: 'Gmail watch renewal failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Initialize required services
+ */
+async function initializeServices() {
+  logger.info('🚀 Initializing Gmail watch services...');
+  
+  mcpClient = new MCPClientManager(config);
+  await mcpClient.initialize();
+  
+  const gmail = new GmailOperations(mcpClient);
+  const supabase = new SupabaseOperations(mcpClient);
+  watchManager = new GmailWatchManager({
+    config,
+    gmail,
+    supabase,
+    alertAdmin: (message, severity) => sendAdminAlert(gmail, config, message, severity)
+  });
+  
+  logger.info('✅ Gmail watch services initialized');
+}
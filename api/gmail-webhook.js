@@ -88,7 +88,7 @@ export default async function handler(req, res) {
 
     // Initialize agent and process emails
     const agent = await ensureAgentInitialized();
-    const processed = await agent.processEmailsOnDemand();
+    const processed = await agent.processEmailsOnDemand(notification.historyId, { startedAt: startTime });
     
     const processingTime = Date.now() - startTime;
     
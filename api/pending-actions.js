@@ -0,0 +1,124 @@
+/**
+ * Pending Actions API Endpoint
+ * 
+ * Human approval queue for agent actions:
+ * - GET: list pending actions (?status=pending) or fetch one (?id=...)
+ * - POST: review an action
+ *   { id, decision: "approve" }                       - execute as drafted
+ *   { id, decision: "edit", response, amount? }       - execute with edited reply
+ *   { id, decision: "reject", reason? }               - discard
+ * `amount` overrides a refund's amount, in cents. A failed action can be
+ * approved again; a refund or cancellation that went through isn't repeated.
+ */
+
+import { MCPClientManager } from '../lib/mcp-client.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { StripeOperations } from '../lib/stripe.js';
+import { ApprovalQueue } from '../lib/approval-queue.js';
+import { isAuthorizedAdmin } from '../lib/admin-auth.js';
+import { createLogger } from '../lib/logger.js';
+import config from '../config/agent-config.json' assert { type: 'json' };
+
+const logger = createLogger('pending-actions');
+
+let mcpClient, supabase, approvalQueue;
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorizedAdmin(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Initialize services if not already done
+    if (!mcpClient) {
+      await initializeServices();
+    }
+
+    if (req.method === 'GET') {
+      const { id, status = 'pending', limit } = req.query;
+      
+      if (id) {
+        const action = await supabase.getPendingAction(id);
+        if (!action) {
+          return res.status(404).json({ error: 'Pending action not found' });
+        }
+        return res.status(200).json({ action });
+      }
+      
+      const actions = await supabase.listPendingActions(status, parseInt(limit) || 50);
+      return res.status(200).json({ status, count: actions.length, actions });
+      
+    } else if (req.method === 'POST') {
+      const { id, decision, response, amount, reason, reviewedBy } = req.body || {};
+      
+      if (!id || !decision) {
+        return res.status(400).json({ error: 'Missing required fields: id, decision' });
+      }
+      
+      let result;
+      switch (decision) {
+        case 'approve':
+          if (amount !== undefined && amount !== null) {
+            return res.status(400).json({ error: 'An amount can only be changed with decision "edit" and a response that quotes it' });
+          }
+          result = await approvalQueue.approve(id, { reviewedBy });
+          break;
+          
+        case 'edit':
+          if (!response) {
+            return res.status(400).json({ error: 'Edited response required for decision "edit"' });
+          }
+          if (amount !== undefined && amount !== null) {
+            const action = await supabase.getPendingAction(id);
+            if (!action) {
+              return res.status(404).json({ error: 'Pending action not found' });
+            }
+
+            const amountError = approvalQueue.checkAmountOverride(action, amount, response);
+            if (amountError) {
+              return res.status(400).json({ error: amountError });
+            }
+          }
+          result = await approvalQueue.approve(id, { response, amount, reviewedBy });
+          break;
+          
+        case 'reject':
+          result = await approvalQueue.reject(id, { reason, reviewedBy });
+          break;
+          
+        default:
+          return res.status(400).json({ error: `Unknown decision: ${decision}` });
+      }
+      
+      return res.status(result.success ? 200 : 409).json(result);
+      
+    } else {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+  } catch (error) {
+    logger.error('❌ Pending actions endpoint error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Initialize required services
+ */
+async function initializeServices() {
+  logger.info('🚀 Initializing approval queue services...');
+  
+  mcpClient = new MCPClientManager(config);
+  await mcpClient.initialize();
+  
+  const gmail = new GmailOperations(mcpClient);
+  const stripe = new StripeOperations(mcpClient);
+  supabase = new SupabaseOperations(mcpClient);
+  approvalQueue = new ApprovalQueue({ config, gmail, supabase, stripe });
+  
+  logger.info('✅ Approval queue services initialized');
+}
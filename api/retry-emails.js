@@ -0,0 +1,80 @@
+/**
+ * Retry Emails API Endpoint
+ * 
+ * Runs the emails in the retry queue whose backoff has elapsed
+ * (used by Vercel cron; admins can trigger it too)
+ */
+
+import { MCPClientManager } from '../lib/mcp-client.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { StripeOperations } from '../lib/stripe.js';
+import { AIOperations } from '../lib/ai.js';
+import { BusinessRulesEngine } from '../lib/business-rules.js';
+import { KnowledgeBase } from '../lib/knowledge-base.js';
+import { EmailProcessor } from '../lib/email-processor.js';
+import { isAuthorizedAdmin, isAuthorizedCron } from '../lib/admin-auth.js';
+import { createLogger } from '../lib/logger.js';
+import config from '../config/agent-config.json' assert { type: 'json' };
+
+const logger = createLogger('retry-emails');
+
+let mcpClient, processor;
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!isAuthorizedAdmin(req) && !isAuthorizedCron(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const processing = config.processing || {};
+    const deadline = startTime +
+      ((processing.functionTimeoutSeconds ?? 60) - (processing.deadlineMarginSeconds ?? 5)) * 1000;
+
+    // Initialize services if not already done
+    if (!mcpClient) {
+      await initializeServices();
+    }
+
+    const summary = await processor.processRetries(undefined, { deadline });
+    return res.status(200).json({ success: true, ...summary });
+    
+  } catch (error) {
+    logger.error('❌ Retry endpoint error:', error);
+    return res.status(500).json({
+      error: 'Email retry run failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Initialize required services
+ */
+async function initializeServices() {
+  logger.info('🚀 Initializing email retry services...');
+  
+  mcpClient = new MCPClientManager(config);
+  await mcpClient.initialize();
+  
+  const businessRules = new BusinessRulesEngine(config);
+  businessRules.validateConfig();
+  
+  processor = new EmailProcessor({
+    config,
+    gmail: new GmailOperations(mcpClient),
+    supabase: new SupabaseOperations(mcpClient),
+    stripe: new StripeOperations(mcpClient),
+    ai: new AIOperations(config),
+    businessRules,
+    knowledgeBase: new KnowledgeBase(config)
+  });
+  
+  logger.info('✅ Email retry services initialized');
+}
@@ -0,0 +1,70 @@
+/**
+ * SLA Check API Endpoint
+ * 
+ * Checks cases waiting on a human against their SLA deadlines:
+ * - Stops the clock when a human has replied in the thread
+ * - Alerts the admin before and after a deadline is breached
+ * 
+ * GET runs the check (used by Vercel cron)
+ */
+
+import { MCPClientManager } from '../lib/mcp-client.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { SlaMonitor } from '../lib/sla-monitor.js';
+import { sendAdminAlert } from '../lib/admin-alerts.js';
+import { isAuthorizedAdmin, isAuthorizedCron } from '../lib/admin-auth.js';
+import { createLogger } from '../lib/logger.js';
+import config from '../config/agent-config.json' assert { type: 'json' };
+
+const logger = createLogger('sla-check');
+
+let mcpClient, slaMonitor;
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorizedAdmin(req) && !isAuthorizedCron(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Initialize services if not already done
+    if (!mcpClient) {
+      await initializeServices();
+    }
+
+    const summary = await slaMonitor.checkOpenCases();
+    return res.status(200).json({ success: true, ...summary });
+    
+  } catch (error) {
+    logger.error('❌ SLA check endpoint error:', error);
+    return res.status(500).json({
+      error: 'SLA check failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Initialize required services
+ */
+async function initializeServices() {
+  logger.info('🚀 Initializing SLA check services...');
+  
+  mcpClient = new MCPClientManager(config);
+  await mcpClient.initialize();
+  
+  const gmail = new GmailOperations(mcpClient);
+  const supabase = new SupabaseOperations(mcpClient);
+  slaMonitor = new SlaMonitor({
+    config,
+    gmail,
+    supabase,
+    alertAdmin: (message, severity) => sendAdminAlert(gmail, config, message, severity)
+  });
+  
+  logger.info('✅ SLA check services initialized');
+}
@@ -14,6 +14,11 @@ import { StripeOperations } from './lib/stripe.js';
 import { AIOperations } from './lib/ai.js';
 import { BusinessRulesEngine } from './lib/business-rules.js';
 import { KnowledgeBase } from './lib/knowledge-base.js';
+import { EmailProcessor } from './lib/email-processor.js';
+import { GmailWatchManager } from './lib/watch-manager.js';
+import { SlaMonitor } from './lib/sla-monitor.js';
+import { batchOptions, processBatch } from './lib/batch-runner.js';
+import { sendAdminAlert } from './lib/admin-alerts.js';
 import { createLogger } from './lib/logger.js';
 import { readFileSync } from 'fs';
 const config = JSON.parse(readFileSync(new URL('./config/agent-config.json', import.meta.url), 'utf8'));
@@ -32,6 +37,9 @@ class KomplierAgent {
     this.ai = null;
     this.businessRules = null;
     this.knowledgeBase = null;
+    this.processor = null;
+    this.watchManager = null;
+    this.slaMonitor = null;
     this.isRunning = false;
     this.lastProcessedTime = new Date();
   }
@@ -54,6 +62,29 @@ class KomplierAgent {
       this.ai = new AIOperations(config);
       this.businessRules = new BusinessRulesEngine(config);
       this.knowledgeBase = new KnowledgeBase(config);
+      this.processor = new EmailProcessor({
+        config,
+        gmail: this.gmail,
+        supabase: this.supabase,
+        stripe: this.stripe,
+        ai: this.ai,
+        businessRules: this.businessRules,
+        knowledgeBase: this.knowledgeBase
+      });
+      
+      this.watchManager = new GmailWatchManager({
+        config,
+        gmail: this.gmail,
+        supabase: this.supabase,
+        alertAdmin: this.alertAdmin.bind(this)
+      });
+      
+      this.slaMonitor = new SlaMonitor({
+        config,
+        gmail: this.gmail,
+        supabase: this.supabase,
+        alertAdmin: this.alertAdmin.bind(this)
+      });
       
       // Validate configuration
       this.businessRules.validateConfig();
@@ -74,31 +105,21 @@ class KomplierAgent {
 
   /**
    * Set up Gmail watch request for push notifications
+   * Only renews when the recorded watch is missing or close to expiry
    */
   async setupGmailWatch() {
-    try {
-      logger.info('🔔 Setting up Gmail push notifications...');
-      
-      const watchConfig = {
-        topicName: `projects/${process.env.GOOGLE_CLOUD_PROJECT_ID || 'komplier'}/topics/gmail-notifications`,
-        labelIds: ['INBOX']
-      };
-      
-      // Use Gmail MCP to set up watch request
-      const result = await this.gmail.setupWatch(config.email.supportInbox, watchConfig);
-      
-      if (result.success) {
-        logger.info(`✅ Gmail watch configured for ${config.email.supportInbox}`);
-        logger.info(`📬 Push notifications will be sent to: ${watchConfig.topicName}`);
-      } else {
-        logger.warn(`⚠️  Gmail watch setup had issues: ${result.error}`);
-        logger.info('📧 Agent will still work for manual email processing');
-      }
-      
-    } catch (error) {
-      logger.warn('⚠️  Gmail watch setup failed:', error.message);
-      logger.info('📧 Agent will continue without push notifications (manual processing only)');
+    logger.info('🔔 Checking Gmail push notifications...');
+    
+    const status = await this.watchManager.ensureWatch();
+    
+    if (status.healthy) {
+      logger.info(`✅ Gmail watch active for ${config.email.supportInbox} until ${status.expiresAt}`);
+    } else {
+      logger.warn(`⚠️  Gmail watch is not active: ${status.lastError || status.error || 'not configured'}`);
+      logger.info('📧 Agent will still work for manual email processing');
     }
+    
+    return status;
   }
 
   /**
@@ -136,6 +157,29 @@ class KomplierAgent {
       }
     });
     
+    // Renew Gmail watch before it expires
+    cron.schedule(config.email.watch?.renewalSchedule || '0 * * * *', async () => {
+      await this.setupGmailWatch();
+    });
+    
+    // Retry failed emails whose backoff has elapsed
+    cron.schedule(config.retryQueue?.schedule || '* * * * *', async () => {
+      try {
+        await this.processor.processRetries();
+      } catch (error) {
+        logger.error('❌ Email retry run failed:', error);
+      }
+    });
+    
+    // Check SLA deadlines of cases waiting on a human
+    cron.schedule(config.sla?.checkSchedule || '*/10 * * * *', async () => {
+      try {
+        await this.slaMonitor.checkOpenCases();
+      } catch (error) {
+        logger.error('❌ SLA check failed:', error);
+      }
+    });
+    
     // Health check every 5 minutes
     cron.schedule('*/5 * * * *', async () => {
       await this.performHealthCheck();
@@ -147,8 +191,9 @@ class KomplierAgent {
   /**
    * Process emails on demand (triggered by Gmail Push notifications)
    * This replaces continuous polling with event-driven processing
+   * Pass `startedAt` from serverless handlers so work stops before the function timeout
    */
-  async processEmailsOnDemand() {
+  async processEmailsOnDemand(historyId = null, { startedAt = null } = {}) {
     logger.info('📧 Processing emails on demand (triggered by Gmail notification)...');
     
     if (!this.isRunning) {
@@ -157,7 +202,7 @@ class KomplierAgent {
     }
     
     try {
-      await this.processNewEmails();
+      await this.processNewEmails(historyId, { deadline: this.getDeadline(startedAt) });
       logger.info('✅ On-demand email processing completed');
       return true;
     } catch (error) {
@@ -166,38 +211,63 @@ class KomplierAgent {
     }
   }
 
+  /**
+   * Find emails that still need processing
+   * Uses Gmail history sync when enabled, so emails a human already opened
+   * aren't missed; otherwise falls back to searching unread inbox mail
+   */
+  async findNewMessages(historyId = null) {
+    const historySync = config.email.historySync || {};
+    
+    if (historySync.enabled) {
+      const sync = await this.gmail.syncNewMessages(this.supabase, historyId, historySync);
+      return sync.messages;
+    }
+    
+    // Search for unread emails in inbox (covers both zach@komplier.co and gethelp@komplier.co)
+    // gethelp@komplier.co is an alias that forwards to zach@komplier.co
+    const query = `in:inbox is:unread`;
+    const searchResult = await this.gmail.searchEmails(query, 50);
+    return searchResult?.messages || [];
+  }
+
+  /**
+   * Latest time (ms) to start new work in a serverless invocation that began at `startedAt`
+   */
+  getDeadline(startedAt = null) {
+    if (!startedAt) return null;
+    
+    const processing = config.processing || {};
+    const usableSeconds = (processing.functionTimeoutSeconds ?? 60) - (processing.deadlineMarginSeconds ?? 5);
+    return startedAt + usableSeconds * 1000;
+  }
+
   /**
    * Process new emails since last check
+   * Runs up to `processing.concurrency` emails at once; emails that can't
+   * start before the deadline, or run past their budget, are queued for the
+   * retry run
    */
-  async processNewEmails() {
+  async processNewEmails(historyId = null, { deadline = null } = {}) {
     try {
-      // Search for unread emails in inbox (covers both zach@komplier.co and gethelp@komplier.co)
-      // gethelp@komplier.co is an alias that forwards to zach@komplier.co
-      const query = `in:inbox is:unread`;
-      const searchResult = await this.gmail.searchEmails(query, 50);
+      const messages = await this.findNewMessages(historyId);
       
-      if (!searchResult?.messages?.length) {
+      if (!messages.length) {
         return; // No new emails
       }
       
-      logger.info(`📧 Found ${searchResult.messages.length} unread emails to process`);
+      logger.info(`📧 Found ${messages.length} new emails to process`);
       
-      // Process each email
-      for (const message of searchResult.messages) {
-        try {
-          const emailContent = await this.gmail.getEmailContent(message.id);
-          const processed = await this.processEmailContent(emailContent);
-          
-          // Mark email as read after successful processing
-          if (processed) {
-            await this.gmail.markEmailAsRead(message.id);
-            logger.info(`✅ Processed and marked as read: ${message.id}`);
-          }
-          
-        } catch (emailError) {
-          logger.error(`❌ Failed to process email ${message.id}:`, emailError);
-          // Don't mark as read if processing failed
-        }
+      const { results, skipped } = await processBatch(messages, message => this.processMessage(message), batchOptions(config.processing, deadline));
+      
+      // Timed-out emails may still be running; queue them so a later run finishes or picks them up
+      const timedOut = results.filter(({ status }) => status === 'timed_out').map(({ item }) => item);
+      for (const message of timedOut) {
+        logger.warn(`⏱️ Email ${message.id} exceeded its time budget, queued for the retry run`);
+      }
+      
+      if (skipped.length || timedOut.length) {
+        await this.processor.deferMessages([...timedOut, ...skipped]);
       }
       
       this.lastProcessedTime = new Date();
@@ -208,108 +278,51 @@ class KomplierAgent {
   }
 
   /**
-   * Process individual email content
+   * Fetch, process and mark one new email as read
    */
-  async processEmailContent(emailData) {
-    const processingId = Date.now();
-    logger.info(`🔄 Processing email ${processingId}: ${emailData.subject}`);
-    
+  async processMessage(message) {
     try {
-      // Extract email information
-      const emailInfo = this.ai.extractEmailInfo(emailData);
+      const emailContent = await this.gmail.getEmailContent(message.id);
+      const processed = await this.processEmailContent({ id: message.id, thread_id: message.threadId, ...emailContent });
       
-      // Skip non-support emails but mark as processed
-      if (!this.gmail.isValidSupportEmail(emailInfo)) {
-        logger.info('🚫 Skipping non-support email (will mark as read)');
-        return true; // Mark as read since we've "processed" it
+      // Mark email as read after successful processing
+      if (processed) {
+        await this.gmail.markEmailAsRead(message.id);
+        logger.info(`✅ Processed and marked as read: ${message.id}`);
       }
       
-      // Build user context
-      const userContext = await this.buildUserContext(emailInfo.customerEmail);
-      
-      // Load relevant knowledge
-      const relevantKnowledge = await this.knowledgeBase.searchKnowledge(
-        `${emailInfo.subject} ${emailInfo.body}`
-      );
-      
-      // AI analysis
-      const aiAnalysis = await this.ai.analyzeEmail(emailInfo, userContext, relevantKnowledge);
+      return processed;
       
-      // Check escalation criteria
-      const escalationCheck = this.businessRules.shouldEscalate(emailInfo, aiAnalysis, userContext);
-      
-      if (escalationCheck.escalate) {
-        await this.handleEscalation(emailInfo, aiAnalysis, escalationCheck, userContext);
-        return true; // Escalation handled successfully
-      }
-      
-      // Execute AI-recommended action
-      await this.executeAction(emailInfo, aiAnalysis, userContext, relevantKnowledge);
-      
-      // Log successful processing
-      await this.supabase.logActivity('email_processed', {
-        customer: emailInfo.from,
-        action: aiAnalysis.actionType,
-        confidence: aiAnalysis.confidence
-      });
-      
-      return true; // Successfully processed
-      
-    } catch (error) {
-      logger.error(`❌ Email processing failed for ${processingId}:`, error);
-      await this.handleEmergencyEscalation(emailData, error);
-      return false; // Processing failed - don't mark as read
+    } catch (emailError) {
+      logger.error(`❌ Failed to process email ${message.id}:`, emailError);
+      // Don't mark as read if processing failed
+      return false;
     }
   }
 
   /**
-   * Build comprehensive user context (same as in process-emails.js)
+   * Process individual email content through the shared pipeline
+   * Returns true when the email can be marked as read
+   */
+  async processEmailContent(emailData) {
+    const result = await this.processor.processEmail(emailData);
+    
+    // Processing failed, is queued for retry or couldn't be claimed - don't mark as read
+    return !['error_escalated', 'retry_scheduled', 'deferred'].includes(result.action);
+  }
+
+  /**
+   * Build comprehensive user context
    */
   async buildUserContext(email) {
-    try {
-      const [user, stripeCustomer] = await Promise.all([
-        this.supabase.findUserByEmail(email),
-        this.stripe.findCustomerByEmail(email)
-      ]);
-      
-      if (!user) {
-        return { userFound: false, email };
-      }
-      
-      const [projects, assetsData, subscriptions, billingHistory] = await Promise.all([
-        this.supabase.getUserProjects(user.id),
-        this.supabase.getCompliantAssets(user.id),
-        stripeCustomer ? this.stripe.getCustomerSubscriptions(stripeCustomer.id) : [],
-        stripeCustomer ? this.stripe.getBillingHistory(stripeCustomer.id) : { charges: [], invoices: [] }
-      ]);
-      
-      const refundEligibility = await this.supabase.calculateRefundEligibility(email);
-      
-      return {
-        userFound: true,
-        user,
-        stripeCustomer,
-        projects,
-        assetsData,
-        subscriptions,
-        billingHistory,
-        refundEligibility
-      };
-      
-    } catch (error) {
-      logger.warn('⚠️ User context building failed:', error);
-      return { userFound: false, email, error: error.message };
-    }
+    return this.processor.buildUserContext(email);
   }
 
   /**
    * Execute actions based on AI analysis
    */
   async executeAction(emailInfo, aiAnalysis, userContext, knowledgeBase) {
-    // Implementation matches process-emails.js logic
-    // Would duplicate the executeAction, handleRefundRequest, etc. functions here
-    logger.info(`⚡ Executing action: ${aiAnalysis.actionType}`);
-    // ... (implementation details)
+    return this.processor.executeAction(emailInfo, aiAnalysis, userContext, knowledgeBase);
   }
 
   /**
@@ -357,15 +370,7 @@ class KomplierAgent {
    * Alert admin of issues
    */
   async alertAdmin(message, severity = 'medium') {
-    try {
-      await this.gmail.sendEmail(
-        config.email.adminEmail,
-        `[${severity.toUpperCase()}] Komplier Agent Alert`,
-        `System Alert: ${message}\n\nTimestamp: ${new Date().toISOString()}\nAgent Status: ${this.isRunning ? 'RUNNING' : 'STOPPED'}`
-      );
-    } catch (error) {
-      logger.error('❌ Admin alert failed:', error);
-    }
+    return sendAdminAlert(this.gmail, config, message, severity, this.isRunning ? 'RUNNING' : 'STOPPED');
   }
 
   /**
@@ -0,0 +1,26 @@
+/**
+ * Admin Alerts
+ * 
+ * Sends system alerts to the admin inbox
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('admin-alerts');
+
+/**
+ * Email an alert to the configured admin address
+ */
+export async function sendAdminAlert(gmail, config, message, severity = 'medium', agentStatus = 'RUNNING') {
+  try {
+    await gmail.sendEmail(
+      config.email.adminEmail,
+      `[${severity.toUpperCase()}] Komplier Agent Alert`,
+      `System Alert: ${message}\n\nTimestamp: ${new Date().toISOString()}\nAgent Status: ${agentStatus}`
+    );
+    return true;
+  } catch (error) {
+    logger.error('❌ Admin alert failed:', error);
+    return false;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Admin API Authentication
+ * 
+ * Shared-secret check for admin-only endpoints
+ * (expects "Authorization: Bearer <ADMIN_API_TOKEN>")
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('admin-auth');
+
+/**
+ * Check if request carries the admin API token
+ */
+export function isAuthorizedAdmin(req) {
+  const token = process.env.ADMIN_API_TOKEN;
+  
+  if (!token) {
+    logger.warn('⚠️ ADMIN_API_TOKEN not configured, rejecting admin request');
+    return false;
+  }
+  
+  const header = req.headers?.authorization || '';
+  return header === `Bearer ${token}`;
+}
+
+/**
+ * Check if request comes from the Vercel cron scheduler
+ * (Vercel sends "Authorization: Bearer <CRON_SECRET>")
+ */
+export function isAuthorizedCron(req) {
+  const secret = process.env.CRON_SECRET;
+  
+  if (!secret) {
+    return false;
+  }
+  
+  const header = req.headers?.authorization || '';
+  return header === `Bearer ${secret}`;
+}
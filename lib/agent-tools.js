@@ -0,0 +1,274 @@
+/**
+ * Agent Tools
+ *
+ * Read-only Supabase and Stripe lookups the model can request while
+ * working on an email, instead of receiving every project, charge and
+ * invoice up front. Every tool is scoped to the customer who sent the
+ * email - the model never passes a user or customer ID, so it can't read
+ * another customer's data.
+ *
+ * `ai.tools.allowed` limits which tools are offered; tools that need a
+ * Stripe customer are only offered when the sender has one.
+ */
+
+import { validateSchema } from './analysis-schema.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('agent-tools');
+
+const TOOLS = [
+  {
+    name: 'get_projects',
+    description: 'List the customer\'s projects, newest first, with status and asset counts',
+    requires: 'user',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 20 }
+      }
+    },
+    async run({ supabase }, { user }, { limit = 5 }) {
+      const projects = await supabase.getUserProjects(user.id);
+      return {
+        total: projects.length,
+        projects: projects.slice(0, limit).map(project => ({
+          name: project.name,
+          status: project.status,
+          assets: project.asset_count ?? 0,
+          created: formatDate(project.created_at),
+          completed: formatDate(project.completed_at)
+        }))
+      };
+    }
+  },
+  {
+    name: 'get_compliant_assets',
+    description: 'Count the customer\'s compliant assets by asset type',
+    requires: 'user',
+    parameters: { type: 'object', properties: {} },
+    async run({ supabase }, { user }) {
+      const assets = await supabase.getCompliantAssets(user.id);
+      return {
+        totalCompliant: assets.totalCompliant,
+        byType: assets.breakdown.map(row => ({ type: row.asset_type, count: Number(row.compliant_count) }))
+      };
+    }
+  },
+  {
+    name: 'get_subscriptions',
+    description: 'List the customer\'s subscriptions with plan, price, status, current period and renewal or cancellation dates',
+    requires: 'stripe',
+    parameters: { type: 'object', properties: {} },
+    async run({ stripe }, { stripeCustomer }) {
+      const subscriptions = await stripe.getCustomerSubscriptions(stripeCustomer.id);
+      return { subscriptions: subscriptions.map(formatSubscription) };
+    }
+  },
+  {
+    name: 'get_billing_history',
+    description: 'List the customer\'s recent charges and invoices (amounts in cents)',
+    requires: 'stripe',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 24 }
+      }
+    },
+    async run({ stripe }, { stripeCustomer }, { limit = 5 }) {
+      const history = await stripe.getBillingHistory(stripeCustomer.id, limit);
+      return {
+        charges: history.charges.map(charge => ({
+          date: formatDate(charge.created),
+          amount: charge.amount,
+          currency: charge.currency,
+          status: charge.status,
+          refunded: charge.amount_refunded || 0,
+          description: charge.description || null
+        })),
+        invoices: history.invoices.map(formatInvoice)
+      };
+    }
+  },
+  {
+    name: 'get_invoice',
+    description: 'Look up one of the customer\'s invoices by invoice number or ID, including its line items',
+    requires: 'stripe',
+    parameters: {
+      type: 'object',
+      required: ['invoice'],
+      properties: {
+        invoice: { type: 'string' }
+      }
+    },
+    async run({ stripe }, { stripeCustomer }, { invoice }) {
+      const { invoices } = await stripe.getBillingHistory(stripeCustomer.id, 100);
+      const wanted = invoice.trim().toLowerCase();
+      const match = invoices.find(item => item.id?.toLowerCase() === wanted || item.number?.toLowerCase() === wanted);
+
+      if (!match) {
+        return { found: false, searched: invoices.length };
+      }
+
+      return {
+        found: true,
+        ...formatInvoice(match),
+        lines: (match.lines?.data || []).map(line => ({
+          description: line.description,
+          amount: line.amount,
+          periodStart: formatDate(line.period?.start),
+          periodEnd: formatDate(line.period?.end)
+        }))
+      };
+    }
+  },
+  {
+    name: 'get_portal_link',
+    description: 'Create a Stripe billing portal link where the customer can update payment details, download invoices or change their plan',
+    requires: 'stripe',
+    parameters: { type: 'object', properties: {} },
+    async run({ stripe, config }, { stripeCustomer }) {
+      // Creates a short-lived portal session; nothing on the account changes
+      const session = await stripe.createPortalSession(stripeCustomer.id, config.ai?.tools?.portalReturnUrl);
+      return { url: session?.url || null };
+    }
+  }
+];
+
+export class AgentTools {
+  constructor({ config, supabase, stripe }) {
+    this.config = config;
+    this.supabase = supabase;
+    this.stripe = stripe;
+    this.settings = {
+      enabled: false,
+      maxSteps: 3,
+      maxCallsPerEmail: 6,
+      maxResultChars: 1500,
+      ...(config.ai?.tools || {})
+    };
+
+    const allowed = this.settings.allowed;
+    this.tools = allowed ? TOOLS.filter(tool => allowed.includes(tool.name)) : TOOLS;
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Tools that can run for this customer
+   */
+  available(userContext) {
+    if (!userContext?.userFound) return [];
+
+    return this.tools.filter(tool => tool.requires !== 'stripe' || userContext.stripeCustomer);
+  }
+
+  /**
+   * Tool catalog for the prompt: name, description and JSON schema of the arguments
+   */
+  describe(userContext) {
+    return this.available(userContext)
+      .map(tool => `- ${tool.name}: ${tool.description}\n  arguments: ${JSON.stringify(tool.parameters)}`)
+      .join('\n');
+  }
+
+  /**
+   * Run one tool call for the customer
+   * Returns { tool, arguments, status, result | error, durationMs }
+   */
+  async invoke(name, args, userContext) {
+    const startedAt = Date.now();
+    const call = { tool: name, arguments: args ?? {} };
+    const tool = this.available(userContext).find(item => item.name === name);
+
+    if (!tool) {
+      return { ...call, status: 'rejected', error: `Unknown or unavailable tool: ${name}`, durationMs: 0 };
+    }
+
+    const errors = validateSchema(call.arguments, tool.parameters, 'arguments');
+    if (errors.length) {
+      return { ...call, status: 'rejected', error: errors.join('; '), durationMs: 0 };
+    }
+
+    try {
+      logger.info(`🔧 Tool call: ${name} ${JSON.stringify(call.arguments)}`);
+      const result = await tool.run(this, userContext, call.arguments);
+      return { ...call, status: 'ok', result, durationMs: Date.now() - startedAt };
+
+    } catch (error) {
+      logger.warn(`⚠️ Tool ${name} failed: ${error.message}`);
+      return { ...call, status: 'error', error: error.message, durationMs: Date.now() - startedAt };
+    }
+  }
+
+  /**
+   * Tool results as prompt text, each capped at `maxResultChars`
+   */
+  formatResults(calls) {
+    return calls.map(call => {
+      const output = call.status === 'ok' ? JSON.stringify(call.result) : `ERROR: ${call.error}`;
+      const capped = output.length > this.settings.maxResultChars
+        ? `${output.slice(0, this.settings.maxResultChars)}... (truncated)`
+        : output;
+      return `- ${call.tool}(${JSON.stringify(call.arguments)}): ${capped}`;
+    }).join('\n');
+  }
+}
+
+/**
+ * Model request for the next tool calls; an empty list means done
+ */
+export const TOOL_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['toolCalls'],
+  properties: {
+    toolCalls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['tool'],
+        properties: {
+          tool: { type: 'string' },
+          arguments: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().split('T')[0];
+}
+
+function formatSubscription(subscription) {
+  const price = subscription.items?.data?.[0]?.price || subscription.plan || {};
+
+  return {
+    plan: price.nickname || price.id || null,
+    status: subscription.status,
+    amount: price.unit_amount ?? price.amount ?? null,
+    currency: price.currency || null,
+    interval: price.recurring?.interval || price.interval || null,
+    currentPeriodStart: formatDate(subscription.current_period_start),
+    currentPeriodEnd: formatDate(subscription.current_period_end),
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    canceledAt: formatDate(subscription.canceled_at),
+    trialEnd: formatDate(subscription.trial_end)
+  };
+}
+
+function formatInvoice(invoice) {
+  return {
+    number: invoice.number || invoice.id,
+    date: formatDate(invoice.created),
+    status: invoice.status,
+    amountDue: invoice.amount_due,
+    amountPaid: invoice.amount_paid,
+    currency: invoice.currency,
+    periodStart: formatDate(invoice.period_start),
+    periodEnd: formatDate(invoice.period_end)
+  };
+}
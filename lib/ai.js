@@ -1,180 +1,376 @@
 /**
- * AI Operations with Gemini 2.5 Flash
+ * AI Operations
  * 
  * Handles:
- * - Email content analysis
+ * - Email content analysis (including sentiment, emotion and urgency)
  * - Response generation
- * - Sentiment analysis
  * - Action plan creation
+ * 
+ * The model behind it is chosen by `ai.provider` (lib/llm-providers.js).
+ * With `privacy.redaction` enabled, personal data in prompts is replaced by
+ * placeholders (lib/pii-redactor.js) and restored in the model output.
+ * Analysis and response prompts are versioned templates (lib/prompt-templates.js).
+ * Every model call is timed, token-counted and priced per email (lib/llm-telemetry.js).
+ * With `ai.tools` enabled, the model can look up customer data before the
+ * analysis (lib/agent-tools.js).
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from './llm-providers.js';
+import { PromptContextBuilder, estimateTokens } from './prompt-context.js';
+import { PiiRedactor } from './pii-redactor.js';
+import { PromptTemplates } from './prompt-templates.js';
+import { describeBusinessRules } from './business-rules.js';
+import { LlmTelemetry } from './llm-telemetry.js';
+import { getCassette } from './cassette.js';
+import { TOOL_REQUEST_SCHEMA } from './agent-tools.js';
+import { ANALYSIS_SCHEMA, ACTION_TYPES, EMOTIONS, URGENCY_LEVELS, extractJson, normalizeToSchema, validateSchema } from './analysis-schema.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger('ai');
 
 export class AIOperations {
-  constructor(config) {
-    this.genai = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-    this.model = this.genai.getGenerativeModel({ 
-      model: config.ai.model,
-      generationConfig: {
-        temperature: config.ai.temperature,
-        maxOutputTokens: config.ai.maxTokens
-      }
-    });
-    
+  constructor(config, { provider = null } = {}) {
+    const cassette = getCassette(config);
+    const baseProvider = provider || createProvider(config.ai);
+    this.provider = cassette ? cassette.wrapProvider(baseProvider) : baseProvider;
     this.config = config;
+    this.contextBuilder = new PromptContextBuilder(config);
+    this.templates = new PromptTemplates(config);
+    this.redaction = config.privacy?.redaction || { enabled: false };
+    this.redactors = new WeakMap();
+    this.telemetry = new LlmTelemetry(config);
+    this.metrics = { analyses: 0, parseFailures: 0, repaired: 0, fallbacks: 0 };
   }
 
   /**
-   * Analyze incoming email and determine action plan
+   * Counters for analysis output quality since startup
    */
-  async analyzeEmail(email, userContext = null, knowledgeBase = null) {
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * Model calls, tokens, latency and cost spent on an email so far
+   */
+  getUsage(email) {
+    return this.telemetry.getUsage(email);
+  }
+
+  /**
+   * Prompt version for an email: the one assigned in extractEmailInfo, or
+   * picked from the thread ID for emails built elsewhere
+   */
+  getPromptVersion(email = {}) {
+    return email.promptVersion || this.templates.selectVersion(email.threadId || email.messageId);
+  }
+
+  /**
+   * Redactor shared by every prompt about the same email, so placeholders
+   * stay stable between analysis and response generation
+   */
+  _getRedactor(email) {
+    if (!this.redaction.enabled) return null;
+    if (!email || typeof email !== 'object') return this._createRedactor();
+
+    if (!this.redactors.has(email)) {
+      this.redactors.set(email, this._createRedactor());
+    }
+    return this.redactors.get(email);
+  }
+
+  _createRedactor() {
+    return new PiiRedactor({
+      types: this.redaction.types,
+      keep: [this.config.email?.supportInbox, ...(this.config.email?.supportAliases || [])].filter(Boolean)
+    });
+  }
+
+  /**
+   * Send a prompt to the provider, redacting it first when enabled, and
+   * record the call's telemetry against the email
+   * Returns the raw model text (still containing placeholders)
+   * Provider errors are rethrown with `step: 'ai'` for the retry queue
+   */
+  async _generate(email, purpose, prompt, options = {}) {
+    const redactor = this._getRedactor(email);
+    let sent = prompt;
+
+    if (redactor) {
+      sent = redactor.redact(prompt);
+      logger.debug(`🔒 Redacted prompt: ${JSON.stringify(redactor.getSummary())}`);
+    }
+
+    const startedAt = Date.now();
     try {
-      logger.info(`🧠 Analyzing email: ${email.subject}`);
-      
-      const prompt = this._buildAnalysisPrompt(email, userContext, knowledgeBase);
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
-      
-      const analysis = JSON.parse(response);
-      
-      logger.info(`✅ Email classified as: ${analysis.actionType}`);
-      return analysis;
-      
+      const result = await this.provider.complete(sent, options);
+
+      this.telemetry.record(email, {
+        purpose,
+        model: result.model || this.provider.modelName,
+        ...result.usage,
+        latencyMs: Date.now() - startedAt
+      });
+
+      return result.text;
+
     } catch (error) {
-      logger.error('❌ Email analysis failed:', error);
-      
-      // Fallback analysis
-      return {
-        actionType: 'escalate',
-        confidence: 0.1,
-        reasoning: 'Analysis failed - escalating to human',
-        suggestedResponse: 'Thanks for contacting us. A team member will review your request and respond shortly.',
-        escalationReason: `AI analysis error: ${error.message}`
-      };
+      this.telemetry.record(email, {
+        purpose,
+        model: this.provider.modelName,
+        promptTokens: estimateTokens(sent),
+        completionTokens: 0,
+        estimated: true,
+        latencyMs: Date.now() - startedAt,
+        error: error.message
+      });
+      error.step = error.step || 'ai';
+      throw error;
     }
   }
 
   /**
-   * Generate response to customer email
+   * Analyze incoming email and determine action plan
+   * The model output is validated against ANALYSIS_SCHEMA; invalid output is
+   * sent back with the validation errors up to `ai.analysis.maxRepairAttempts` times.
+   * The result carries `promptContext` (token estimates and what was dropped to fit the budget)
    */
-  async generateResponse(email, actionPlan, userContext = null, knowledgeBase = null) {
-    try {
-      logger.info(`✍️ Generating response for: ${actionPlan.actionType}`);
-      
-      const prompt = this._buildResponsePrompt(email, actionPlan, userContext, knowledgeBase);
-      const result = await this.model.generateContent(prompt);
-      const response = result.response.text();
+  async analyzeEmail(email, userContext = null, knowledgeBase = null) {
+    this.metrics.analyses++;
+    const maxRepairs = this.config.ai.analysis?.maxRepairAttempts ?? 2;
+    const redactor = this._getRedactor(email);
+    let parseFailures = 0;
+    let errors = [];
+
+    logger.info(`🧠 Analyzing email: ${email.subject}`);
+    
+    const context = this.contextBuilder.build(userContext, knowledgeBase);
+    const basePrompt = this._buildAnalysisPrompt(email, context);
+    let prompt = basePrompt;
+    
+    // Provider errors (timeouts, rate limits, outages) propagate so the retry queue tries again later
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const response = await this._generate(email, attempt ? 'analysis_repair' : 'analysis', prompt, { json: true, schema: ANALYSIS_SCHEMA });
+      const parsed = this._parseAnalysis(response);
       
-      logger.info('✅ Response generated successfully');
-      return response;
+      if (!parsed.errors.length) {
+        if (parseFailures) this.metrics.repaired++;
+        
+        logger.info(`✅ Email classified as: ${parsed.analysis.actionType}`);
+        return {
+          ...this._withCustomerSignals(redactor ? redactor.restoreDeep(parsed.analysis) : parsed.analysis, email),
+          ...(parseFailures ? { parseFailures } : {}),
+          promptContext: context.report,
+          promptVersion: this.getPromptVersion(email)
+        };
+      }
       
-    } catch (error) {
-      logger.error('❌ Response generation failed:', error);
+      parseFailures++;
+      this.metrics.parseFailures++;
+      errors = parsed.errors;
+      logger.warn(`⚠️ Invalid analysis output (attempt ${attempt + 1}/${maxRepairs + 1}): ${errors.join('; ')}`);
       
-      // Fallback response
-      return `Hi there,
-
-Thank you for contacting Komplier support. I received your message about "${email.subject}" and I'm looking into it.
-
-A team member will review your request and get back to you shortly.
-
-Best regards,
-Komplier Support Team`;
+      prompt = this._buildRepairPrompt(basePrompt, response, errors);
     }
+    
+    // Still invalid after every repair - retrying won't help, so a human takes over
+    logger.error(`❌ Email analysis failed validation: ${errors.join('; ')}`);
+    this.metrics.fallbacks++;
+    
+    return {
+      ...this._withCustomerSignals({}, email),
+      actionType: 'escalate',
+      confidence: 0.1,
+      reasoning: 'Analysis failed - escalating to human',
+      suggestedResponse: 'Thanks for contacting us. A team member will review your request and respond shortly.',
+      escalationReason: `AI analysis error: Analysis output failed validation: ${errors.join('; ')}`,
+      analysisFailed: true,
+      parseFailures,
+      promptContext: context.report,
+      promptVersion: this.getPromptVersion(email)
+    };
   }
 
   /**
-   * Build analysis prompt for email classification
+   * Let the model look up data it needs before the analysis
+   * Each step the model asks for tool calls (or none, to finish); the calls
+   * run and their results go into the next step's prompt. Stops after
+   * `ai.tools.maxSteps` steps or `ai.tools.maxCallsPerEmail` calls.
+   * Returns { calls, steps, budgetExhausted } - `calls` are the tool invocations in order
    */
-  _buildAnalysisPrompt(email, userContext, knowledgeBase) {
-    return `You are an AI customer support analyst for Komplier.co, a platform that helps businesses create Apple Pay marketing assets.
+  async gatherToolResults(email, userContext, tools, knowledgeBase = null) {
+    const { maxSteps, maxCallsPerEmail } = tools.settings;
+    const catalog = tools.describe(userContext);
+    const calls = [];
+    let steps = 0;
 
-ANALYZE this customer email and determine the best action:
+    if (!catalog) {
+      return { calls, steps, budgetExhausted: false };
+    }
 
-EMAIL:
-From: ${email.from}
-Subject: ${email.subject}
-Body: ${email.body}
+    const redactor = this._getRedactor(email);
+    const context = this.contextBuilder.build(userContext, knowledgeBase);
 
-${userContext ? `USER CONTEXT:
-${JSON.stringify(userContext, null, 2)}` : ''}
+    while (steps < maxSteps && calls.length < maxCallsPerEmail) {
+      steps++;
 
-${knowledgeBase ? `KNOWLEDGE BASE:
-${JSON.stringify(knowledgeBase, null, 2)}` : ''}
+      const prompt = this.templates.render(this.getPromptVersion(email), 'tools', {
+        ...this._emailVariables(email, context),
+        tools: catalog,
+        toolResults: calls.length ? tools.formatResults(calls) : 'None yet',
+        remainingCalls: String(maxCallsPerEmail - calls.length)
+      });
 
-BUSINESS RULES:
-- Auto-approve refunds if: < 5 compliant assets, 0 completed projects, < 30 days since signup
-- Escalate if: legal keywords, CEO mention, very negative sentiment
-- Help with: Apple Pay guidelines, logo compliance, technical issues
+      // Provider errors propagate like the analysis's; only unusable output is skipped
+      const text = await this._generate(email, 'tool_selection', prompt, { json: true, schema: TOOL_REQUEST_SCHEMA });
 
-RESPONSE FORMAT (JSON only):
-{
-  "actionType": "refund|help_response|escalate|general_info",
-  "confidence": 0.0-1.0,
-  "reasoning": "Why this action was chosen",
-  "suggestedResponse": "Draft response to customer",
-  "escalationReason": "If escalating, why?",
-  "refundAmount": "If refund, amount in cents",
-  "knowledgeUsed": ["Which knowledge files were relevant"]
-}
+      let requested;
+      try {
+        const request = extractJson(text);
+        const errors = validateSchema(request, TOOL_REQUEST_SCHEMA);
+        if (errors.length) throw new Error(errors.join('; '));
+        requested = request.toolCalls;
+      } catch (error) {
+        // Tools are optional context; carry on to the analysis with what we have
+        logger.warn(`⚠️ Unusable tool request at step ${steps}: ${error.message}`);
+        break;
+      }
+
+      if (!requested.length) break;
+
+      for (const { tool, arguments: args = {} } of requested.slice(0, maxCallsPerEmail - calls.length)) {
+        const call = await tools.invoke(tool, redactor ? redactor.restoreDeep(args) : args, userContext);
+        calls.push({ step: steps, ...call });
+      }
+    }
+
+    const budgetExhausted = calls.length >= maxCallsPerEmail;
+    if (calls.length) {
+      logger.info(`🔧 ${calls.length} tool calls in ${steps} steps${budgetExhausted ? ' (budget exhausted)' : ''}`);
+    }
 
-Analyze the email and respond with JSON only:`;
+    return { calls, steps, budgetExhausted };
   }
 
   /**
-   * Build response generation prompt
+   * Fill in sentiment, emotion and urgency the model left out
+   * Urgent keywords in the email raise urgency to at least high
    */
-  _buildResponsePrompt(email, actionPlan, userContext, knowledgeBase) {
-    return `You are a professional customer support agent for Komplier.co.
+  _withCustomerSignals(analysis, email) {
+    let urgency = analysis.urgency || 'medium';
+    if (email.isUrgent && URGENCY_LEVELS.indexOf(urgency) < URGENCY_LEVELS.indexOf('high')) {
+      urgency = 'high';
+    }
+    
+    return {
+      ...analysis,
+      sentiment: analysis.sentiment ?? 0,
+      emotion: analysis.emotion || 'neutral',
+      urgency
+    };
+  }
 
-CUSTOMER EMAIL:
-From: ${email.from}
-Subject: ${email.subject}  
-Body: ${email.body}
+  /**
+   * Parse and validate raw analysis output
+   * Returns { analysis, errors }
+   */
+  _parseAnalysis(text) {
+    let analysis;
+    try {
+      analysis = normalizeToSchema(extractJson(text));
+    } catch (error) {
+      return { analysis: null, errors: [`Response is not valid JSON (${error.message})`] };
+    }
+    
+    return { analysis, errors: validateSchema(analysis, ANALYSIS_SCHEMA) };
+  }
 
-ACTION PLAN:
-${JSON.stringify(actionPlan, null, 2)}
+  /**
+   * Ask the model to fix its previous analysis output
+   */
+  _buildRepairPrompt(basePrompt, previousResponse, errors) {
+    return `${basePrompt}
 
-${userContext ? `USER CONTEXT:
-${JSON.stringify(userContext, null, 2)}` : ''}
+YOUR PREVIOUS RESPONSE WAS INVALID:
+${String(previousResponse).slice(0, 2000)}
 
-${knowledgeBase ? `KNOWLEDGE BASE:
-${JSON.stringify(knowledgeBase, null, 2)}` : ''}
+VALIDATION ERRORS:
+${errors.map(error => `- ${error}`).join('\n')}
 
-RESPONSE GUIDELINES:
-- Be professional and helpful
-- NO markdown formatting (no *, **, #, etc.)
-- Always reply in email threads, never start new conversations
-- Reference specific user data when available
-- Provide actionable solutions
-- Sign as "Komplier Support Team"
+Respond again with a single corrected JSON object only, no code fences or extra text:`;
+  }
 
-Generate a professional email response (plain text only, no markdown):`;
+  /**
+   * Generate response to customer email
+   * Provider errors propagate (there's no canned fallback reply), so the
+   * email is retried instead of answered with a placeholder
+   */
+  async generateResponse(email, actionPlan, userContext = null, knowledgeBase = null) {
+    logger.info(`✍️ Generating response for: ${actionPlan.actionType}`);
+    
+    const context = this.contextBuilder.build(userContext, knowledgeBase);
+    const prompt = this._buildResponsePrompt(email, actionPlan, context);
+    const redactor = this._getRedactor(email);
+    const response = await this._generate(email, actionPlan.previousReplyProblems ? 'response_retry' : 'response', prompt);
+    
+    logger.info('✅ Response generated successfully');
+    return redactor ? redactor.restore(response) : response;
   }
 
   /**
-   * Analyze email sentiment
+   * Build analysis prompt for email classification
    */
-  async analyzeSentiment(emailBody) {
-    try {
-      const prompt = `Analyze the sentiment of this customer email on a scale from -1.0 (very negative) to 1.0 (very positive).
+  _buildAnalysisPrompt(email, context) {
+    return this.templates.render(this.getPromptVersion(email), 'analysis', {
+      ...this._emailVariables(email, context),
+      businessRules: describeBusinessRules(this.config.businessRules),
+      actionTypes: ACTION_TYPES.join('|'),
+      emotions: EMOTIONS.join('|'),
+      urgencyLevels: URGENCY_LEVELS.join('|')
+    });
+  }
 
-EMAIL: ${emailBody}
+  /**
+   * Build response generation prompt
+   */
+  _buildResponsePrompt(email, actionPlan, context) {
+    const { promptContext, promptVersion, ...plan } = actionPlan;
+    
+    return this.templates.render(this.getPromptVersion(email), 'response', {
+      ...this._emailVariables(email, context),
+      actionPlan: JSON.stringify(plan, null, 2)
+    });
+  }
 
-Respond with only a number between -1.0 and 1.0:`;
-      
-      const result = await this.model.generateContent(prompt);
-      const sentimentScore = parseFloat(result.response.text().trim());
-      
-      return isNaN(sentimentScore) ? 0 : sentimentScore;
-      
-    } catch (error) {
-      logger.warn('⚠️ Sentiment analysis failed:', error);
-      return 0; // Neutral fallback
-    }
+  /**
+   * Template variables shared by the analysis and response prompts
+   */
+  _emailVariables(email, context) {
+    return {
+      conversationHistory: this._formatConversationHistory(email.conversationHistory),
+      from: email.from,
+      subject: email.subject,
+      body: email.latestReply || email.body,
+      customerProfile: context.profile ? `CUSTOMER PROFILE:\n${context.profile}` : '',
+      knowledge: context.knowledge ? `KNOWLEDGE BASE:\n${context.knowledge}` : '',
+      lookups: email.toolResults ? `DATA LOOKED UP FOR THIS EMAIL:\n${email.toolResults}` : ''
+    };
+  }
+
+  /**
+   * Format earlier thread messages for prompts (oldest first)
+   */
+  _formatConversationHistory(history) {
+    if (!history?.length) return '';
+    
+    const lines = history.map(message => {
+      const speaker = message.role === 'support' ? 'Komplier Support' : `Customer (${message.from})`;
+      return `[${message.date || 'earlier'}] ${speaker}:\n${message.content}`;
+    });
+    
+    return `CONVERSATION HISTORY (earlier messages in this thread, oldest first):
+${lines.join('\n\n')}
+
+`;
   }
 
   /**
@@ -187,7 +383,8 @@ Respond with only a number between -1.0 and 1.0:`;
       body: email.body,
       timestamp: email.date || new Date().toISOString(),
       messageId: email.message_id || email.id,
-      threadId: email.thread_id
+      threadId: email.thread_id || email.threadId,
+      headers: email.headers || email.payload?.headers || null
     };
     
     // Extract potential user identifiers
@@ -203,6 +400,9 @@ Respond with only a number between -1.0 and 1.0:`;
       info.body?.toLowerCase().includes(keyword)
     );
     
+    // A/B prompt experiment assignment, recorded on activity logs
+    info.promptVersion = this.templates.selectVersion(info.threadId || info.messageId);
+    
     return info;
   }
 }
@@ -0,0 +1,159 @@
+/**
+ * Email Analysis Schema
+ *
+ * JSON schema for the result of AIOperations.analyzeEmail, plus helpers to
+ * pull JSON out of model text (code fences, leading/trailing prose) and
+ * validate it. The validator covers the subset of JSON Schema used here:
+ * type, enum, required, properties, items, minimum, maximum.
+ */
+
+export const ACTION_TYPES = [
+  'refund',
+  'cancel_subscription',
+  'billing_question',
+  'receipt_resend',
+  'plan_change',
+  'bug_report',
+  'feature_request',
+  'account_deletion',
+  'sales_inquiry',
+  'help_response',
+  'escalate',
+  'general_info'
+];
+
+export const EMOTIONS = ['neutral', 'satisfied', 'confused', 'anxious', 'frustrated', 'angry'];
+
+export const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['actionType', 'confidence', 'reasoning'],
+  properties: {
+    actionType: { type: 'string', enum: ACTION_TYPES },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    suggestedResponse: { type: ['string', 'null'] },
+    escalationReason: { type: ['string', 'null'] },
+    refundAmount: { type: ['integer', 'null'], minimum: 0 },
+    knowledgeUsed: { type: 'array', items: { type: 'string' } },
+    sentiment: { type: 'number', minimum: -1, maximum: 1 },
+    emotion: { type: 'string', enum: EMOTIONS },
+    urgency: { type: 'string', enum: URGENCY_LEVELS }
+  }
+};
+
+/**
+ * Extract the JSON object from model output
+ * Throws if no JSON object can be parsed
+ */
+export function extractJson(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Model returned no text');
+  }
+
+  let candidate = text.trim();
+
+  // ```json ... ``` fences
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Prose around the object: take the outermost braces
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(candidate.slice(start, end + 1));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Coerce values models commonly get almost right before validating:
+ * numeric strings for number fields and empty strings for optional ones
+ */
+export function normalizeToSchema(value, schema = ANALYSIS_SCHEMA) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+  const normalized = { ...value };
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    const types = [].concat(property.type);
+    const current = normalized[key];
+
+    if (current === '' && types.includes('null')) {
+      normalized[key] = null;
+    } else if (typeof current === 'string' && current.trim() !== '' &&
+        (types.includes('number') || types.includes('integer')) && !Number.isNaN(Number(current))) {
+      normalized[key] = Number(current);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateSchema(value, schema = ANALYSIS_SCHEMA, path = 'result') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], property, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some(expected => {
+    switch (expected) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === expected;
+    }
+  });
+}
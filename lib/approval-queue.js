@@ -0,0 +1,292 @@
+/**
+ * Human Approval Queue
+ *
+ * Handles:
+ * - Persisting proposed refunds, cancellations, account deletions and
+ *   low-confidence replies
+ * - Notifying the admin that an action is waiting for review
+ * - Executing approved actions (Stripe call + customer reply)
+ * - Rejecting actions
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { CaseManager } from './case-manager.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('approval-queue');
+
+export class ApprovalQueue {
+  constructor({ config, gmail, supabase, stripe }) {
+    this.config = config;
+    this.settings = config.approvalQueue || {};
+    this.gmail = gmail;
+    this.supabase = supabase;
+    this.stripe = stripe;
+    this.cases = new CaseManager({ config, supabase });
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled);
+  }
+
+  /**
+   * Check if an action type should be routed through the queue
+   */
+  requiresApproval(actionType) {
+    return Boolean(this.settings.enabled) && (this.settings.actions || []).includes(actionType);
+  }
+
+  /**
+   * Check if a reply's confidence is low enough to need review
+   */
+  isLowConfidence(confidence) {
+    const threshold = this.settings.replyConfidenceThreshold ?? 0;
+    return typeof confidence === 'number' && confidence < threshold;
+  }
+
+  /**
+   * Queue an action for human approval and notify the admin
+   */
+  async propose(actionType, { emailInfo, aiAnalysis, userContext, proposal = {}, draftedResponse, reasons = [] }) {
+    try {
+      const action = await this.supabase.createPendingAction({
+        id: uuidv4(),
+        actionType,
+        customerEmail: emailInfo.customerEmail || emailInfo.from,
+        threadId: emailInfo.threadId,
+        messageId: emailInfo.messageId,
+        email: emailInfo,
+        aiAnalysis,
+        userContext,
+        proposal,
+        draftedResponse,
+        reasons
+      });
+
+      logger.info(`🕒 ${actionType} queued for approval: ${action.id}`);
+      await this._notifyAdmin(action, actionType, emailInfo, proposal, draftedResponse, reasons);
+
+      return action;
+
+    } catch (error) {
+      logger.error('❌ Failed to queue pending action:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a reviewer's refund amount override for a pending refund
+   * It must be a positive whole number of cents, no more than the charge's
+   * refundable amount (or the proposed amount when the charge is unknown)
+   * A changed amount needs an edited `response`, since the drafted reply
+   * quotes the proposed amount and breakdown
+   * Returns an error message, or null when the amount can be used
+   */
+  checkAmountOverride(action, amount, response = null) {
+    if (action.action_type !== 'refund') {
+      return 'An amount can only be given for refunds';
+    }
+    if (action.result?.executed) {
+      return 'The refund was already issued; only the reply can be retried';
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return 'Amount must be a positive whole number of cents';
+    }
+
+    const proposal = action.proposal || {};
+    const breakdown = proposal.breakdown;
+    const limit = breakdown?.amountPaid
+      ? breakdown.amountPaid - (breakdown.alreadyRefunded || 0)
+      : proposal.amount;
+
+    if (!limit || amount > limit) {
+      return `Amount can't be more than the refundable ${limit ? `$${(limit / 100).toFixed(2)}` : 'amount'}`;
+    }
+    if (amount !== proposal.amount && !response) {
+      return 'A changed amount needs an edited response that tells the customer the new amount';
+    }
+
+    return null;
+  }
+
+  /**
+   * Approve a pending action: run the Stripe call (if any) and send the reply
+   * Pass `response` to send an edited reply instead of the drafted one
+   * A failed action can be approved again; a Stripe call that already went
+   * through is not repeated, only the reply is sent
+   */
+  async approve(id, { response = null, amount = null, reviewedBy = null } = {}) {
+    if (amount !== null) {
+      const action = await this.supabase.getPendingAction(id);
+      const amountError = action ? this.checkAmountOverride(action, amount, response) : null;
+      if (amountError) {
+        return { success: false, error: amountError };
+      }
+    }
+
+    const claimed = await this.supabase.transitionPendingAction(id, 'pending', 'processing', { reviewedBy }) ||
+      await this.supabase.transitionPendingAction(id, 'failed', 'processing', { reviewedBy });
+
+    if (!claimed) {
+      return { success: false, error: 'Action not found or already reviewed' };
+    }
+
+    const emailInfo = claimed.email || {};
+    const proposal = claimed.proposal || {};
+    const previous = claimed.result || {};
+    const finalResponse = response || claimed.final_response || claimed.drafted_response;
+    const result = { actionType: claimed.action_type, edited: Boolean(response) };
+
+    try {
+      logger.info(`✅ Executing approved ${claimed.action_type} action: ${id}`);
+
+      if (previous.executed) {
+        // An earlier approval got through Stripe but failed to send the reply
+        logger.info(`⏭️ Stripe call for ${id} already done, only sending the reply`);
+        const { error: previousError, ...done } = previous;
+        Object.assign(result, done, { edited: Boolean(response) });
+      } else if (claimed.action_type === 'refund') {
+        const refundAmount = amount ?? proposal.amount;
+        const refund = await this.stripe.processRefund(
+          proposal.customerId,
+          refundAmount,
+          'Refund approved by support team',
+          { refund_policy: proposal.breakdown?.policy },
+          proposal.chargeId
+        );
+        Object.assign(result, { refundId: refund?.id, amount: refundAmount, executed: true });
+      } else if (claimed.action_type === 'cancellation') {
+        const cancellation = await this.stripe.cancelSubscription(
+          proposal.subscriptionId,
+          'Cancellation approved by support team'
+        );
+        Object.assign(result, { subscriptionId: cancellation?.id || proposal.subscriptionId, executed: true });
+      }
+
+      if (result.executed && !previous.executed) {
+        // Recorded before the reply is sent, so a failed send can be retried without charging Stripe again
+        await this.supabase.transitionPendingAction(id, 'processing', 'processing', { result });
+      }
+
+      if (finalResponse) {
+        const sent = await this.gmail.sendEmail(
+          emailInfo.from || claimed.customer_email,
+          emailInfo.subject || 'Your Komplier support request',
+          finalResponse,
+          emailInfo.messageId ? emailInfo : null
+        );
+        await this.cases.recordResponse(emailInfo, {
+          actionType: claimed.action_type,
+          human: true,
+          sentMessageId: sent?.id || sent?.message_id || null
+        });
+      }
+
+      const approved = await this.supabase.transitionPendingAction(id, 'processing', 'approved', {
+        finalResponse,
+        result
+      });
+
+      await this.supabase.logActivity('pending_action_approved', {
+        customer: claimed.customer_email,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        pendingActionId: id,
+        ...result,
+        reviewedBy
+      });
+
+      // Money-moving actions close the case; an approved reply waits on the customer
+      await this.cases.recordEvent(emailInfo.caseId, 'pending_action_approved', { pendingActionId: id, ...result });
+      await this.cases.setState(
+        emailInfo.caseId,
+        claimed.action_type === 'reply' ? 'awaiting_customer' : 'resolved',
+        { agentAction: true, note: `Approved ${claimed.action_type}${reviewedBy ? ` by ${reviewedBy}` : ''}` }
+      );
+
+      return { success: true, action: approved || claimed, result };
+
+    } catch (error) {
+      logger.error(`❌ Approved action ${id} failed:`, error);
+
+      // Keep what already happened, so approving again doesn't repeat it
+      await this.supabase.transitionPendingAction(id, 'processing', 'failed', {
+        finalResponse,
+        result: { ...result, error: error.message }
+      });
+
+      return { success: false, error: error.message, executed: Boolean(result.executed) };
+    }
+  }
+
+  /**
+   * Reject a pending action without executing it
+   */
+  async reject(id, { reason = null, reviewedBy = null } = {}) {
+    const rejected = await this.supabase.transitionPendingAction(id, 'pending', 'rejected', {
+      reviewedBy,
+      reviewNote: reason
+    });
+
+    if (!rejected) {
+      return { success: false, error: 'Action not found or already reviewed' };
+    }
+
+    logger.info(`🚫 Pending action rejected: ${id}`);
+
+    await this.supabase.logActivity('pending_action_rejected', {
+      customer: rejected.customer_email,
+      caseId: rejected.email?.caseId,
+      promptVersion: rejected.email?.promptVersion,
+      pendingActionId: id,
+      actionType: rejected.action_type,
+      reason,
+      reviewedBy
+    });
+
+    // Case stays with a human, who now has to answer manually
+    await this.cases.recordEvent(rejected.email?.caseId, 'pending_action_rejected', {
+      pendingActionId: id,
+      actionType: rejected.action_type,
+      reason
+    });
+
+    return { success: true, action: rejected };
+  }
+
+  /**
+   * Send a short review request to the admin
+   */
+  async _notifyAdmin(action, actionType, emailInfo, proposal, draftedResponse, reasons) {
+    try {
+      const details = [];
+      if (proposal.amount) details.push(`Proposed refund: $${(proposal.amount / 100).toFixed(2)}`);
+      if (proposal.breakdown) details.push(`Refund breakdown (${proposal.breakdown.policy} policy):\n  ${proposal.breakdown.lines.join('\n  ')}`);
+      if (proposal.subscriptionId) details.push(`Subscription: ${proposal.subscriptionId}`);
+      if (actionType === 'account_deletion') details.push(`Delete user ${proposal.userId || emailInfo.from} before approving - approving only sends the confirmation`);
+      if (reasons.length) details.push(`Reasons: ${reasons.join(', ')}`);
+
+      await this.gmail.sendEmail(
+        this.config.email.adminEmail,
+        `[APPROVAL NEEDED] ${actionType}: ${emailInfo.subject}`,
+        `A ${actionType} action is waiting for your approval.
+
+PENDING ACTION ID: ${action.id}
+FROM: ${emailInfo.from}
+SUBJECT: ${emailInfo.subject}
+${details.join('\n')}
+
+ORIGINAL EMAIL:
+${emailInfo.body}
+
+DRAFTED RESPONSE:
+${draftedResponse || '(none)'}
+
+Review it with GET /pending-actions?id=${action.id}, then POST /pending-actions with decision "approve", "edit" or "reject".`
+      );
+
+    } catch (error) {
+      logger.warn('⚠️ Approval notification failed:', error);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Batch Runner
+ *
+ * Runs a list of items through an async handler with a worker pool:
+ * - At most `concurrency` items in flight
+ * - Each item gets `itemBudgetMs`, cut short to the time left before
+ *   `deadline`; a slower item is reported as timed out
+ * - No item is started once less than `minItemMs` is left before
+ *   `deadline`; those items are returned as skipped so the caller can
+ *   leave them for the next invocation
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('batch-runner');
+
+/**
+ * Process items with bounded concurrency and deadline awareness
+ * Returns { results: [{ item, status, value, error }], skipped: [item] }
+ * where status is 'completed', 'failed' or 'timed_out'
+ */
+export async function processBatch(items, handler, options = {}) {
+  const {
+    concurrency = 3,
+    itemBudgetMs = 60000,
+    minItemMs = itemBudgetMs,
+    deadline = null
+  } = options;
+
+  const queue = [...items];
+  const results = [];
+  const skipped = [];
+
+  const timeLeft = () => deadline ? deadline - Date.now() : Infinity;
+
+  async function worker() {
+    while (queue.length) {
+      if (timeLeft() < minItemMs) {
+        skipped.push(...queue.splice(0));
+        return;
+      }
+
+      const item = queue.shift();
+      results.push(await runWithBudget(item, handler, Math.min(itemBudgetMs, timeLeft())));
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+  await Promise.all(workers);
+
+  if (skipped.length) {
+    logger.warn(`⏳ Deadline near: left ${skipped.length} of ${items.length} items for the next run`);
+  }
+
+  return { results, skipped };
+}
+
+/**
+ * Batch options from `config.processing` for a run that must stop by `deadline`
+ */
+export function batchOptions(processing = {}, deadline = null) {
+  return {
+    concurrency: processing.concurrency,
+    itemBudgetMs: (processing.messageBudgetSeconds ?? 60) * 1000,
+    minItemMs: (processing.minMessageSeconds ?? 10) * 1000,
+    deadline
+  };
+}
+
+/**
+ * Run one item, giving up on waiting for it after the time budget
+ * The handler keeps running in the background; callers queue timed-out
+ * items for a later run, and the processed-message ledger lease keeps that
+ * run from overlapping with one still in flight
+ */
+async function runWithBudget(item, handler, itemBudgetMs) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ item, status: 'timed_out' }), itemBudgetMs);
+  });
+
+  const run = Promise.resolve()
+    .then(() => handler(item))
+    .then(
+      value => ({ item, status: 'completed', value }),
+      error => ({ item, status: 'failed', error })
+    );
+
+  try {
+    return await Promise.race([run, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -1,53 +1,94 @@
 /**
  * Business Rules Engine
- * 
+ *
  * Implements the Core Decision Matrix for:
  * - Refund approvals/denials
  * - Escalation triggers
  * - Response prioritization
+ *
+ * The rules themselves live in `businessRules` in agent-config.json, written
+ * in the rule language of lib/rules-dsl.js: `refunds`, `escalation` and
+ * `priority` rule sets. Every decision returns the rules that fired and a
+ * trace of every rule checked.
+ *
+ * Refund amounts follow the plan's policy in `refunds.policies` (see
+ * lib/refund-policies.js) when the customer's billing history is known.
  */
 
+import { evaluateRuleSet, validateRuleSet, describeCondition, highestPriority } from './rules-dsl.js';
+import { RefundPolicies } from './refund-policies.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger('business-rules');
 
+const OUTCOME_TEXT = {
+  auto_approve: 'auto-approved',
+  require_approval: 'sent for manual approval',
+  escalate: 'escalated'
+};
+
+const REASONING_PREFIX = {
+  auto_approve: 'Auto-approved',
+  require_approval: 'Requires review',
+  escalate: 'Escalated'
+};
+
 export class BusinessRulesEngine {
   constructor(config) {
     this.rules = config.businessRules;
+    this.refundPolicies = new RefundPolicies(this.rules?.refunds);
   }
 
   /**
    * Evaluate if refund should be auto-approved
+   * `outcome` is auto_approve, require_approval or escalate. With
+   * `billingHistory`, the amount follows the plan's refund policy and
+   * `breakdown` shows how it was worked out
    */
-  evaluateRefundRequest(userContext, requestedAmount = null) {
+  evaluateRefundRequest(userContext, requestedAmount = null, { email = null, analysis = null, billingHistory = null } = {}) {
     try {
       logger.info('💰 Evaluating refund request...');
-      
-      const conditions = this.rules.refunds.autoApproveConditions;
-      const userInfo = userContext.userInfo || {};
-      
-      // Check auto-approval conditions
-      const checks = {
-        compliantAssets: userInfo.compliantAssets < conditions.compliantAssetsMax,
-        completedProjects: userInfo.completedProjects <= conditions.completedProjectsMax,
-        daysSinceSignup: userInfo.daysSinceSignup <= conditions.daysSinceSignupMax
-      };
-      
-      const allConditionsMet = Object.values(checks).every(Boolean);
-      
+
+      const plan = userContext?.user?.subscription_plan;
+      const breakdown = billingHistory
+        ? this.refundPolicies.calculate(plan, billingHistory, { requestedAmount })
+        : null;
+      const amount = breakdown
+        ? breakdown.amount
+        : requestedAmount || Math.round(this.rules.refunds.refundAmountDefault * 100); // Convert to cents
+
+      const facts = this._facts({
+        email,
+        analysis,
+        userContext,
+        refund: {
+          requestedAmount,
+          amount,
+          policy: breakdown?.policy || this.refundPolicies.get(plan).type,
+          amountPaid: breakdown?.amountPaid,
+          problem: breakdown?.problem
+        }
+      });
+      const result = evaluateRuleSet(this.rules.refunds, facts);
+
       const decision = {
-        autoApprove: allConditionsMet,
-        amount: requestedAmount || this.rules.refunds.refundAmountDefault * 100, // Convert to cents
-        reasoning: this._buildRefundReasoning(checks, userInfo),
-        conditions: checks
+        outcome: result.outcome,
+        autoApprove: result.outcome === 'auto_approve',
+        amount,
+        breakdown,
+        priority: result.priority,
+        reasoning: `${REASONING_PREFIX[result.outcome] || 'Requires review'}: ${result.reasons.join('; ') || 'no rule matched'}`,
+        rulesFired: result.fired,
+        trace: result.trace
       };
-      
-      logger.info(`💰 Refund decision: ${decision.autoApprove ? 'AUTO-APPROVE' : 'ESCALATE'}`);
+
+      logger.info(`💰 Refund decision: ${decision.outcome} (rules: ${result.fired.join(', ') || 'none'})`);
       return decision;
-      
+
     } catch (error) {
       logger.error('❌ Refund evaluation failed:', error);
       return {
+        outcome: 'escalate',
         autoApprove: false,
         reasoning: 'Evaluation error - escalating to human review',
         error: error.message
@@ -55,49 +96,43 @@ export class BusinessRulesEngine {
     }
   }
 
+  /**
+   * Refund eligibility summary for the customer context (before any request amount is known)
+   */
+  checkRefundEligibility(userContext) {
+    const decision = this.evaluateRefundRequest(userContext, null, { billingHistory: userContext.billingHistory });
+
+    return {
+      eligible: decision.autoApprove,
+      reason: decision.reasoning,
+      userInfo: userContext.usage || {},
+      rulesFired: decision.rulesFired || []
+    };
+  }
+
   /**
    * Check if email should be escalated to human
    */
   shouldEscalate(email, aiAnalysis, userContext = null) {
     try {
       logger.info('🚨 Checking escalation criteria...');
-      
-      const escalationRules = this.rules.escalation;
-      const escalationReasons = [];
-      
-      // Check AI confidence
-      if (aiAnalysis.confidence < escalationRules.aiConfidenceThreshold) {
-        escalationReasons.push(`Low AI confidence: ${aiAnalysis.confidence}`);
-      }
-      
-      // Check for escalation keywords
-      const content = `${email.subject} ${email.body}`.toLowerCase();
-      for (const keyword of escalationRules.keywords) {
-        if (content.includes(keyword.toLowerCase())) {
-          escalationReasons.push(`Escalation keyword found: ${keyword}`);
-        }
-      }
-      
-      // Check sentiment
-      if (aiAnalysis.sentiment && aiAnalysis.sentiment < escalationRules.sentimentThreshold) {
-        escalationReasons.push(`Negative sentiment: ${aiAnalysis.sentiment}`);
-      }
-      
-      // Check for billing disputes
-      if (userContext?.billing?.hasDisputes) {
-        escalationReasons.push('Customer has active billing disputes');
-      }
-      
-      const shouldEscalate = escalationReasons.length > 0;
-      
+
+      const facts = this._facts({ email, analysis: aiAnalysis, userContext });
+      const result = evaluateRuleSet(this.rules.escalation, facts);
+      const shouldEscalate = result.outcome === 'escalate';
+
+      const priority = this._calculatePriority(facts, result);
+
       logger.info(`🚨 Escalation decision: ${shouldEscalate ? 'ESCALATE' : 'HANDLE'}`);
-      
+
       return {
         escalate: shouldEscalate,
-        reasons: escalationReasons,
-        priority: this._calculatePriority(escalationReasons, aiAnalysis)
+        reasons: shouldEscalate ? result.reasons : [],
+        priority,
+        rulesFired: result.fired,
+        trace: result.trace
       };
-      
+
     } catch (error) {
       logger.error('❌ Escalation check failed:', error);
       return {
@@ -110,91 +145,86 @@ export class BusinessRulesEngine {
 
   /**
    * Determine response priority level
+   * The highest of the `priority` rule set and the fired escalation rules
    */
-  _calculatePriority(escalationReasons, aiAnalysis) {
-    // High priority triggers
-    const highPriorityKeywords = ['legal', 'ceo', 'urgent', 'lawsuit'];
-    const hasHighPriorityKeyword = escalationReasons.some(reason => 
-      highPriorityKeywords.some(keyword => reason.toLowerCase().includes(keyword))
-    );
-    
-    if (hasHighPriorityKeyword) {
-      return 'critical';
-    }
-    
-    if (aiAnalysis.sentiment && aiAnalysis.sentiment < -0.6) {
-      return 'high';
-    }
-    
-    if (escalationReasons.length > 2) {
-      return 'high';
-    }
-    
-    return 'medium';
+  _calculatePriority(facts, escalationResult) {
+    const result = evaluateRuleSet(this.rules.priority, {
+      ...facts,
+      escalation: { reasonCount: escalationResult.fired.length }
+    });
+
+    return highestPriority([result.priority, escalationResult.priority]) || 'medium';
   }
 
   /**
-   * Build reasoning text for refund decisions
+   * Facts the rules are evaluated against
    */
-  _buildRefundReasoning(checks, userInfo) {
-    const passed = [];
-    const failed = [];
-    
-    if (checks.compliantAssets) {
-      passed.push(`Low asset usage (${userInfo.compliantAssets || '0'} assets)`);
-    } else {
-      failed.push(`High asset usage (${userInfo.compliantAssets || '0'} assets)`);
-    }
-    
-    if (checks.completedProjects) {
-      passed.push(`No completed projects (${userInfo.completedProjects || 0})`);
-    } else {
-      failed.push(`Has completed projects (${userInfo.completedProjects || 0})`);
-    }
-    
-    if (checks.daysSinceSignup) {
-      passed.push(`Recent signup (${userInfo.daysSinceSignup || 0} days)`);
-    } else {
-      failed.push(`Long-term user (${userInfo.daysSinceSignup || 0} days)`);
-    }
-    
-    if (failed.length === 0) {
-      return `Auto-approved: ${passed.join(', ')}`;
-    } else {
-      return `Requires review: ${failed.join(', ')}`;
-    }
+  _facts({ email = null, analysis = null, userContext = null, refund = {} }) {
+    const user = userContext?.user || {};
+
+    return {
+      email: email ? {
+        from: email.from,
+        customerEmail: email.customerEmail,
+        subject: email.subject || '',
+        body: email.body || '',
+        text: `${email.subject || ''} ${email.body || ''}`,
+        isUrgent: Boolean(email.isUrgent)
+      } : {},
+      analysis: analysis || {},
+      customer: {
+        found: Boolean(userContext?.userFound),
+        hasBillingAccount: Boolean(userContext?.stripeCustomer),
+        hasDisputes: (userContext?.billingHistory?.charges || []).some(charge => charge.disputed),
+        userType: user.user_type || null,
+        plan: user.subscription_plan || null,
+        subscriptionStatus: user.subscription_status || null,
+        ...(userContext?.usage || {})
+      },
+      refund
+    };
   }
 
   /**
    * Validate business logic configuration
    */
   validateConfig() {
-    const required = [
-      'refunds.autoApproveConditions.compliantAssetsMax',
-      'refunds.autoApproveConditions.completedProjectsMax', 
-      'refunds.autoApproveConditions.daysSinceSignupMax',
-      'escalation.aiConfidenceThreshold',
-      'escalation.keywords',
-      'escalation.sentimentThreshold'
-    ];
-    
-    const missing = required.filter(path => {
-      const value = this._getNestedValue(this.rules, path);
-      return value === undefined || value === null;
-    });
-    
-    if (missing.length > 0) {
-      throw new Error(`Missing business rule configuration: ${missing.join(', ')}`);
+    const errors = ['refunds', 'escalation', 'priority']
+      .flatMap(name => validateRuleSet(this.rules?.[name], `businessRules.${name}`));
+
+    if (typeof this.rules?.refunds?.refundAmountDefault !== 'number') {
+      errors.push('businessRules.refunds.refundAmountDefault must be a number');
+    }
+
+    errors.push(...this.refundPolicies.validate());
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid business rule configuration: ${errors.join('; ')}`);
     }
-    
+
     logger.info('✅ Business rules configuration validated');
     return true;
   }
+}
 
-  /**
-   * Get nested object value by dot-notation path
-   */
-  _getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => current?.[key], obj);
+/**
+ * Plain-language summary of the configured rules, for AI prompts
+ */
+export function describeBusinessRules(rules) {
+  const lines = rules.refunds.rules
+    .filter(rule => rule.then.outcome)
+    .map(rule => `- Refunds are ${OUTCOME_TEXT[rule.then.outcome]} if ${describeCondition(rule.when)}`);
+
+  if (rules.refunds.default?.outcome) {
+    lines.push(`- Other refunds are ${OUTCOME_TEXT[rules.refunds.default.outcome]}`);
   }
+
+  lines.push(...new RefundPolicies(rules.refunds).describe().map(policy => `- Refund amount for ${policy}`));
+
+  const escalations = rules.escalation.rules.filter(rule => rule.then.outcome === 'escalate');
+  if (escalations.length) {
+    lines.push(`- Escalate if: ${escalations.map(rule => describeCondition(rule.when)).join('; or ')}`);
+  }
+
+  return lines.join('\n');
 }
@@ -0,0 +1,204 @@
+/**
+ * Support Case Manager
+ *
+ * Groups every message of a Gmail thread and every agent action under one
+ * case ID, with a lifecycle state:
+ * new -> awaiting_customer | awaiting_human -> resolved -> reopened
+ *
+ * Entering awaiting_human starts the SLA clock for the case's priority
+ * (see `sla.targets` in agent-config.json).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('case-manager');
+
+export const CASE_STATES = ['new', 'awaiting_customer', 'awaiting_human', 'resolved', 'reopened'];
+
+// Case state and timeline event for each pipeline outcome
+const OUTCOME_TRANSITIONS = {
+  refund_processed: { state: 'resolved', event: 'refund' },
+  refund_shadowed: { state: 'awaiting_human', event: 'refund' },
+  help_provided: { state: 'awaiting_customer', event: 'reply_sent' },
+  info_provided: { state: 'awaiting_customer', event: 'reply_sent' },
+  subscription_canceled: { state: 'resolved', event: 'cancellation' },
+  cancellation_shadowed: { state: 'awaiting_human', event: 'cancellation' },
+  billing_answered: { state: 'awaiting_customer', event: 'reply_sent' },
+  receipt_sent: { state: 'resolved', event: 'reply_sent' },
+  plan_change_link_sent: { state: 'awaiting_customer', event: 'reply_sent' },
+  bug_report_acknowledged: { state: 'awaiting_customer', event: 'reply_sent' },
+  feature_request_acknowledged: { state: 'resolved', event: 'reply_sent' },
+  sales_inquiry_answered: { state: 'awaiting_customer', event: 'reply_sent' },
+  escalated: { state: 'awaiting_human', event: 'escalation' },
+  pending_approval: { state: 'awaiting_human', event: 'pending_action' },
+  error_escalated: { state: 'awaiting_human', event: 'processing_error' },
+  // Retries keep the case where it was until they succeed or give up
+  retry_scheduled: { state: null, event: 'processing_error' }
+};
+
+export class CaseManager {
+  constructor({ config, supabase }) {
+    this.enabled = config.cases?.enabled !== false;
+    this.sla = config.sla || {};
+    this.supabase = supabase;
+  }
+
+  /**
+   * Open (or reopen) the case for an incoming message and log the message
+   */
+  async openForMessage(emailInfo) {
+    if (!this.enabled) return null;
+
+    try {
+      const supportCase = await this.supabase.upsertCaseForThread({
+        id: uuidv4(),
+        threadId: emailInfo.threadId || emailInfo.messageId,
+        customerEmail: emailInfo.customerEmail || emailInfo.from,
+        subject: emailInfo.subject
+      });
+
+      if (!supportCase) return null;
+
+      await this.supabase.addCaseEvent(supportCase.id, 'message_received', {
+        from: emailInfo.from,
+        subject: emailInfo.subject,
+        state: supportCase.state
+      }, emailInfo.messageId);
+
+      logger.info(`📂 Case ${supportCase.id} (${supportCase.state}) for thread ${supportCase.thread_id}`);
+      return supportCase;
+
+    } catch (error) {
+      logger.warn('⚠️ Could not open support case, continuing without one:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a pipeline result on the case and move it to the matching state
+   */
+  async recordOutcome(caseId, result, emailInfo = null) {
+    const transition = OUTCOME_TRANSITIONS[result?.action];
+    if (!caseId || !transition) return null;
+
+    let state = transition.state;
+    // Drafted (shadow mode) replies still need a human to send them
+    if (result.mode === 'shadow') {
+      state = 'awaiting_human';
+    }
+
+    await this.supabase.addCaseEvent(caseId, transition.event, result, emailInfo?.messageId || null);
+    if (!state) return null;
+
+    if (state === 'awaiting_human') {
+      await this.startSla(caseId, result.priority, emailInfo?.timestamp);
+    }
+
+    return await this.setState(caseId, state, { priority: result.priority, agentAction: true });
+  }
+
+  /**
+   * Start the SLA clock for a case handed to a human
+   * Deadlines run from when the customer wrote; a clock that is already running is kept
+   */
+  async startSla(caseId, priority = 'medium', receivedAt = null) {
+    if (!caseId || this.sla.enabled === false) return null;
+
+    const level = this.sla.targets?.[priority] ? priority : 'medium';
+    const targets = this.sla.targets?.[level];
+    if (!targets) return null;
+
+    const received = new Date(receivedAt || Date.now());
+    const from = Number.isNaN(received.getTime()) ? Date.now() : received.getTime();
+
+    const started = await this.supabase.startCaseSla(caseId, {
+      priority: level,
+      firstResponseDueAt: new Date(from + targets.firstResponseMinutes * 60000).toISOString(),
+      resolutionDueAt: new Date(from + targets.resolutionHours * 3600000).toISOString()
+    });
+
+    if (started) {
+      logger.info(`⏱️ SLA started for case ${caseId} (${level}): first response due ${started.first_response_due_at}`);
+    }
+
+    return started;
+  }
+
+  /**
+   * Record a reply that went out to the customer
+   * Logs time-to-first-response for the email and stops the SLA clock for human replies
+   */
+  async recordResponse(emailInfo, { actionType, human = false, sentMessageId = null } = {}) {
+    if (!emailInfo) return;
+
+    const received = new Date(emailInfo.timestamp);
+    const responseTimeSeconds = Number.isNaN(received.getTime())
+      ? null
+      : Math.max(0, Math.round((Date.now() - received.getTime()) / 1000));
+
+    await this.supabase.logActivity('response_sent', {
+      customer: emailInfo.from,
+      recipient: (emailInfo.customerEmail || emailInfo.from || '').toLowerCase(),
+      caseId: emailInfo.caseId,
+      promptVersion: emailInfo.promptVersion,
+      messageId: emailInfo.messageId,
+      actionType,
+      human,
+      responseTimeSeconds
+    });
+
+    if (!this.enabled || !emailInfo.caseId) return;
+
+    await this.supabase.addCaseEvent(emailInfo.caseId, 'email_sent', {
+      actionType,
+      human,
+      sentMessageId,
+      responseTimeSeconds
+    }, emailInfo.messageId);
+    if (human) {
+      await this.supabase.markCaseResponded(emailInfo.caseId);
+    }
+  }
+
+  /**
+   * Record a standalone event on a case
+   */
+  async recordEvent(caseId, eventType, details = {}, messageId = null) {
+    if (!caseId) return;
+    await this.supabase.addCaseEvent(caseId, eventType, details, messageId);
+  }
+
+  /**
+   * Move a case to a new lifecycle state
+   */
+  async setState(caseId, state, { priority = null, agentAction = false, note = null } = {}) {
+    if (!caseId) return null;
+
+    if (!CASE_STATES.includes(state)) {
+      throw new Error(`Unknown case state: ${state}`);
+    }
+
+    try {
+      const updated = await this.supabase.updateCaseState(caseId, state, { priority, agentAction });
+      await this.supabase.addCaseEvent(caseId, 'state_change', { state, note });
+      return updated;
+
+    } catch (error) {
+      logger.warn(`⚠️ Case ${caseId} state update failed:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Look up cases (with their timelines) by case ID, thread ID or customer email
+   */
+  async findCases(criteria) {
+    const cases = await this.supabase.findCases(criteria);
+
+    return await Promise.all(cases.map(async supportCase => ({
+      ...supportCase,
+      events: await this.supabase.getCaseEvents(supportCase.id)
+    })));
+  }
+}
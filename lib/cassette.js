@@ -0,0 +1,324 @@
+/**
+ * Record/Replay Cassette
+ *
+ * Captures model calls (AIOperations) and MCP tool calls (MCPClientManager)
+ * to a JSON fixture file, and serves them back without any network access:
+ * - record: make the real call and append the request/response pair
+ * - replay: answer from the file; a call with no recorded match throws
+ *   (code CASSETTE_MISS) and is listed by getMisses()
+ *
+ * Mode and file come from `cassette.mode` / `cassette.path`, overridden by
+ * the CASSETTE_MODE and CASSETTE_PATH environment variables.
+ *
+ * Requests are matched on a hash of their normalized content. Timestamps,
+ * dates, UUIDs, latencies and any `cassette.ignorePatterns` are masked
+ * first, so a replay on another day still matches. Identical requests are
+ * answered in recorded order.
+ *
+ * Customer data is scrubbed before anything is written (CassetteScrubber):
+ * emails become redacted-N@example.com, names "Customer N", and cards,
+ * phone numbers and addresses PII redactor placeholders. Replayed requests
+ * are scrubbed the same way before matching.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, isAbsolute } from 'path';
+import { PiiRedactor } from './pii-redactor.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cassette');
+
+const DEFAULT_MASKS = [
+  /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g,
+  /\b\d{4}-\d{2}-\d{2}\b/g,
+  /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+  // Measured timings, also inside JSON-encoded SQL parameters
+  /\b(?:latencyMs|responseTimeSeconds|processingId)\\*"?\s*:\s*\d+/g
+];
+
+// Keys whose values are a person's name; `name` counts when the object also has an email
+const NAME_KEYS = ['full_name', 'first_name', 'last_name', 'display_name', 'customer_name'];
+// "Jane Doe <jane@example.com>" in From/To headers and message text
+const DISPLAY_NAME = /"?(\p{Lu}[\p{L}'.-]*(?: \p{Lu}[\p{L}'.-]*){0,3})"?\s*<[^<>\s@]+@[^<>\s]+>/gu;
+// Left as they are, so the phone pattern can't match digit runs inside them
+const NOT_PII = /(\b[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}\b|\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/i;
+const SCRUBBED_EMAIL = /^redacted-\d+@example\.com$/i;
+const SCRUBBED_NAME = /^Customer \d+$/;
+
+const cassettes = new Map();
+
+/**
+ * Shared cassette for the configured file, or null when mode is off
+ */
+export function getCassette(config = {}) {
+  const settings = config.cassette || {};
+  const mode = process.env.CASSETTE_MODE || settings.mode || 'off';
+
+  if (mode === 'off') return null;
+
+  if (!['record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown cassette mode: ${mode} (expected off, record or replay)`);
+  }
+
+  const path = process.env.CASSETTE_PATH || settings.path;
+  if (!path) {
+    throw new Error('Cassette mode is on but no cassette.path / CASSETTE_PATH is set');
+  }
+
+  const filePath = isAbsolute(path) ? path : join(process.cwd(), path);
+  const key = `${mode}:${filePath}`;
+
+  if (!cassettes.has(key)) {
+    const email = config.email || {};
+    const keep = [email.supportInbox, ...(email.supportAliases || []), email.adminEmail].filter(Boolean);
+    cassettes.set(key, new Cassette({ mode, filePath, ignorePatterns: settings.ignorePatterns, keep }));
+  }
+
+  return cassettes.get(key);
+}
+
+export class Cassette {
+  constructor({ mode, filePath, ignorePatterns = [], keep = [] }) {
+    this.mode = mode;
+    this.filePath = filePath;
+    this.masks = [...DEFAULT_MASKS, ...ignorePatterns.map(pattern => new RegExp(pattern, 'g'))];
+    this.keep = keep;
+    this.misses = [];
+
+    if (mode === 'replay') {
+      if (!existsSync(filePath)) {
+        throw new Error(`Cassette file not found for replay: ${filePath}`);
+      }
+
+      this.interactions = JSON.parse(readFileSync(filePath, 'utf-8')).interactions || [];
+      this.scrubber = new CassetteScrubber({ keep });
+      logger.info(`📼 Replaying ${this.interactions.length} recorded calls from ${filePath}`);
+    } else {
+      this.interactions = [];
+      this.recorded = [];
+      logger.info(`📼 Recording model and MCP calls to ${filePath}`);
+    }
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Run `call` (record mode) or answer from the cassette (replay mode)
+   * `kind` is 'llm' or 'mcp'; `request` must describe the call completely
+   */
+  async intercept(kind, request, call) {
+    if (this.mode === 'replay') {
+      const scrubbed = this.scrubber.scrub(request);
+      return this._replay(kind, this._key(kind, scrubbed), scrubbed);
+    }
+
+    try {
+      const response = await call();
+      this._append({ kind, request, response });
+      return response;
+    } catch (error) {
+      this._append({ kind, request, error: { message: error.message, step: error.step } });
+      throw error;
+    }
+  }
+
+  /**
+   * Wrap an LLM provider so its calls go through the cassette
+   */
+  wrapProvider(provider) {
+    const cassette = this;
+
+    return {
+      name: provider.name,
+      modelName: provider.modelName,
+
+      async complete(prompt, options = {}) {
+        return cassette.intercept('llm', { model: provider.modelName, prompt, json: Boolean(options.json) },
+          () => provider.complete(prompt, options));
+      },
+
+      async generate(prompt, options = {}) {
+        return (await this.complete(prompt, options)).text;
+      }
+    };
+  }
+
+  /**
+   * Calls in replay mode that had no recorded match
+   */
+  getMisses() {
+    return [...this.misses];
+  }
+
+  /**
+   * Throw a CASSETTE_MISS error if any call after the first `since` misses
+   * had no recorded match, so a miss a caller caught still fails the run
+   */
+  assertNoMisses(since = 0) {
+    const misses = this.misses.slice(since);
+    if (!misses.length) return;
+
+    const error = new Error(`Replay left the recorded path: no recorded match for ${misses.map(miss => describeRequest(miss.kind, miss.request)).join(', ')} (${this.filePath})`);
+    error.code = 'CASSETTE_MISS';
+    error.misses = misses;
+    throw error;
+  }
+
+  /**
+   * Recorded calls replay never asked for
+   */
+  getUnused() {
+    return this.interactions.filter(interaction => this.mode === 'replay' && !interaction.used);
+  }
+
+  _replay(kind, key, request) {
+    const interaction = this.interactions.find(entry => entry.key === key && !entry.used);
+
+    if (!interaction) {
+      const error = new Error(`Cassette has no recorded ${kind} call matching ${describeRequest(kind, request)} (${this.filePath})`);
+      error.code = 'CASSETTE_MISS';
+
+      this.misses.push({ kind, key, request });
+      logger.error(`📼 ${error.message}`);
+      throw error;
+    }
+
+    interaction.used = true;
+
+    if (interaction.error) {
+      const error = new Error(interaction.error.message);
+      if (interaction.error.step) error.step = interaction.error.step;
+      throw error;
+    }
+
+    return interaction.response;
+  }
+
+  _append(interaction) {
+    this.recorded.push({ ...interaction, recordedAt: new Date().toISOString() });
+
+    // A name seen in a later call has to be scrubbed from earlier ones too,
+    // so the whole recording is scrubbed again on every write
+    const scrubber = new CassetteScrubber({ keep: this.keep });
+    this.recorded.forEach(entry => scrubber.collectNames(entry));
+
+    this.interactions = this.recorded.map(({ kind, request, response, error, recordedAt }) => {
+      const scrubbed = scrubber.scrub(request);
+      const outcome = error ? { error: scrubber.scrub(error) } : { response: scrubber.scrub(response) };
+      return { kind, key: this._key(kind, scrubbed), request: scrubbed, ...outcome, recordedAt };
+    });
+
+    // Written after every call so a crashed run still leaves a usable cassette
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    writeFileSync(this.filePath, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2));
+  }
+
+  _key(kind, request) {
+    const normalized = this.masks.reduce(
+      (text, mask) => text.replace(mask, '<masked>'),
+      stableStringify({ kind, request })
+    );
+
+    return createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+  }
+}
+
+/**
+ * Replaces customer data in recorded calls with stand-ins of the same shape,
+ * so the pipeline behaves the same on replay. Values that are already
+ * scrubbed are left alone, which makes scrubbing a replayed request give
+ * the same result as scrubbing the recorded one.
+ */
+export class CassetteScrubber {
+  constructor({ keep = [] } = {}) {
+    this.redactor = new PiiRedactor({
+      types: ['email', 'card', 'phone', 'address'],
+      keep,
+      keepPatterns: [SCRUBBED_EMAIL],
+      placeholder: (type, n) => type === 'email' ? `redacted-${n}@example.com` : `[${type.toUpperCase()}_${n}]`
+    });
+    this.names = new Map();
+    this.namePattern = null;
+  }
+
+  /**
+   * Learn the person names in a value, so scrub() replaces them wherever they appear
+   */
+  collectNames(value) {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(DISPLAY_NAME)) this._addName(match[1]);
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectNames(item));
+      return;
+    }
+    if (value && typeof value === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        const isName = NAME_KEYS.includes(key) || (key === 'name' && 'email' in value);
+        if (isName && typeof item === 'string') this._addName(item);
+        this.collectNames(item);
+      }
+    }
+  }
+
+  /**
+   * Copy of `value` with every string scrubbed
+   */
+  scrub(value) {
+    if (typeof value === 'string') return this._scrubText(value);
+    if (Array.isArray(value)) return value.map(item => this.scrub(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.scrub(item)]));
+    }
+    return value;
+  }
+
+  _scrubText(text) {
+    // Emails first, so a name can't match inside an address
+    const redacted = text.split(NOT_PII)
+      .map((part, index) => index % 2 ? part : this.redactor.redact(part))
+      .join('');
+    return this.namePattern ? redacted.replace(this.namePattern, name => this.names.get(name)) : redacted;
+  }
+
+  _addName(value) {
+    const name = value.trim();
+    if (name.length < 3 || name.includes('@') || SCRUBBED_NAME.test(name) || this.names.has(name)) return;
+
+    const label = `Customer ${new Set(this.names.values()).size + 1}`;
+    this.names.set(name, label);
+
+    // Replies greet customers by first name
+    const firstName = name.split(/\s+/)[0];
+    if (firstName.length >= 3 && !this.names.has(firstName)) this.names.set(firstName, label);
+
+    // Longest first, so "Jane Doe" wins over "Jane"
+    const alternatives = [...this.names.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(known => known.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    this.namePattern = new RegExp(`(?<![\\p{L}\\d_])(?:${alternatives.join('|')})(?![\\p{L}\\d_])`, 'gu');
+  }
+}
+
+function describeRequest(kind, request) {
+  return kind === 'mcp'
+    ? `${request.service}.${request.tool}`
+    : `${request.model} prompt "${String(request.prompt).slice(0, 80)}..."`;
+}
+
+/**
+ * JSON with sorted object keys, so key order doesn't change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,78 @@
+/**
+ * Conversation History Builder
+ *
+ * Condenses a Gmail thread into a short, de-duplicated history for prompts:
+ * - Strips quoted replies ("On ... wrote:", "> ..." lines, forwarded headers)
+ * - Labels each message as customer or support
+ * - Drops repeated bodies and truncates long messages
+ */
+
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^-{2,}\s*Forwarded message\s*-{2,}/im,
+  /^From: .+\n(?:Sent|Date): /m,
+  /^_{10,}\s*$/m
+];
+
+/**
+ * Remove quoted previous messages from an email body
+ */
+export function stripQuotedText(body = '') {
+  let text = String(body).replace(/\r\n/g, '\n');
+
+  // Cut at the first reply/forward marker
+  for (const marker of QUOTE_MARKERS) {
+    const match = text.match(marker);
+    if (match) {
+      text = text.slice(0, match.index);
+    }
+  }
+
+  return text
+    .split('\n')
+    .filter(line => !line.trimStart().startsWith('>'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build a condensed conversation history from thread messages (oldest first)
+ * Excludes the message currently being processed
+ */
+export function buildConversationHistory(threadMessages = [], currentMessageId = null, options = {}) {
+  const {
+    supportAddresses = [],
+    maxMessages = 10,
+    maxCharsPerMessage = 1500
+  } = options;
+
+  const support = supportAddresses.map(address => address.toLowerCase());
+  const seenBodies = new Set();
+  const history = [];
+
+  for (const message of threadMessages) {
+    const id = message.id || message.message_id;
+    if (currentMessageId && id === currentMessageId) break;
+
+    const content = stripQuotedText(message.body || message.snippet || '');
+    const fingerprint = content.toLowerCase().replace(/\s+/g, ' ');
+    if (!content || seenBodies.has(fingerprint)) continue;
+    seenBodies.add(fingerprint);
+
+    const from = (message.from || '').toLowerCase();
+    const isSupport = support.some(address => from.includes(address));
+
+    history.push({
+      role: isSupport ? 'support' : 'customer',
+      from: message.from,
+      date: message.date,
+      content: content.length > maxCharsPerMessage
+        ? `${content.slice(0, maxCharsPerMessage)}...`
+        : content
+    });
+  }
+
+  return history.slice(-maxMessages);
+}
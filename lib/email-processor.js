@@ -0,0 +1,1433 @@
+/**
+ * Email Processing Pipeline
+ *
+ * Shared workflow for incoming customer emails, used by both the
+ * push-triggered agent (index.js) and the /process-emails endpoint:
+ * 1. Extract email information
+ * 2. Look up customer in Supabase and Stripe
+ * 3. Analyze with AI
+ * 4. Apply business rules
+ * 5. Execute actions (refund, response, escalation)
+ *
+ * Each action type runs in either "live" or "shadow" mode
+ * (config.operatingMode). Shadow mode runs the full pipeline but drafts
+ * customer emails instead of sending them and records refunds as
+ * "would have refunded" without calling Stripe.
+ *
+ * Refunds the rules engine won't auto-approve and low-confidence replies are
+ * queued for human approval (config.approvalQueue). Cancellations, billing
+ * questions, receipts, plan changes, bug reports, feature requests, account
+ * deletions and sales inquiries follow their `intents` automation policy
+ * (lib/intent-policies.js).
+ *
+ * Every Gmail message is claimed in the processed-message ledger before
+ * processing (config.idempotency), so duplicate deliveries are skipped and
+ * retries never repeat a refund or customer reply.
+ *
+ * Each thread maps to a support case whose state and timeline are updated
+ * with every message and action (lib/case-manager.js).
+ *
+ * Bounces, auto-replies and list mail are ignored, and once a recipient has
+ * had `loopProtection.maxAutoRepliesPerRecipient` automated replies in the
+ * window, further messages go to a human instead (lib/reply-limiter.js).
+ *
+ * Failed emails are retried with backoff and dead-lettered after
+ * `retryQueue.maxAttempts` (lib/retry-queue.js); the admin is only alerted
+ * once an email is dead-lettered.
+ *
+ * AI-written replies are checked by lib/reply-guardrails.js before sending;
+ * a reply that still fails after regenerating is held for human approval.
+ *
+ * With `ai.tools` enabled, the model looks up the account data it needs
+ * (lib/agent-tools.js) and every tool call is kept on the processing record.
+ */
+
+import { ApprovalQueue } from './approval-queue.js';
+import { MessageLedger } from './message-ledger.js';
+import { buildConversationHistory, stripQuotedText } from './conversation.js';
+import { CaseManager } from './case-manager.js';
+import { ReplyLimiter } from './reply-limiter.js';
+import { RetryQueue } from './retry-queue.js';
+import { ReplyGuardrails } from './reply-guardrails.js';
+import { AgentTools } from './agent-tools.js';
+import { IntentPolicies } from './intent-policies.js';
+import { batchOptions, processBatch } from './batch-runner.js';
+import { getCassette } from './cassette.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('email-processor');
+
+// Result action (and activity type) for intents answered with a reply
+const INTENT_OUTCOMES = {
+  billing_question: 'billing_answered',
+  receipt_resend: 'receipt_sent',
+  plan_change: 'plan_change_link_sent',
+  bug_report: 'bug_report_acknowledged',
+  feature_request: 'feature_request_acknowledged',
+  sales_inquiry: 'sales_inquiry_answered'
+};
+
+export class EmailProcessor {
+  constructor({ config, gmail, supabase, stripe, ai, businessRules, knowledgeBase }) {
+    this.config = config;
+    this.gmail = gmail;
+    this.supabase = supabase;
+    this.stripe = stripe;
+    this.ai = ai;
+    this.businessRules = businessRules;
+    this.knowledgeBase = knowledgeBase;
+    this.operatingMode = config.operatingMode || {};
+    this.approvalQueue = new ApprovalQueue({ config, gmail, supabase, stripe });
+    this.ledger = new MessageLedger({ config, supabase });
+    this.cases = new CaseManager({ config, supabase });
+    this.replyLimiter = new ReplyLimiter({ config, supabase });
+    this.retryQueue = new RetryQueue({ config, supabase });
+    this.guardrails = new ReplyGuardrails(config);
+    this.tools = new AgentTools({ config, supabase, stripe });
+    this.intents = new IntentPolicies(config);
+    this.cassette = getCassette(config);
+  }
+
+  /**
+   * Resolve operating mode ("live" or "shadow") for an action type
+   */
+  getActionMode(actionType) {
+    return this.operatingMode.actions?.[actionType] || this.operatingMode.default || 'live';
+  }
+
+  /**
+   * Check if an action type runs in shadow (draft-only) mode
+   */
+  isShadow(actionType) {
+    return this.getActionMode(actionType) === 'shadow';
+  }
+
+  /**
+   * Send a customer-facing email, or draft it when the action is in shadow mode
+   */
+  async deliverCustomerEmail(actionType, to, subject, body, originalEmail = null) {
+    const messageId = originalEmail?.messageId;
+
+    if (messageId && this.ledger.getStep(messageId, 'customer_reply')) {
+      logger.info(`⏭️ Reply for ${messageId} already delivered, not sending again`);
+      return null;
+    }
+
+    let result;
+    if (this.isShadow(actionType)) {
+      logger.info(`🕶️ Shadow mode (${actionType}): drafting reply instead of sending`);
+      result = await this.runStep('gmail_send', () => this.gmail.draftEmail(to, subject, body, originalEmail));
+    } else {
+      result = await this.runStep('gmail_send', () => this.gmail.sendEmail(to, subject, body, originalEmail));
+      await this.cases.recordResponse(originalEmail, {
+        actionType,
+        sentMessageId: result?.id || result?.message_id || null
+      });
+    }
+
+    if (messageId) {
+      await this.ledger.recordStep(messageId, 'customer_reply', {
+        actionType,
+        mode: this.getActionMode(actionType)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Process an email exactly once, guarded by the processed-message ledger
+   */
+  async processEmail(emailData) {
+    const messageId = emailData.message_id || emailData.id;
+
+    if (!messageId || !this.ledger.isEnabled()) {
+      if (!messageId) logger.warn('⚠️ Email has no message ID, processing without idempotency guard');
+      return await this.runPipeline(emailData);
+    }
+
+    let claim;
+    try {
+      claim = await this.ledger.claim(messageId);
+    } catch (error) {
+      // Without a claim we can't rule out a concurrent run, so leave it for later
+      logger.error(`❌ Could not claim message ${messageId}:`, error);
+      return { action: 'deferred', reason: 'Processed-message ledger unavailable', messageId };
+    }
+
+    if (!claim.claimed) {
+      return {
+        action: 'duplicate',
+        messageId,
+        status: claim.entry?.status,
+        outcome: claim.entry?.outcome
+      };
+    }
+
+    let result;
+    try {
+      result = await this.runPipeline(emailData);
+    } catch (error) {
+      // Release the claim as failed instead of leaving it processing until the lease expires
+      await this.ledger.finish(messageId, 'failed', { action: 'error', error: error.message, code: error.code || null });
+      throw error;
+    }
+
+    // A dead-lettered email stays closed until it is re-driven; a failed one
+    // is reclaimed by the retry run once its backoff has passed
+    const failed = ['error_escalated', 'retry_scheduled'].includes(result.action);
+    const status = result.deadLettered ? 'dead' : failed ? 'failed' : 'completed';
+    await this.ledger.finish(messageId, status, result);
+
+    return result;
+  }
+
+  /**
+   * Main email processing workflow
+   * On cassette replay, a call with no recorded match fails the run even if
+   * the step that made it caught the error and carried on
+   */
+  async runPipeline(emailData) {
+    const missesBefore = this.cassette?.getMisses().length ?? 0;
+    const result = await this.executePipeline(emailData);
+
+    this.cassette?.assertNoMisses(missesBefore);
+    return result;
+  }
+
+  /**
+   * Extract, check and handle one email, scheduling a retry if a step fails
+   */
+  async executePipeline(emailData) {
+    const processingId = Date.now();
+    logger.info(`📧 Processing email ${processingId}: ${emailData.subject}`);
+
+    let emailInfo = null;
+
+    try {
+      // Step 1: Extract email information
+      emailInfo = this.ai.extractEmailInfo(emailData);
+
+      // Step 2: Check if valid support email (not a bounce, auto-reply or list mail)
+      const automatedReason = this.gmail.getAutomatedReason(emailInfo);
+      if (automatedReason) {
+        logger.info(`🚫 Skipping non-support email: ${automatedReason}`);
+        return { action: 'ignored', reason: automatedReason };
+      }
+
+      // Step 3: Open (or reopen) the support case for this thread
+      const supportCase = await this.cases.openForMessage(emailInfo);
+      emailInfo.caseId = supportCase?.id || null;
+
+      // Hand the conversation to a human once the automated reply cap is reached
+      const replyLimit = await this.replyLimiter.check(emailInfo.customerEmail || emailInfo.from);
+      const result = replyLimit.limited
+        ? await this.handleReplyLimitReached(emailInfo, replyLimit)
+        : await this.handleSupportEmail(emailInfo);
+
+      await this.cases.recordOutcome(emailInfo.caseId, result, emailInfo);
+      const recorded = await this.recordToolCalls(emailInfo, { ...result, caseId: emailInfo.caseId });
+      return await this.recordLlmUsage(emailInfo, recorded);
+
+    } catch (error) {
+      // A replay that left the recorded path must fail the run, not get retried
+      if (error.code === 'CASSETTE_MISS') throw error;
+
+      const failedStep = error.step || 'unknown';
+      logger.error(`❌ Email processing failed for ${processingId} (${failedStep} step):`, error);
+
+      const job = await this.scheduleRetry(emailData, error);
+      let result;
+
+      if (job?.status === 'pending') {
+        result = {
+          action: 'retry_scheduled',
+          error: error.message,
+          failedStep,
+          attempts: job.attempts,
+          nextAttemptAt: job.next_attempt_at,
+          processingId
+        };
+      } else {
+        // Out of retries (or no retry queue) - a human has to take over
+        await this.handleEmergencyEscalation(emailData, error, job);
+
+        result = {
+          action: 'error_escalated',
+          error: error.message,
+          failedStep,
+          deadLettered: job?.status === 'dead',
+          processingId
+        };
+      }
+
+      await this.cases.recordOutcome(emailInfo?.caseId, result, emailInfo);
+      const recorded = await this.recordToolCalls(emailInfo, { ...result, caseId: emailInfo?.caseId || null });
+      return await this.recordLlmUsage(emailInfo, recorded);
+    }
+  }
+
+  /**
+   * Attach the tool calls the model made for an email to its result (kept as
+   * the processed-message outcome) and log them
+   */
+  async recordToolCalls(emailInfo, result) {
+    const calls = emailInfo?.toolCalls;
+    if (!calls?.length) return result;
+
+    await this.supabase.logActivity('tool_calls', {
+      customer: emailInfo.from,
+      caseId: emailInfo.caseId,
+      promptVersion: emailInfo.promptVersion,
+      calls,
+      budgetExhausted: emailInfo.toolBudgetExhausted
+    });
+
+    return { ...result, toolCalls: calls };
+  }
+
+  /**
+   * Attach the model calls, tokens and cost spent on an email to its result
+   * (kept as the processed-message outcome) and log them for reporting
+   */
+  async recordLlmUsage(emailInfo, result) {
+    const usage = emailInfo ? this.ai.getUsage(emailInfo) : null;
+    if (!usage?.calls) return result;
+
+    logger.info(`💲 LLM usage: ${usage.calls} calls, ${usage.promptTokens + usage.completionTokens} tokens, $${usage.costUsd.toFixed(4)}`);
+
+    await this.supabase.logActivity('llm_usage', {
+      customer: emailInfo.from,
+      caseId: emailInfo.caseId,
+      promptVersion: emailInfo.promptVersion,
+      action: result.action,
+      ...usage
+    });
+
+    return { ...result, llm: usage };
+  }
+
+  /**
+   * Queue a failed email for another attempt
+   * Returns the retry job, or null when retries are off or the queue is unavailable
+   */
+  async scheduleRetry(emailData, error) {
+    const messageId = emailData.message_id || emailData.id;
+    if (!messageId || !this.retryQueue.isEnabled()) return null;
+
+    try {
+      return await this.retryQueue.recordFailure(messageId, emailData, error);
+    } catch (queueError) {
+      logger.error(`❌ Could not queue ${messageId} for retry:`, queueError);
+      return null;
+    }
+  }
+
+  /**
+   * Retry failed (or deferred) emails that are due
+   * Jobs that can't start before `deadline`, or whose email another run is
+   * still processing, are released for the next run
+   */
+  async processRetries(limit, { deadline = null } = {}) {
+    const jobs = await this.retryQueue.claimDue(limit);
+    const summary = { claimed: jobs.length, completed: 0, rescheduled: 0, failed: 0, released: 0 };
+
+    const { results, skipped } = await processBatch(jobs, job => this.retryJob(job), batchOptions(this.config.processing, deadline));
+
+    for (const { item, status, value } of results) {
+      if (status === 'failed' || value === 'failed') summary.failed++;
+      else if (value === 'rescheduled') summary.rescheduled++;
+      else if (value === 'completed') summary.completed++;
+      else if (value === 'released') summary.released++;
+      else if (status === 'timed_out') logger.warn(`⏱️ Retry of ${item.message_id} exceeded its time budget`);
+    }
+
+    for (const job of skipped) {
+      await this.retryQueue.release(job.message_id);
+      summary.released++;
+    }
+
+    if (jobs.length) {
+      logger.info(`🔁 Retried ${jobs.length} emails: ${summary.completed} completed, ${summary.rescheduled} rescheduled, ${summary.failed} failed, ${summary.released} released`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run one claimed retry job
+   * Returns 'completed', 'rescheduled', 'failed' or 'released'
+   */
+  async retryJob(job) {
+    try {
+      // Deferred jobs only carry the message ID; fetch the email now
+      const emailData = job.email?.body === undefined
+        ? { ...job.email, ...(await this.gmail.getEmailContent(job.message_id)) }
+        : job.email;
+
+      const result = await this.processEmail(emailData);
+
+      if (result.action === 'retry_scheduled') return 'rescheduled';
+      if (result.action === 'error_escalated') return 'failed';
+
+      // Another run still holds the message; try again once it's done or its lease expires
+      const inFlight = result.action === 'duplicate' && result.status === 'processing';
+
+      if (result.action === 'deferred' || inFlight) {
+        await this.retryQueue.release(job.message_id);
+        return 'released';
+      }
+
+      await this.retryQueue.complete(job.message_id);
+
+      if (this.config.email.markAsRead) {
+        await this.gmail.markEmailAsRead(job.message_id);
+      }
+
+      return 'completed';
+
+    } catch (error) {
+      logger.error(`❌ Retry of ${job.message_id} failed:`, error);
+      await this.retryQueue.release(job.message_id);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Queue new emails that weren't started (e.g. near a function timeout)
+   * so the retry run picks them up without counting a failed attempt
+   */
+  async deferMessages(messages) {
+    if (!this.retryQueue.isEnabled()) {
+      logger.warn(`⚠️ ${messages.length} emails left unprocessed and the retry queue is disabled`);
+      return;
+    }
+
+    for (const message of messages) {
+      try {
+        await this.retryQueue.defer(message.id, { id: message.id, thread_id: message.threadId });
+      } catch (error) {
+        logger.error(`❌ Could not defer email ${message.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Run one pipeline step, tagging any error with the step name for the retry queue
+   */
+  async runStep(step, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      error.step = error.step || step;
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze a support email and carry out the resulting action
+   */
+  async handleSupportEmail(emailInfo) {
+    // Step 4: Load earlier messages in the thread
+    emailInfo.latestReply = stripQuotedText(emailInfo.body);
+    emailInfo.conversationHistory = await this.loadConversationHistory(emailInfo);
+
+    // Step 5: Look up customer context
+    const userContext = await this.runStep('context', () => this.buildUserContext(emailInfo.customerEmail));
+
+    // Step 6: Load relevant knowledge
+    const relevantKnowledge = await this.runStep('context', () => this.knowledgeBase.searchKnowledge(
+      `${emailInfo.subject} ${emailInfo.latestReply || emailInfo.body}`
+    ));
+
+    // Step 7: Let the AI look up any other account data it needs
+    if (this.tools.isEnabled()) {
+      await this.runStep('ai', () => this.gatherLookups(emailInfo, userContext, relevantKnowledge));
+    }
+
+    // Step 8: AI analysis
+    const aiAnalysis = await this.runStep('ai', () => this.ai.analyzeEmail(emailInfo, userContext, relevantKnowledge));
+
+    if (aiAnalysis.parseFailures) {
+      await this.supabase.logActivity('ai_parse_failure', {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        failures: aiAnalysis.parseFailures,
+        recovered: !aiAnalysis.analysisFailed
+      });
+    }
+
+    if (aiAnalysis.promptContext?.dropped.length) {
+      await this.supabase.logActivity('prompt_context_trimmed', {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        tokens: aiAnalysis.promptContext.tokens,
+        dropped: aiAnalysis.promptContext.dropped
+      });
+    }
+
+    // Step 9: Check escalation criteria
+    const escalationCheck = this.businessRules.shouldEscalate(emailInfo, aiAnalysis, userContext);
+
+    if (escalationCheck.escalate) {
+      return await this.handleEscalation(emailInfo, aiAnalysis, escalationCheck, userContext);
+    }
+
+    // Step 10: Execute AI-recommended action
+    const result = await this.executeAction(emailInfo, aiAnalysis, userContext, relevantKnowledge);
+
+    await this.supabase.logActivity('email_processed', {
+      customer: emailInfo.from,
+      caseId: emailInfo.caseId,
+      promptVersion: emailInfo.promptVersion,
+      action: aiAnalysis.actionType,
+      confidence: aiAnalysis.confidence,
+      sentiment: aiAnalysis.sentiment,
+      emotion: aiAnalysis.emotion,
+      urgency: aiAnalysis.urgency,
+      mode: this.getActionMode(aiAnalysis.actionType)
+    });
+
+    return result;
+  }
+
+  /**
+   * Fetch the Gmail thread and condense earlier messages into a history
+   */
+  async loadConversationHistory(emailInfo) {
+    const settings = this.config.conversation || {};
+    if (settings.enabled === false || !emailInfo.threadId) {
+      return [];
+    }
+
+    try {
+      const threadMessages = await this.gmail.getThreadMessages(emailInfo.threadId);
+
+      return buildConversationHistory(threadMessages, emailInfo.messageId, {
+        supportAddresses: [this.config.email.supportInbox, ...(this.config.email.supportAliases || [])],
+        maxMessages: settings.maxMessages,
+        maxCharsPerMessage: settings.maxCharsPerMessage
+      });
+
+    } catch (error) {
+      logger.warn('⚠️ Conversation history unavailable, continuing with latest message only:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Run the tool-calling loop and keep its results on the email, where the
+   * analysis and response prompts pick them up
+   * Only a summary of each call (no result data) is kept for the processing record
+   */
+  async gatherLookups(emailInfo, userContext, knowledge) {
+    const { calls, budgetExhausted } = await this.ai.gatherToolResults(emailInfo, userContext, this.tools, knowledge);
+    if (!calls.length) return;
+
+    emailInfo.toolResults = this.tools.formatResults(calls);
+    emailInfo.toolBudgetExhausted = budgetExhausted;
+    emailInfo.toolCalls = calls.map(({ result, ...call }) => call);
+  }
+
+  /**
+   * Build comprehensive user context
+   * With agent tools enabled, projects and assets are left for the model to
+   * look up when an email needs them. Billing history is always loaded: the
+   * refund eligibility and dispute rules are decided from it
+   */
+  async buildUserContext(email) {
+    try {
+      const [user, stripeCustomer] = await Promise.all([
+        this.supabase.findUserByEmail(email),
+        this.stripe.findCustomerByEmail(email)
+      ]);
+
+      if (!user) {
+        return { userFound: false, email };
+      }
+
+      if (this.tools.isEnabled()) {
+        const [subscriptions, billingHistory, usage] = await Promise.all([
+          stripeCustomer ? this.stripe.getCustomerSubscriptions(stripeCustomer.id) : [],
+          stripeCustomer ? this.stripe.getBillingHistory(stripeCustomer.id) : { charges: [], invoices: [] },
+          this.supabase.getUsageFacts(user)
+        ]);
+
+        return this._withRefundEligibility({ userFound: true, user, stripeCustomer, subscriptions, billingHistory, usage });
+      }
+
+      const [projects, assetsData, subscriptions, billingHistory] = await Promise.all([
+        this.supabase.getUserProjects(user.id),
+        this.supabase.getCompliantAssets(user.id),
+        stripeCustomer ? this.stripe.getCustomerSubscriptions(stripeCustomer.id) : [],
+        stripeCustomer ? this.stripe.getBillingHistory(stripeCustomer.id) : { charges: [], invoices: [] }
+      ]);
+
+      const usage = await this.supabase.getUsageFacts(user, { projects, assetsData });
+
+      return this._withRefundEligibility({
+        userFound: true,
+        user,
+        stripeCustomer,
+        projects,
+        assetsData,
+        subscriptions,
+        billingHistory,
+        usage
+      });
+
+    } catch (error) {
+      logger.warn('⚠️ User context building failed:', error);
+      return { userFound: false, email, error: error.message };
+    }
+  }
+
+  /**
+   * Add the business rules' refund eligibility verdict to a user context
+   */
+  _withRefundEligibility(userContext) {
+    return { ...userContext, refundEligibility: this.businessRules.checkRefundEligibility(userContext) };
+  }
+
+  /**
+   * Execute the AI-recommended action
+   */
+  async executeAction(emailInfo, aiAnalysis, userContext, knowledgeBase) {
+    const { actionType } = aiAnalysis;
+
+    logger.info(`⚡ Executing action: ${actionType}`);
+
+    switch (actionType) {
+      case 'refund':
+        return await this.handleRefundRequest(emailInfo, aiAnalysis, userContext);
+
+      case 'help_response':
+        return await this.handleHelpRequest(emailInfo, aiAnalysis, userContext, knowledgeBase);
+
+      case 'general_info':
+        return await this.handleGeneralInfo(emailInfo, aiAnalysis, knowledgeBase);
+
+      case 'cancel_subscription':
+        return await this.handleCancellationRequest(emailInfo, aiAnalysis, userContext);
+
+      case 'billing_question':
+      case 'bug_report':
+      case 'feature_request':
+      case 'sales_inquiry':
+        return await this.handleIntentReply(actionType, emailInfo, aiAnalysis, userContext, knowledgeBase);
+
+      case 'receipt_resend':
+        return await this.handleReceiptResend(emailInfo, aiAnalysis, userContext);
+
+      case 'plan_change':
+        return await this.handlePlanChange(emailInfo, aiAnalysis, userContext, knowledgeBase);
+
+      case 'account_deletion':
+        return await this.handleAccountDeletion(emailInfo, aiAnalysis, userContext);
+
+      case 'escalate':
+        return await this.handleEscalation(emailInfo, aiAnalysis, {
+          escalate: true,
+          reasons: [aiAnalysis.escalationReason || 'AI recommended escalation']
+        }, userContext);
+
+      default:
+        logger.warn(`⚠️ Unknown action type: ${actionType}`);
+        return await this.handleEscalation(emailInfo, aiAnalysis, { escalate: true, reasons: ['Unknown action type'] }, userContext);
+    }
+  }
+
+  /**
+   * Handle refund requests
+   */
+  async handleRefundRequest(emailInfo, aiAnalysis, userContext) {
+    try {
+      logger.info('💰 Processing refund request...');
+
+      // The plan's refund policy works the amount out from the billing history
+      const billingHistory = userContext.billingHistory || (userContext.stripeCustomer
+        ? await this.runStep('stripe', () => this.stripe.getBillingHistory(userContext.stripeCustomer.id))
+        : null);
+
+      // Evaluate refund eligibility
+      const refundDecision = this.businessRules.evaluateRefundRequest(
+        userContext,
+        aiAnalysis.refundAmount,
+        { email: emailInfo, analysis: aiAnalysis, billingHistory }
+      );
+      const breakdown = refundDecision.breakdown;
+
+      if (refundDecision.autoApprove && userContext.stripeCustomer) {
+        const shadow = this.isShadow('refund');
+
+        if (shadow) {
+          logger.info(`🕶️ Shadow mode (refund): would have refunded $${refundDecision.amount / 100}`);
+        } else if (this.ledger.getStep(emailInfo.messageId, 'refund')) {
+          logger.info(`⏭️ Refund for ${emailInfo.messageId} already processed, not refunding again`);
+        } else {
+          // Process automatic refund
+          const refund = await this.runStep('stripe', () => this.stripe.processRefund(
+            userContext.stripeCustomer.id,
+            refundDecision.amount,
+            'AI agent auto-approved refund',
+            { gmail_message_id: emailInfo.messageId, refund_policy: breakdown?.policy },
+            breakdown?.chargeId
+          ));
+
+          await this.ledger.recordStep(emailInfo.messageId, 'refund', {
+            refundId: refund?.id,
+            amount: refundDecision.amount,
+            policy: breakdown?.policy
+          });
+        }
+
+        // Send confirmation email
+        const reply = await this.generateGuardedReply(emailInfo, {
+          ...aiAnalysis,
+          refundProcessed: true,
+          refundAmount: refundDecision.amount / 100,
+          refundBreakdown: breakdown?.lines
+        }, userContext, null, { refundProcessed: true, refundAmount: refundDecision.amount, refundBreakdown: breakdown });
+
+        if (reply.passed) {
+          await this.deliverCustomerEmail(
+            'refund',
+            emailInfo.from,
+            emailInfo.subject,
+            reply.text,
+            emailInfo
+          );
+        }
+
+        // Log activity
+        await this.supabase.logActivity(shadow ? 'refund_shadowed' : 'refund_processed', {
+          customer: emailInfo.from,
+          caseId: emailInfo.caseId,
+          promptVersion: emailInfo.promptVersion,
+          amount: refundDecision.amount,
+          breakdown,
+          automatic: true,
+          rulesFired: refundDecision.rulesFired,
+          mode: this.getActionMode('refund')
+        });
+
+        // The refund stands; only the confirmation waits for a human
+        if (!reply.passed) {
+          const held = await this.holdReply('refund', emailInfo, aiAnalysis, userContext, reply);
+          return { ...held, refundAction: shadow ? 'refund_shadowed' : 'refund_processed', amount: refundDecision.amount };
+        }
+
+        return {
+          action: shadow ? 'refund_shadowed' : 'refund_processed',
+          amount: refundDecision.amount,
+          breakdown: breakdown?.lines,
+          reasoning: refundDecision.reasoning,
+          mode: this.getActionMode('refund')
+        };
+
+      } else if (refundDecision.outcome !== 'escalate' && this.approvalQueue.requiresApproval('refund') && userContext.stripeCustomer) {
+        // Draft the confirmation and let a human approve the refund
+        const draftedResponse = await this.runStep('ai', () => this.ai.generateResponse(emailInfo, {
+          ...aiAnalysis,
+          refundProcessed: true,
+          refundAmount: refundDecision.amount / 100,
+          refundBreakdown: breakdown?.lines
+        }, userContext));
+
+        return await this.queueForApproval('refund', emailInfo, aiAnalysis, userContext, {
+          proposal: {
+            customerId: userContext.stripeCustomer.id,
+            chargeId: breakdown?.chargeId,
+            amount: refundDecision.amount,
+            breakdown,
+            reasoning: refundDecision.reasoning
+          },
+          draftedResponse,
+          reasons: ['Refund requires manual approval', refundDecision.reasoning].filter(Boolean)
+        });
+
+      } else {
+        // Escalate for manual review
+        return await this.handleEscalation(emailInfo, aiAnalysis, {
+          escalate: true,
+          reasons: [
+            refundDecision.outcome === 'escalate' ? 'Refund escalated by business rules' : 'Refund requires manual approval',
+            refundDecision.reasoning
+          ].filter(Boolean),
+          priority: refundDecision.priority || 'high',
+          rulesFired: refundDecision.rulesFired
+        }, userContext);
+      }
+
+    } catch (error) {
+      logger.error('❌ Refund handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle subscription cancellation requests
+   * Cancels right away, queues the cancellation for approval or escalates,
+   * depending on the `intents.cancel_subscription` policy
+   */
+  async handleCancellationRequest(emailInfo, aiAnalysis, userContext) {
+    try {
+      logger.info('🛑 Processing cancellation request...');
+
+      const policy = this.intents.get('cancel_subscription');
+      const subscription = (userContext.subscriptions || []).find(sub =>
+        ['active', 'trialing', 'past_due'].includes(sub.status)
+      );
+
+      if (!subscription) {
+        return await this.escalateIntent('cancel_subscription', emailInfo, aiAnalysis, userContext, 'No active subscription found to cancel');
+      }
+
+      if (policy.automation === 'escalate' || (policy.automation === 'approval' && !this.approvalQueue.isEnabled())) {
+        return await this.escalateIntent('cancel_subscription', emailInfo, aiAnalysis, userContext, 'Cancellation requires manual handling');
+      }
+
+      if (policy.automation === 'approval') {
+        const draftedResponse = await this.runStep('ai', () => this.ai.generateResponse(emailInfo, {
+          ...aiAnalysis,
+          cancellationProcessed: true
+        }, userContext));
+
+        return await this.queueForApproval('cancellation', emailInfo, aiAnalysis, userContext, {
+          proposal: {
+            customerId: userContext.stripeCustomer?.id,
+            subscriptionId: subscription.id
+          },
+          draftedResponse,
+          reasons: ['Subscription cancellation requested']
+        });
+      }
+
+      const shadow = this.isShadow('cancel_subscription');
+
+      if (shadow) {
+        logger.info(`🕶️ Shadow mode (cancel_subscription): would have canceled ${subscription.id}`);
+      } else if (this.ledger.getStep(emailInfo.messageId, 'cancellation')) {
+        logger.info(`⏭️ Subscription for ${emailInfo.messageId} already canceled, not canceling again`);
+      } else {
+        await this.runStep('stripe', () => this.stripe.cancelSubscription(subscription.id, 'Customer request via support email'));
+        await this.ledger.recordStep(emailInfo.messageId, 'cancellation', { subscriptionId: subscription.id });
+      }
+
+      const reply = await this.generateGuardedReply(emailInfo, {
+        ...aiAnalysis,
+        cancellationProcessed: true
+      }, userContext);
+
+      if (reply.passed) {
+        await this.deliverCustomerEmail('cancel_subscription', emailInfo.from, emailInfo.subject, reply.text, emailInfo);
+      }
+
+      const action = shadow ? 'cancellation_shadowed' : 'subscription_canceled';
+      await this.supabase.logActivity(action, {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        subscriptionId: subscription.id,
+        automatic: true,
+        mode: this.getActionMode('cancel_subscription')
+      });
+
+      // The cancellation stands; only the confirmation waits for a human
+      if (!reply.passed) {
+        const held = await this.holdReply('cancel_subscription', emailInfo, aiAnalysis, userContext, reply);
+        return { ...held, cancellationAction: action, subscriptionId: subscription.id };
+      }
+
+      return {
+        action,
+        subscriptionId: subscription.id,
+        mode: this.getActionMode('cancel_subscription')
+      };
+
+    } catch (error) {
+      logger.error('❌ Cancellation handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resend the receipt for the customer's latest payment
+   */
+  async handleReceiptResend(emailInfo, aiAnalysis, userContext) {
+    try {
+      logger.info('🧾 Processing receipt request...');
+
+      if (this.intents.getAutomation('receipt_resend') === 'escalate') {
+        return await this.escalateIntent('receipt_resend', emailInfo, aiAnalysis, userContext);
+      }
+
+      const receipt = userContext?.stripeCustomer
+        ? await this.runStep('stripe', () => this.stripe.getLatestReceipt(userContext.stripeCustomer.id))
+        : null;
+
+      if (!receipt) {
+        return await this.escalateIntent('receipt_resend', emailInfo, aiAnalysis, userContext, 'No paid charge with a receipt found');
+      }
+
+      return await this.handleIntentReply('receipt_resend', emailInfo, aiAnalysis, userContext, null, {
+        receipt: {
+          date: new Date(receipt.created * 1000).toISOString().split('T')[0],
+          amount: receipt.amount / 100,
+          currency: receipt.currency,
+          url: receipt.receiptUrl
+        }
+      });
+
+    } catch (error) {
+      logger.error('❌ Receipt handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle plan upgrades and downgrades
+   * The customer gets a billing portal link to switch plans themselves
+   */
+  async handlePlanChange(emailInfo, aiAnalysis, userContext, knowledgeBase) {
+    try {
+      logger.info('🔀 Processing plan change request...');
+
+      if (this.intents.getAutomation('plan_change') === 'escalate') {
+        return await this.escalateIntent('plan_change', emailInfo, aiAnalysis, userContext);
+      }
+
+      if (!userContext?.stripeCustomer) {
+        return await this.escalateIntent('plan_change', emailInfo, aiAnalysis, userContext, 'No billing account found to change plans');
+      }
+
+      const session = await this.runStep('stripe', () => this.stripe.createPortalSession(
+        userContext.stripeCustomer.id,
+        this.config.ai?.tools?.portalReturnUrl
+      ));
+
+      return await this.handleIntentReply('plan_change', emailInfo, aiAnalysis, userContext, knowledgeBase, {
+        portalUrl: session?.url
+      });
+
+    } catch (error) {
+      logger.error('❌ Plan change handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle account deletion requests
+   * A person always deletes the data: the request is either escalated or
+   * queued with a drafted confirmation that is sent once they approve it
+   */
+  async handleAccountDeletion(emailInfo, aiAnalysis, userContext) {
+    try {
+      logger.info('🗑️ Processing account deletion request...');
+
+      if (this.intents.getAutomation('account_deletion') === 'escalate' || !this.approvalQueue.isEnabled()) {
+        return await this.escalateIntent('account_deletion', emailInfo, aiAnalysis, userContext);
+      }
+
+      const draftedResponse = await this.runStep('ai', () => this.ai.generateResponse(emailInfo, {
+        ...aiAnalysis,
+        accountDeleted: true
+      }, userContext));
+
+      return await this.queueForApproval('account_deletion', emailInfo, aiAnalysis, userContext, {
+        proposal: {
+          userId: userContext?.user?.id || null,
+          customerId: userContext?.stripeCustomer?.id || null
+        },
+        draftedResponse,
+        reasons: ['Account deletion requested']
+      });
+
+    } catch (error) {
+      logger.error('❌ Account deletion handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reply to an intent under its automation policy (billing questions,
+   * receipts, plan changes, bug reports, feature requests, sales inquiries)
+   * `plan` adds intent details to the action plan for the reply
+   * The policy's `notify` address gets a copy of the email in every mode
+   */
+  async handleIntentReply(actionType, emailInfo, aiAnalysis, userContext, knowledgeBase, plan = {}) {
+    try {
+      const policy = this.intents.get(actionType);
+      logger.info(`📨 Handling ${actionType} (${policy.automation})`);
+
+      await this.notifyIntent(actionType, emailInfo, aiAnalysis);
+
+      if (policy.automation === 'escalate') {
+        return await this.escalateIntent(actionType, emailInfo, aiAnalysis, userContext);
+      }
+
+      const reply = await this.generateGuardedReply(emailInfo, { ...aiAnalysis, ...plan }, userContext, knowledgeBase);
+
+      if (policy.automation === 'approval' || this._needsReplyApproval(aiAnalysis)) {
+        return await this.queueForApproval('reply', emailInfo, aiAnalysis, userContext, {
+          draftedResponse: reply.text,
+          reasons: [
+            policy.automation === 'approval' ? `Replies to ${actionType} need approval` : `Low AI confidence: ${aiAnalysis.confidence}`,
+            ...this._guardrailReasons(reply)
+          ]
+        });
+      }
+
+      if (!reply.passed) {
+        return await this.holdReply(actionType, emailInfo, aiAnalysis, userContext, reply);
+      }
+
+      await this.deliverCustomerEmail(actionType, emailInfo.from, emailInfo.subject, reply.text, emailInfo);
+
+      const action = INTENT_OUTCOMES[actionType];
+      await this.supabase.logActivity(action, {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        category: aiAnalysis.category || null,
+        mode: this.getActionMode(actionType)
+      });
+
+      return {
+        action,
+        confidence: aiAnalysis.confidence,
+        mode: this.getActionMode(actionType)
+      };
+
+    } catch (error) {
+      logger.error(`❌ ${actionType} handling failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand an intent to a human at the priority its policy sets
+   */
+  async escalateIntent(actionType, emailInfo, aiAnalysis, userContext, reason = null) {
+    return await this.handleEscalation(emailInfo, aiAnalysis, {
+      escalate: true,
+      reasons: [reason || `${actionType} is handled by the support team (intents.${actionType})`],
+      priority: this.intents.get(actionType).priority
+    }, userContext);
+  }
+
+  /**
+   * Send a copy of the email to the intent's `notify` address (e.g. bug
+   * reports to engineering), at most once per message
+   */
+  async notifyIntent(actionType, emailInfo, aiAnalysis) {
+    const { notify } = this.intents.get(actionType);
+    if (!notify || this.ledger.getStep(emailInfo.messageId, 'intent_notification')) return;
+
+    try {
+      await this.gmail.sendEmail(
+        notify,
+        `[${actionType.replace(/_/g, ' ').toUpperCase()}] ${emailInfo.subject}`,
+        `New ${actionType.replace(/_/g, ' ')} from a customer.
+
+FROM: ${emailInfo.from}
+SUBJECT: ${emailInfo.subject}
+SUMMARY: ${aiAnalysis.reasoning || 'n/a'}
+
+ORIGINAL EMAIL:
+${emailInfo.latestReply || emailInfo.body}`
+      );
+
+      await this.ledger.recordStep(emailInfo.messageId, 'intent_notification', { actionType, to: notify });
+
+    } catch (error) {
+      logger.warn(`⚠️ ${actionType} notification failed:`, error);
+    }
+  }
+
+  /**
+   * Handle help/support requests
+   */
+  async handleHelpRequest(emailInfo, aiAnalysis, userContext, knowledgeBase) {
+    try {
+      logger.info('🆘 Processing help request...');
+
+      // Generate helpful response
+      const reply = await this.generateGuardedReply(emailInfo, aiAnalysis, userContext, knowledgeBase);
+
+      if (this._needsReplyApproval(aiAnalysis)) {
+        return await this.queueForApproval('reply', emailInfo, aiAnalysis, userContext, {
+          draftedResponse: reply.text,
+          reasons: [`Low AI confidence: ${aiAnalysis.confidence}`, ...this._guardrailReasons(reply)]
+        });
+      }
+
+      if (!reply.passed) {
+        return await this.holdReply('help_response', emailInfo, aiAnalysis, userContext, reply);
+      }
+
+      // Send response
+      await this.deliverCustomerEmail(
+        'help_response',
+        emailInfo.from,
+        emailInfo.subject,
+        reply.text,
+        emailInfo
+      );
+
+      // Log activity
+      await this.supabase.logActivity('help_provided', {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        category: aiAnalysis.category || 'general',
+        knowledgeUsed: aiAnalysis.knowledgeUsed || [],
+        mode: this.getActionMode('help_response')
+      });
+
+      return {
+        action: 'help_provided',
+        category: aiAnalysis.category,
+        confidence: aiAnalysis.confidence,
+        mode: this.getActionMode('help_response')
+      };
+
+    } catch (error) {
+      logger.error('❌ Help request handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle general information requests
+   */
+  async handleGeneralInfo(emailInfo, aiAnalysis, knowledgeBase) {
+    try {
+      logger.info('ℹ️ Processing general info request...');
+
+      const reply = await this.generateGuardedReply(emailInfo, aiAnalysis, null, knowledgeBase);
+
+      if (this._needsReplyApproval(aiAnalysis)) {
+        return await this.queueForApproval('reply', emailInfo, aiAnalysis, null, {
+          draftedResponse: reply.text,
+          reasons: [`Low AI confidence: ${aiAnalysis.confidence}`, ...this._guardrailReasons(reply)]
+        });
+      }
+
+      if (!reply.passed) {
+        return await this.holdReply('general_info', emailInfo, aiAnalysis, null, reply);
+      }
+
+      await this.deliverCustomerEmail(
+        'general_info',
+        emailInfo.from,
+        emailInfo.subject,
+        reply.text,
+        emailInfo
+      );
+
+      await this.supabase.logActivity('info_provided', {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        topic: aiAnalysis.topic || 'general',
+        mode: this.getActionMode('general_info')
+      });
+
+      return {
+        action: 'info_provided',
+        topic: aiAnalysis.topic,
+        mode: this.getActionMode('general_info')
+      };
+
+    } catch (error) {
+      logger.error('❌ General info handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle escalation to human support
+   * The admin email is sent at most once per message, so a retry after a
+   * later step failed doesn't escalate twice
+   */
+  async handleEscalation(emailInfo, aiAnalysis, escalationCheck, userContext, { acknowledge = true } = {}) {
+    try {
+      logger.info(`🚨 Escalating email: ${escalationCheck.reasons.join(', ')}`);
+
+      if (this.ledger.getStep(emailInfo.messageId, 'escalation_notification')) {
+        logger.info(`⏭️ Escalation for ${emailInfo.messageId} already sent, not sending again`);
+      } else {
+        const caseLookup = emailInfo.caseId ? `id=${emailInfo.caseId}` : `threadId=${emailInfo.threadId}`;
+        const adminSubject = `[ESCALATED] ${emailInfo.subject}`;
+        const adminBody = `Customer support escalation:
+
+${emailInfo.caseId ? `CASE ID: ${emailInfo.caseId}\n` : ''}FROM: ${emailInfo.from}
+SUBJECT: ${emailInfo.subject}
+ESCALATION REASONS: ${escalationCheck.reasons.join(', ')}
+PRIORITY: ${escalationCheck.priority || 'medium'}
+${this._escalationSummary(aiAnalysis, userContext).join('\n')}
+
+ORIGINAL EMAIL:
+${emailInfo.body}
+
+Review the case with GET /cases?${caseLookup}, reply to the customer in the Gmail thread, then POST /cases with state "resolved".`;
+
+        await this.runStep('gmail_send', () => this.gmail.sendEmail(
+          this.config.email.adminEmail,
+          adminSubject,
+          adminBody
+        ));
+
+        await this.ledger.recordStep(emailInfo.messageId, 'escalation_notification', {
+          priority: escalationCheck.priority || 'medium'
+        });
+      }
+
+      // Send customer acknowledgment
+      if (acknowledge) {
+        await this.sendAcknowledgment(emailInfo);
+      }
+
+      // Log escalation
+      await this.supabase.logActivity('escalated', {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        reasons: escalationCheck.reasons,
+        priority: escalationCheck.priority,
+        rulesFired: escalationCheck.rulesFired || [],
+        sentiment: aiAnalysis?.sentiment ?? null,
+        emotion: aiAnalysis?.emotion || null,
+        urgency: aiAnalysis?.urgency || null,
+        mode: this.getActionMode('escalate')
+      });
+
+      return {
+        action: 'escalated',
+        reasons: escalationCheck.reasons,
+        priority: escalationCheck.priority,
+        ...(escalationCheck.rulesFired ? { rulesFired: escalationCheck.rulesFired } : {}),
+        mode: this.getActionMode('escalate')
+      };
+
+    } catch (error) {
+      logger.error('❌ Escalation handling failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Condensed analysis and customer lines for the admin escalation email
+   * The full analysis and context stay on the case and activity logs
+   */
+  _escalationSummary(aiAnalysis, userContext) {
+    const lines = [];
+
+    if (aiAnalysis) {
+      lines.push(`ANALYSIS: ${aiAnalysis.actionType || 'unknown'} (confidence ${aiAnalysis.confidence ?? 'n/a'}) - ${aiAnalysis.reasoning || 'no reasoning given'}`);
+      lines.push(`CUSTOMER MOOD: ${aiAnalysis.emotion || 'neutral'}, sentiment ${aiAnalysis.sentiment ?? 0}, urgency ${aiAnalysis.urgency || 'medium'}`);
+    }
+
+    if (userContext?.userFound) {
+      const { user, stripeCustomer, subscriptions = [] } = userContext;
+      lines.push(`CUSTOMER: ${user.subscription_plan || 'no'} plan (${user.subscription_status || 'unknown'}), ${stripeCustomer ? `Stripe customer ${stripeCustomer.id}` : 'no Stripe customer'}, ${subscriptions.length} subscription(s)`);
+    } else if (userContext) {
+      lines.push('CUSTOMER: no Komplier account for this address');
+    }
+
+    if (userContext?.refundEligibility) {
+      const { eligible, reason } = userContext.refundEligibility;
+      lines.push(`REFUND ELIGIBILITY: ${eligible ? 'eligible' : 'not eligible'}${reason ? ` - ${reason}` : ''}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Escalate without replying when a recipient hit the automated reply cap
+   * No acknowledgment is sent - that would be one more automated reply
+   */
+  async handleReplyLimitReached(emailInfo, replyLimit) {
+    logger.warn(`🔁 Reply limit reached for ${emailInfo.from}, routing to a human`);
+
+    return await this.handleEscalation(emailInfo, null, {
+      reasons: [`Possible mail loop: ${replyLimit.count} automated replies in the last ${replyLimit.windowMinutes} minutes (limit ${replyLimit.max})`],
+      priority: 'medium'
+    }, null, { acknowledge: false });
+  }
+
+  /**
+   * Queue an action for human approval instead of executing it
+   */
+  async queueForApproval(actionType, emailInfo, aiAnalysis, userContext, { proposal, draftedResponse, reasons }) {
+    try {
+      logger.info(`🕒 Holding ${actionType} for human approval`);
+
+      const queued = this.ledger.getStep(emailInfo.messageId, 'pending_action');
+      const pendingAction = queued ? { id: queued.id } : await this.approvalQueue.propose(actionType, {
+        emailInfo,
+        aiAnalysis,
+        userContext,
+        proposal,
+        draftedResponse,
+        reasons
+      });
+
+      if (!queued) {
+        await this.ledger.recordStep(emailInfo.messageId, 'pending_action', { id: pendingAction.id, actionType });
+      }
+
+      // Replies are sent once approved; money-moving actions get an acknowledgment now
+      if (actionType !== 'reply') {
+        await this.sendAcknowledgment(emailInfo);
+      }
+
+      await this.supabase.logActivity('approval_requested', {
+        customer: emailInfo.from,
+        caseId: emailInfo.caseId,
+        promptVersion: emailInfo.promptVersion,
+        actionType,
+        pendingActionId: pendingAction.id,
+        reasons
+      });
+
+      return {
+        action: 'pending_approval',
+        actionType,
+        pendingActionId: pendingAction.id,
+        reasons
+      };
+
+    } catch (error) {
+      logger.error('❌ Approval queuing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a customer reply and check it against the guardrails
+   * A failing reply is regenerated with the violations added to the action
+   * plan, up to `guardrails.maxRegenerations` times
+   * Returns { text, passed, violations, attempts }
+   */
+  async generateGuardedReply(emailInfo, actionPlan, userContext, knowledgeBase = null, expectations = {}) {
+    const maxRegenerations = this.guardrails.isEnabled() ? (this.guardrails.settings.maxRegenerations ?? 1) : 0;
+    const checkContext = { customerText: emailInfo.latestReply || emailInfo.body, ...expectations };
+    let plan = actionPlan;
+    let reply;
+
+    for (let attempt = 1; attempt <= maxRegenerations + 1; attempt++) {
+      const text = await this.runStep('ai', () => this.ai.generateResponse(emailInfo, plan, userContext, knowledgeBase));
+      reply = { text, ...this.guardrails.check(text, checkContext), attempts: attempt };
+
+      if (reply.passed) break;
+
+      logger.warn(`🛡️ Reply attempt ${attempt} failed guardrails: ${reply.violations.map(violation => violation.rule).join(', ')}`);
+      plan = {
+        ...actionPlan,
+        previousReplyProblems: reply.violations.map(violation => violation.message)
+      };
+    }
+
+    return reply;
+  }
+
+  /**
+   * Hold a reply that failed the guardrails for a human to review and send
+   */
+  async holdReply(actionType, emailInfo, aiAnalysis, userContext, reply) {
+    await this.supabase.logActivity('reply_blocked', {
+      customer: emailInfo.from,
+      caseId: emailInfo.caseId,
+      promptVersion: emailInfo.promptVersion,
+      actionType,
+      violations: reply.violations,
+      attempts: reply.attempts
+    });
+
+    return await this.queueForApproval('reply', emailInfo, aiAnalysis, userContext, {
+      draftedResponse: reply.text,
+      reasons: this._guardrailReasons(reply)
+    });
+  }
+
+  /**
+   * Approval reasons for guardrail violations
+   */
+  _guardrailReasons(reply) {
+    return reply.violations.map(violation => `Guardrail (${violation.rule}): ${violation.message}`);
+  }
+
+  /**
+   * Send the standard "we're on it" acknowledgment to the customer
+   */
+  async sendAcknowledgment(emailInfo) {
+    const customerResponse = `Hi there,
+
+Thank you for contacting Komplier support. I've received your message about "${emailInfo.subject}" and I'm reviewing it carefully.
+
+A team member will get back to you shortly with a detailed response.
+
+Best regards,
+Komplier Support Team`;
+
+    return await this.deliverCustomerEmail(
+      'escalate',
+      emailInfo.from,
+      emailInfo.subject,
+      customerResponse,
+      emailInfo
+    );
+  }
+
+  /**
+   * Check if a drafted reply must be reviewed before sending
+   */
+  _needsReplyApproval(aiAnalysis) {
+    return this.approvalQueue.requiresApproval('reply') &&
+      this.approvalQueue.isLowConfidence(aiAnalysis.confidence);
+  }
+
+  /**
+   * Emergency escalation for system errors
+   */
+  async handleEmergencyEscalation(emailData, error, job = null) {
+    try {
+      const emergencySubject = `[SYSTEM ERROR] Email processing failed`;
+      const retryDetails = job?.status === 'dead'
+        ? `\nRETRIES:\nGave up after ${job.attempts} attempts - the email is in the dead-letter list.\nRe-drive it with POST /email-jobs { "messageId": "${job.message_id}", "action": "redrive" }.\n`
+        : '';
+      const emergencyBody = `Critical: Email processing system error
+
+EMAIL DETAILS:
+From: ${emailData.from}
+Subject: ${emailData.subject}
+Failed step: ${error.step || 'unknown'}
+${retryDetails}
+ERROR:
+${error.message}
+
+STACK:
+${error.stack}
+
+Please review system status and respond to customer manually.`;
+
+      // Try to send admin alert (may also fail)
+      await this.gmail.sendEmail(
+        this.config.email.adminEmail,
+        emergencySubject,
+        emergencyBody
+      );
+
+    } catch (emergencyError) {
+      logger.error('❌ Emergency escalation failed:', emergencyError);
+      // Log to console as last resort
+      console.error('CRITICAL ERROR: Both email processing and emergency escalation failed');
+      console.error('Original error:', error);
+      console.error('Emergency error:', emergencyError);
+    }
+  }
+}
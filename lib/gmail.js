@@ -5,6 +5,8 @@
  * - Email reading and searching
  * - Email sending with threading
  * - Markdown removal for professional responses
+ * - Incremental sync from Pub/Sub historyId
+ * - Detecting bounces, auto-replies and list mail
  */
 
 import { createLogger } from './logger.js';
@@ -13,6 +15,18 @@ import TurndownService from 'turndown';
 const logger = createLogger('gmail');
 const turndownService = new TurndownService();
 
+// Headers getAutomatedReason reads; message content doesn't include them unless asked
+const AUTOMATED_MAIL_HEADERS = [
+  'Auto-Submitted',
+  'Precedence',
+  'List-Id',
+  'Content-Type',
+  'X-Autoreply',
+  'X-Autorespond',
+  'X-Autoresponder',
+  'X-Auto-Response-Suppress'
+];
+
 export class GmailOperations {
   constructor(mcpClient) {
     this.mcpClient = mcpClient;
@@ -41,8 +55,141 @@ export class GmailOperations {
     }
   }
 
+  /**
+   * List mailbox history records since a history ID (one page)
+   */
+  async listHistory(startHistoryId, pageToken = null) {
+    try {
+      logger.info(`🕓 Listing Gmail history since: ${startHistoryId}`);
+      
+      const params = {
+        user_google_email: this.userEmail,
+        start_history_id: String(startHistoryId),
+        history_types: ['messageAdded'],
+        label_id: 'INBOX'
+      };
+      
+      if (pageToken) {
+        params.page_token = pageToken;
+      }
+      
+      return await this.mcpClient.callTool('googleWorkspace', 'list_gmail_history', params);
+      
+    } catch (error) {
+      if (this._isHistoryExpiredError(error)) {
+        error.historyExpired = true;
+      }
+      logger.error('❌ Gmail history listing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch messages added to the inbox since the last stored historyId
+   * 
+   * `syncStore` persists the last seen historyId (getGmailSyncState/saveGmailSyncState).
+   * Falls back to a full resync via `fullResyncQuery` when there is no stored
+   * historyId yet or Gmail reports it as too old. Returns
+   * { messages: [{ id, threadId }], historyId, fullResync, truncated }
+   * 
+   * With more than `maxResults` new messages, the sync stops at a history
+   * record boundary and stores that record's ID, so the next sync resumes
+   * right after the messages returned here (`truncated` is true)
+   */
+  async syncNewMessages(syncStore, notificationHistoryId = null, options = {}) {
+    const {
+      fullResyncQuery = 'in:inbox newer_than:3d',
+      maxResults = 50
+    } = options;
+    
+    const state = await syncStore.getGmailSyncState(this.userEmail);
+    const startHistoryId = state?.history_id;
+    
+    let messages = [];
+    let latestHistoryId = notificationHistoryId;
+    let cursor = latestHistoryId;
+    let fullResync = !startHistoryId;
+    let truncated = false;
+    
+    if (startHistoryId) {
+      try {
+        const seen = new Set();
+        let pageToken = null;
+        let lastRecordId = null;
+        
+        pages: do {
+          const page = await this.listHistory(startHistoryId, pageToken);
+          
+          for (const record of page?.history || []) {
+            // Stop between records, so every message of a record is either returned or left for the next sync
+            if (messages.length >= maxResults) {
+              truncated = true;
+              break pages;
+            }
+            
+            for (const added of record.messagesAdded || []) {
+              const message = added.message || {};
+              const labels = message.labelIds || [];
+              
+              // Only new inbound mail - skip our own replies and drafts
+              if (!message.id || seen.has(message.id)) continue;
+              if (labels.length && (!labels.includes('INBOX') || labels.includes('SENT') || labels.includes('DRAFT'))) continue;
+              
+              seen.add(message.id);
+              messages.push({ id: message.id, threadId: message.threadId });
+            }
+            
+            lastRecordId = this._maxHistoryId(lastRecordId, record.id);
+          }
+          
+          latestHistoryId = this._maxHistoryId(latestHistoryId, page?.historyId);
+          pageToken = page?.nextPageToken;
+        } while (pageToken && messages.length < maxResults);
+        
+        truncated = truncated || Boolean(pageToken);
+        
+        // More history left than we can handle now - resume after the last record returned
+        cursor = truncated ? lastRecordId : latestHistoryId;
+        if (truncated) {
+          logger.warn(`⚠️ Sync stopped at ${messages.length} new messages, the next sync resumes after history ID ${cursor}`);
+        }
+        
+      } catch (error) {
+        if (!error.historyExpired) throw error;
+        
+        logger.warn(`⚠️ History ID ${startHistoryId} is too old, running full resync`);
+        fullResync = true;
+      }
+    }
+    
+    if (fullResync) {
+      const searchResult = await this.searchEmails(fullResyncQuery, maxResults);
+      messages = (searchResult?.messages || []).map(message => ({
+        id: message.id,
+        threadId: message.threadId || message.thread_id
+      }));
+      
+      if (messages.length >= maxResults) {
+        logger.warn(`⚠️ Full resync returned ${messages.length} messages, the limit; older matches of "${fullResyncQuery}" are not processed`);
+      }
+    }
+    
+    if (cursor) {
+      await syncStore.saveGmailSyncState(this.userEmail, cursor);
+    }
+    
+    logger.info(`✅ Gmail sync found ${messages.length} new messages${fullResync ? ' (full resync)' : ''}`);
+    return {
+      messages,
+      historyId: cursor,
+      fullResync,
+      truncated
+    };
+  }
+
   /**
    * Get email content by message ID
+   * Includes the headers the automated-mail filter needs, as `headers`
    */
   async getEmailContent(messageId) {
     try {
@@ -50,10 +197,19 @@ export class GmailOperations {
       
       const result = await this.mcpClient.callTool('googleWorkspace', 'get_gmail_message_content', {
         message_id: messageId,
-        user_google_email: this.userEmail
+        user_google_email: this.userEmail,
+        metadata_headers: AUTOMATED_MAIL_HEADERS
       });
       
-      return result;
+      if (!result) return result;
+      
+      const headers = {};
+      for (const name of AUTOMATED_MAIL_HEADERS) {
+        const value = this._getHeader(result, name);
+        if (value !== null) headers[name] = value;
+      }
+      
+      return { ...result, headers };
       
     } catch (error) {
       logger.error('❌ Failed to get email content:', error);
@@ -61,6 +217,26 @@ export class GmailOperations {
     }
   }
 
+  /**
+   * Get all messages in a thread (including our own replies), oldest first
+   */
+  async getThreadMessages(threadId) {
+    try {
+      logger.info(`🧵 Getting thread messages: ${threadId}`);
+      
+      const result = await this.mcpClient.callTool('googleWorkspace', 'get_gmail_thread_content', {
+        thread_id: threadId,
+        user_google_email: this.userEmail
+      });
+      
+      return result?.messages || [];
+      
+    } catch (error) {
+      logger.error('❌ Failed to get thread messages:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send email with proper threading and markdown removal
    */
@@ -126,6 +302,10 @@ export class GmailOperations {
       if (originalEmail) {
         draftParams.in_reply_to = originalEmail.messageId;
         draftParams.references = originalEmail.messageId;
+        
+        if (originalEmail.threadId) {
+          draftParams.thread_id = originalEmail.threadId;
+        }
       }
       
       const result = await this.mcpClient.callTool('googleWorkspace', 'draft_gmail_message', draftParams);
@@ -205,6 +385,22 @@ export class GmailOperations {
     };
   }
 
+  /**
+   * Check if an error means the start historyId is no longer available
+   */
+  _isHistoryExpiredError(error) {
+    return /\b404\b|not\s*found|history.*(too old|invalid|expired)/i.test(error?.message || '');
+  }
+
+  /**
+   * Return the larger of two Gmail history IDs (numeric strings)
+   */
+  _maxHistoryId(a, b) {
+    if (!a) return b ? String(b) : a;
+    if (!b) return String(a);
+    return BigInt(a) >= BigInt(b) ? String(a) : String(b);
+  }
+
   /**
    * Mark email as read by removing UNREAD label
    */
@@ -231,27 +427,89 @@ export class GmailOperations {
    * Check if email is a support request (not automated/spam)
    */
   isValidSupportEmail(email) {
+    return !this.getAutomatedReason(email);
+  }
+
+  /**
+   * Explain why an email looks automated (bounce, auto-reply, list mail)
+   * Returns null for mail that a person wrote
+   */
+  getAutomatedReason(email) {
     const subject = email.subject?.toLowerCase() || '';
     const from = email.from?.toLowerCase() || '';
     
-    // Skip automated emails
+    // Bounces and delivery reports
+    if (/mailer-daemon|postmaster@|delivery-subsystem/.test(from) ||
+        /multipart\/report/i.test(this._getHeader(email, 'content-type') || '') ||
+        /^(undeliverable|undelivered mail|delivery status notification|mail delivery (failed|subsystem)|returned mail)/.test(subject)) {
+      return 'Bounce or delivery report';
+    }
+    
+    // RFC 3834 auto-replies (out-of-office, vacation responders, ticket bots)
+    const autoSubmitted = this._getHeader(email, 'auto-submitted');
+    if (autoSubmitted && autoSubmitted.trim().toLowerCase() !== 'no') {
+      return `Auto-Submitted: ${autoSubmitted}`;
+    }
+    
+    for (const header of ['x-autoreply', 'x-autorespond', 'x-autoresponder']) {
+      if (this._getHeader(email, header)) {
+        return `${header} header present`;
+      }
+    }
+    
+    const suppress = this._getHeader(email, 'x-auto-response-suppress') || '';
+    if (/\b(all|oof|autoreply)\b/i.test(suppress)) {
+      return `X-Auto-Response-Suppress: ${suppress}`;
+    }
+    
+    // Mailing lists and bulk mail
+    const precedence = this._getHeader(email, 'precedence') || '';
+    if (/\b(bulk|list|junk|auto_reply)\b/i.test(precedence)) {
+      return `Precedence: ${precedence}`;
+    }
+    
+    if (this._getHeader(email, 'list-id')) {
+      return 'Mailing list (List-Id)';
+    }
+    
+    if (/^(out of office|automatic reply|auto(matic)?[- ]?(reply|response)|autoreply)\b/.test(subject)) {
+      return 'Auto-reply subject';
+    }
+    
+    // Skip automated senders
     const skipPatterns = [
       'noreply',
       'no-reply', 
       'donotreply',
       'automated',
       'notification',
-      'unsubscribe',
-      'delivery-subsystem'
+      'unsubscribe'
     ];
     
     for (const pattern of skipPatterns) {
       if (from.includes(pattern) || subject.includes(pattern)) {
-        return false;
+        return `Automated sender (${pattern})`;
       }
     }
     
-    return true;
+    return null;
+  }
+
+  /**
+   * Read a header from an email, whether headers come as an object or a [{ name, value }] list
+   */
+  _getHeader(email, name) {
+    const headers = email.headers || email.payload?.headers;
+    if (!headers) return null;
+    
+    const wanted = name.toLowerCase();
+    
+    if (Array.isArray(headers)) {
+      return headers.find(header => header.name?.toLowerCase() === wanted)?.value ?? null;
+    }
+    
+    const key = Object.keys(headers).find(header => header.toLowerCase() === wanted);
+    return key ? headers[key] : null;
   }
 
   /**
@@ -261,7 +519,7 @@ export class GmailOperations {
     try {
       logger.info(`🔔 Setting up Gmail watch for ${emailAddress}...`);
       
-      const result = await this.mcpClient.callTool('google_workspace', 'create_gmail_watch', {
+      const result = await this.mcpClient.callTool('googleWorkspace', 'create_gmail_watch', {
         email_address: emailAddress,
         topic_name: watchConfig.topicName,
         label_ids: watchConfig.labelIds || ['INBOX']
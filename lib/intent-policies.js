@@ -0,0 +1,67 @@
+/**
+ * Intent Automation Policies
+ *
+ * How far the agent goes on its own for each intent, set per action type
+ * under `intents` in agent-config.json:
+ * - auto: carry out the intent and reply to the customer
+ * - approval: draft the action and reply, and queue them for a human
+ * - escalate: hand the email to a human and acknowledge it
+ *
+ * Intents that can't safely run unattended don't accept every level; an
+ * unsupported level fails at startup rather than on a customer's email.
+ * `priority` is used when the intent is escalated, and `notify` is an
+ * address that gets a copy of bug reports, feature requests or sales leads.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('intent-policies');
+
+export const AUTOMATION_LEVELS = ['auto', 'approval', 'escalate'];
+
+// Supported levels and default policy for each intent
+const INTENTS = {
+  cancel_subscription: { levels: ['auto', 'approval', 'escalate'], automation: 'approval', priority: 'medium' },
+  billing_question: { levels: ['auto', 'approval', 'escalate'], automation: 'auto', priority: 'medium' },
+  receipt_resend: { levels: ['auto', 'approval', 'escalate'], automation: 'auto', priority: 'low' },
+  plan_change: { levels: ['auto', 'approval', 'escalate'], automation: 'auto', priority: 'medium' },
+  bug_report: { levels: ['auto', 'approval', 'escalate'], automation: 'auto', priority: 'high' },
+  feature_request: { levels: ['auto', 'approval', 'escalate'], automation: 'auto', priority: 'low' },
+  // Deleting data can't be undone, so a person always does it
+  account_deletion: { levels: ['approval', 'escalate'], automation: 'escalate', priority: 'high' },
+  sales_inquiry: { levels: ['auto', 'escalate'], automation: 'escalate', priority: 'medium' }
+};
+
+export class IntentPolicies {
+  constructor(config) {
+    this.policies = {};
+
+    for (const [intent, { levels, ...defaults }] of Object.entries(INTENTS)) {
+      // Supported levels come from INTENTS only, so config can't widen them
+      const { levels: _levels, ...overrides } = config.intents?.[intent] || {};
+      const policy = { ...defaults, ...overrides };
+
+      if (!levels.includes(policy.automation)) {
+        throw new Error(`intents.${intent}.automation must be one of: ${levels.join(', ')} (got ${policy.automation})`);
+      }
+
+      this.policies[intent] = policy;
+    }
+
+    const unknown = Object.keys(config.intents || {}).filter(intent => !INTENTS[intent]);
+    if (unknown.length) {
+      logger.warn(`⚠️ Ignoring policies for unknown intents: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Policy for an intent: { automation, priority, notify, ... }
+   */
+  get(intent) {
+    return this.policies[intent] || null;
+  }
+
+  getAutomation(intent) {
+    return this.get(intent)?.automation || 'escalate';
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * LLM Providers
+ *
+ * Every provider implements the same interface:
+ *   complete(prompt, { json, schema }) -> Promise<{ text, model, usage }>
+ *   generate(prompt, { json, schema }) -> Promise<string>
+ * `json` asks for the provider's native JSON mode where it has one.
+ * `usage` is { promptTokens, completionTokens, estimated }; providers that
+ * don't report token counts get a ~4 characters per token estimate.
+ *
+ * Available providers (selected by `ai.provider` in agent-config.json):
+ * - gemini: Google Gemini via @google/generative-ai
+ * - openai-compatible: any /chat/completions endpoint (OpenAI, llama.cpp, Ollama, vLLM)
+ * - scripted: deterministic canned responses for tests and local runs
+ *
+ * `ai.model`, `ai.temperature` and `ai.maxTokens` apply to every provider
+ * and can be overridden in the provider's own config section.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import fetch from 'node-fetch';
+import { estimateTokens } from './prompt-context.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('llm');
+
+export class GeminiProvider {
+  constructor(settings) {
+    this.name = 'gemini';
+    this.modelName = settings.model;
+    this.genai = new GoogleGenerativeAI(process.env[settings.apiKeyEnv || 'GOOGLE_AI_API_KEY']);
+    this.model = this.genai.getGenerativeModel({
+      model: settings.model,
+      generationConfig: {
+        temperature: settings.temperature,
+        maxOutputTokens: settings.maxTokens
+      }
+    });
+  }
+
+  async generate(prompt, options = {}) {
+    return (await this.complete(prompt, options)).text;
+  }
+
+  async complete(prompt, { json = false } = {}) {
+    const request = json
+      ? {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { ...this.model.generationConfig, responseMimeType: 'application/json' }
+        }
+      : prompt;
+
+    const result = await this.model.generateContent(request);
+    const text = result.response.text();
+    const usage = result.response.usageMetadata;
+
+    return {
+      text,
+      model: this.modelName,
+      usage: usage
+        ? { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0, estimated: false }
+        : estimateUsage(prompt, text)
+    };
+  }
+}
+
+export class OpenAICompatibleProvider {
+  constructor(settings) {
+    this.name = 'openai-compatible';
+    this.modelName = settings.model;
+    this.baseUrl = (settings.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : null;
+    this.jsonMode = settings.jsonMode !== false;
+    this.timeoutMs = settings.timeoutMs || 60000;
+    this.temperature = settings.temperature;
+    this.maxTokens = settings.maxTokens;
+  }
+
+  async generate(prompt, options = {}) {
+    return (await this.complete(prompt, options)).text;
+  }
+
+  async complete(prompt, { json = false } = {}) {
+    const body = {
+      model: this.modelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    };
+
+    if (json && this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`LLM request failed: ${response.status} ${response.statusText} ${detail.slice(0, 200)}`.trim());
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+
+      if (typeof content !== 'string') {
+        throw new Error('LLM response had no message content');
+      }
+
+      return {
+        text: content,
+        model: data.model || this.modelName,
+        usage: data.usage
+          ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0, estimated: false }
+          : estimateUsage(prompt, content)
+      };
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests
+ * `responses` entries are either plain strings (returned once each, in order)
+ * or { match, text } rules (returned whenever the `match` regex matches the
+ * prompt). `fallback` is returned when nothing matches.
+ */
+export class ScriptedProvider {
+  constructor(settings = {}) {
+    this.name = 'scripted';
+    this.modelName = settings.model || 'scripted';
+    this.rules = (settings.responses || []).map(rule => (
+      typeof rule === 'string' ? { text: rule, once: true } : { ...rule, pattern: rule.match ? new RegExp(rule.match, 'i') : null }
+    ));
+    this.fallback = settings.fallback ?? null;
+    this.calls = [];
+  }
+
+  async generate(prompt, options = {}) {
+    return (await this.complete(prompt, options)).text;
+  }
+
+  async complete(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    const index = this.rules.findIndex(rule => !rule.used && (!rule.pattern || rule.pattern.test(prompt)));
+
+    if (index === -1) {
+      if (this.fallback === null) {
+        throw new Error('Scripted provider has no response for this prompt');
+      }
+      return this._result(prompt, this.fallback);
+    }
+
+    const rule = this.rules[index];
+    if (rule.once) {
+      rule.used = true;
+    }
+
+    return this._result(prompt, rule.text);
+  }
+
+  _result(prompt, value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return { text, model: this.modelName, usage: estimateUsage(prompt, text) };
+  }
+}
+
+function estimateUsage(prompt, text) {
+  return { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text), estimated: true };
+}
+
+const PROVIDERS = {
+  gemini: { type: GeminiProvider, section: 'gemini' },
+  'openai-compatible': { type: OpenAICompatibleProvider, section: 'openaiCompatible' },
+  scripted: { type: ScriptedProvider, section: 'scripted' }
+};
+
+/**
+ * Create the provider named by `ai.provider`
+ */
+export function createProvider(aiConfig = {}) {
+  const name = aiConfig.provider || 'gemini';
+  const entry = PROVIDERS[name];
+
+  if (!entry) {
+    throw new Error(`Unknown AI provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const settings = {
+    model: aiConfig.model,
+    temperature: aiConfig.temperature,
+    maxTokens: aiConfig.maxTokens,
+    ...(aiConfig[entry.section] || {})
+  };
+
+  logger.info(`🧩 Using ${name} AI provider (${settings.model || 'default model'})`);
+  return new entry.type(settings);
+}
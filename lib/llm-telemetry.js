@@ -0,0 +1,87 @@
+/**
+ * LLM Telemetry
+ *
+ * Records every model call made for an email: model, purpose, prompt and
+ * completion tokens, latency and failures, and prices it with the
+ * `ai.pricing` table (USD per million tokens, keyed by model name).
+ * Calls are grouped per email object, so concurrent emails don't mix.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('llm-telemetry');
+
+// Calls that redo an earlier one (invalid analysis output, rejected reply)
+const RETRY_PURPOSES = ['analysis_repair', 'response_retry'];
+
+export class LlmTelemetry {
+  constructor(config) {
+    this.pricing = config.ai?.pricing || {};
+    this.calls = new WeakMap();
+    this.unpriced = new Set();
+  }
+
+  /**
+   * Record one model call for an email
+   */
+  record(email, call) {
+    const entry = {
+      ...call,
+      costUsd: this.estimateCost(call.model, call.promptTokens, call.completionTokens)
+    };
+
+    if (email && typeof email === 'object') {
+      if (!this.calls.has(email)) this.calls.set(email, []);
+      this.calls.get(email).push(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Totals for every call made for an email
+   */
+  getUsage(email) {
+    const calls = (email && this.calls.get(email)) || [];
+
+    const usage = {
+      calls: calls.length,
+      retries: calls.filter(call => RETRY_PURPOSES.includes(call.purpose)).length,
+      failures: calls.filter(call => call.error).length,
+      unpricedCalls: calls.filter(call => call.costUsd === null).length,
+      promptTokens: 0,
+      completionTokens: 0,
+      latencyMs: 0,
+      costUsd: 0,
+      estimatedTokens: calls.some(call => call.estimated),
+      models: [...new Set(calls.map(call => call.model).filter(Boolean))]
+    };
+
+    for (const call of calls) {
+      usage.promptTokens += call.promptTokens || 0;
+      usage.completionTokens += call.completionTokens || 0;
+      usage.latencyMs += call.latencyMs || 0;
+      usage.costUsd += call.costUsd || 0;
+    }
+
+    usage.costUsd = Number(usage.costUsd.toFixed(6));
+    return usage;
+  }
+
+  /**
+   * Estimated cost in USD, or null for a model missing from the price table
+   */
+  estimateCost(model, promptTokens = 0, completionTokens = 0) {
+    const price = this.pricing[model];
+
+    if (!price) {
+      if (model && !this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        logger.warn(`💲 No price configured for model ${model} (ai.pricing); cost not tracked`);
+      }
+      return null;
+    }
+
+    return (promptTokens * (price.inputPerMillion || 0) + completionTokens * (price.outputPerMillion || 0)) / 1e6;
+  }
+}
@@ -5,10 +5,14 @@
  * - Google Workspace MCP (Gmail, Calendar, Drive)
  * - Supabase MCP (Database operations)  
  * - Stripe MCP (Billing and subscriptions)
+ * 
+ * With a cassette enabled (lib/cassette.js), tool calls are recorded to or
+ * replayed from a fixture file; replay mode starts no servers.
  */
 
 import { spawn } from 'child_process';
 import fetch from 'node-fetch';
+import { getCassette } from './cassette.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger('mcp-client');
@@ -18,6 +22,7 @@ export class MCPClientManager {
     this.config = config.mcpServers;
     this.processes = new Map();
     this.healthStatus = new Map();
+    this.cassette = getCassette(config);
   }
 
   /**
@@ -26,6 +31,14 @@ export class MCPClientManager {
   async initialize() {
     logger.info('🔗 Initializing MCP client connections...');
     
+    if (this.cassette?.isReplaying()) {
+      for (const serviceName of Object.keys(this.config)) {
+        this.healthStatus.set(serviceName, true);
+      }
+      logger.info('📼 Replaying MCP calls from cassette, no servers started');
+      return;
+    }
+    
     try {
       // Start subprocess-based servers
       await this._startSubprocessServers();
@@ -154,6 +167,21 @@ export class MCPClientManager {
    * Call a tool on the specified MCP server
    */
   async callTool(serviceName, toolName, parameters) {
+    if (this.cassette) {
+      return await this.cassette.intercept(
+        'mcp',
+        { service: serviceName, tool: toolName, parameters },
+        () => this._callTool(serviceName, toolName, parameters)
+      );
+    }
+    
+    return await this._callTool(serviceName, toolName, parameters);
+  }
+
+  /**
+   * Call a tool on a live MCP server
+   */
+  async _callTool(serviceName, toolName, parameters) {
     if (!this.healthStatus.get(serviceName)) {
       throw new Error(`MCP service '${serviceName}' is not healthy`);
     }
@@ -0,0 +1,98 @@
+/**
+ * Processed-Message Ledger
+ *
+ * Durable idempotency for email processing, keyed on Gmail message ID:
+ * - Claims a message before processing (only one invocation wins)
+ * - Records side effects (refund, customer reply) as they happen
+ * - Stores the final outcome
+ *
+ * A claim that is never finished expires after `leaseSeconds`, and a
+ * failed message may be reclaimed once its retry backoff has passed. A
+ * dead-lettered message (status dead) is only reclaimed after a re-drive.
+ * Recorded steps survive reclaims, so a retry never repeats a refund or a
+ * reply that already went out.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('message-ledger');
+
+export class MessageLedger {
+  constructor({ config, supabase }) {
+    this.settings = config.idempotency || {};
+    this.supabase = supabase;
+    this.owner = uuidv4();
+    this.claims = new Map();
+  }
+
+  /**
+   * Check if the ledger is active
+   */
+  isEnabled() {
+    return this.settings.enabled !== false;
+  }
+
+  /**
+   * Claim a message for processing
+   * Returns { claimed: true, entry } or { claimed: false, entry } for duplicates
+   */
+  async claim(messageId) {
+    const entry = await this.supabase.claimProcessedMessage(
+      messageId,
+      this.owner,
+      this.settings.leaseSeconds || 300
+    );
+
+    if (entry) {
+      this.claims.set(messageId, entry);
+      logger.info(`🔒 Claimed message ${messageId} (attempt ${entry.attempts || 1})`);
+      return { claimed: true, entry };
+    }
+
+    const existing = await this.supabase.getProcessedMessage(messageId);
+    logger.info(`⏭️ Message ${messageId} already ${existing?.status || 'claimed'}, skipping`);
+    return { claimed: false, entry: existing };
+  }
+
+  /**
+   * Get details of a side effect already performed for a claimed message
+   */
+  getStep(messageId, step) {
+    return this.claims.get(messageId)?.steps?.[step] || null;
+  }
+
+  /**
+   * Record a side effect for a claimed message
+   */
+  async recordStep(messageId, step, details = {}) {
+    const entry = this.claims.get(messageId);
+    if (!entry) return;
+
+    entry.steps = { ...(entry.steps || {}), [step]: { ...details, at: new Date().toISOString() } };
+
+    try {
+      await this.supabase.recordProcessedMessageStep(messageId, this.owner, step, entry.steps[step]);
+    } catch (error) {
+      // Don't fail the email after the side effect happened; finish() persists steps again
+      logger.error(`❌ Could not record ${step} step for ${messageId}:`, error);
+    }
+  }
+
+  /**
+   * Finish a claimed message
+   */
+  async finish(messageId, status, outcome = {}) {
+    if (!this.claims.has(messageId)) return;
+
+    try {
+      const { steps } = this.claims.get(messageId);
+      await this.supabase.finishProcessedMessage(messageId, this.owner, status, outcome, steps);
+    } catch (error) {
+      // The lease expiry lets a later invocation pick the message up again
+      logger.warn(`⚠️ Could not finish ledger entry for ${messageId}:`, error);
+    } finally {
+      this.claims.delete(messageId);
+    }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * PII Redactor
+ *
+ * Replaces personal data in prompt text with stable placeholders before it
+ * is sent to the model, and puts the original values back in model output:
+ * - email: email addresses
+ * - card: card numbers (Luhn-checked) and "ending in 1234" style last digits
+ * - id: Stripe object IDs and UUIDs
+ * - phone: phone numbers
+ * - address: street addresses
+ *
+ * One redactor is used per email, so the same value gets the same
+ * placeholder (e.g. [EMAIL_1]) in the analysis and the response prompts.
+ *
+ * `keep` lists values to leave alone and `keepPatterns` regexes for them;
+ * `placeholder(type, n)` changes the placeholder format (restore() only
+ * recognizes the default one).
+ */
+
+const PATTERNS = [
+  {
+    type: 'email',
+    regex: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi
+  },
+  {
+    type: 'card',
+    regex: /\b(?:\d[ -]?){12,18}\d\b/g,
+    accept: value => luhnValid(value.replace(/\D/g, ''))
+  },
+  {
+    type: 'card',
+    regex: /\b(?:ending(?: in)?|last ?4|last four(?: digits)?)[:\s]+\d{4}\b/gi
+  },
+  {
+    type: 'id',
+    regex: /\b(?:cus|ch|in|sub|si|pi|pm|py|card|src|re|txn|acct|evt|cs|seti|ii|prod|price)_[A-Za-z0-9]{8,}\b/g
+  },
+  {
+    type: 'id',
+    regex: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi
+  },
+  {
+    type: 'phone',
+    regex: /(?:\+|\b)\d[\d ().-]{7,}\d\b/g,
+    accept: value => {
+      const digits = value.replace(/\D/g, '');
+      // Skip ISO dates and plain numbers that happen to be long enough
+      return digits.length >= 9 && digits.length <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(value);
+    }
+  },
+  {
+    type: 'address',
+    regex: /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][\w'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq)\b\.?(?:,?\s+(?:Apt|Suite|Unit|#)\.?\s*[\w-]+)?/g
+  },
+  {
+    type: 'address',
+    regex: /\b[A-ZÄÖÜ][\wäöüß-]*(?:straße|strasse|str\.|weg|gasse|platz|allee|ring)\s+\d{1,4}[a-z]?\b/g
+  }
+];
+
+const PLACEHOLDER = /\[(EMAIL|CARD|ID|PHONE|ADDRESS)_(\d+)\]/g;
+
+export class PiiRedactor {
+  constructor(settings = {}) {
+    const types = settings.types || ['email', 'card', 'id', 'phone', 'address'];
+    this.patterns = PATTERNS.filter(pattern => types.includes(pattern.type));
+    this.keep = (settings.keep || []).map(value => value.toLowerCase());
+    this.keepPatterns = settings.keepPatterns || [];
+    this.placeholder = settings.placeholder || ((type, n) => `[${type.toUpperCase()}_${n}]`);
+    this.byValue = new Map();
+    this.byPlaceholder = new Map();
+    this.counts = {};
+  }
+
+  /**
+   * Replace PII in text with placeholders
+   */
+  redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    return this.patterns.reduce((result, pattern) => result.replace(pattern.regex, match => {
+      if (this.keep.includes(match.toLowerCase())) return match;
+      if (this.keepPatterns.some(keepPattern => keepPattern.test(match))) return match;
+      if (pattern.accept && !pattern.accept(match)) return match;
+      return this._placeholderFor(pattern.type, match);
+    }), text);
+  }
+
+  /**
+   * Put the original values back in place of known placeholders
+   * Placeholders this redactor didn't issue are left as they are
+   */
+  restore(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    return text.replace(PLACEHOLDER, placeholder => this.byPlaceholder.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Restore every string in a parsed model result
+   */
+  restoreDeep(value) {
+    if (typeof value === 'string') return this.restore(value);
+    if (Array.isArray(value)) return value.map(item => this.restoreDeep(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreDeep(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Number of distinct values redacted, by type
+   */
+  getSummary() {
+    return { ...this.counts };
+  }
+
+  _placeholderFor(type, value) {
+    const key = `${type}:${value.toLowerCase()}`;
+
+    if (!this.byValue.has(key)) {
+      this.counts[type] = (this.counts[type] || 0) + 1;
+      const placeholder = this.placeholder(type, this.counts[type]);
+      this.byValue.set(key, placeholder);
+      this.byPlaceholder.set(placeholder, value);
+    }
+
+    return this.byValue.get(key);
+  }
+}
+
+function luhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
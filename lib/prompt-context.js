@@ -0,0 +1,234 @@
+/**
+ * Prompt Context Builder
+ *
+ * Turns the raw user context (Supabase user, projects, assets, Stripe
+ * subscriptions and billing) into a compact customer profile, and ranks and
+ * truncates knowledge base hits, so prompts stay under `ai.context.maxTokens`.
+ *
+ * Lower-priority profile sections and knowledge snippets that don't fit are
+ * dropped, and every drop is listed in the returned report.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('prompt-context');
+
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+export class PromptContextBuilder {
+  constructor(config) {
+    this.settings = {
+      maxTokens: 2500,
+      profileMaxTokens: 800,
+      maxSnippets: 8,
+      maxSnippetChars: 600,
+      recentItems: 3,
+      ...(config.ai?.context || {})
+    };
+  }
+
+  /**
+   * Build the prompt sections for a user context and knowledge search results
+   * Returns { profile, knowledge, report: { tokens, dropped } }
+   */
+  build(userContext = null, knowledgeResults = null) {
+    const dropped = [];
+
+    const profile = userContext ? this._buildProfile(userContext, dropped) : '';
+    const profileTokens = estimateTokens(profile);
+
+    const knowledgeBudget = Math.max(0, this.settings.maxTokens - profileTokens);
+    const knowledge = knowledgeResults ? this._buildKnowledge(knowledgeResults, knowledgeBudget, dropped) : '';
+    const knowledgeTokens = estimateTokens(knowledge);
+
+    if (dropped.length) {
+      logger.info(`✂️ Prompt context trimmed: dropped ${dropped.length} items to fit ${this.settings.maxTokens} tokens`);
+    }
+
+    return {
+      profile,
+      knowledge,
+      report: {
+        tokens: { profile: profileTokens, knowledge: knowledgeTokens, total: profileTokens + knowledgeTokens },
+        dropped
+      }
+    };
+  }
+
+  /**
+   * Format the customer profile, dropping optional sections until it fits
+   */
+  _buildProfile(userContext, dropped) {
+    if (!userContext.userFound) {
+      return `No Komplier account found for ${userContext.email || 'this sender'}.`;
+    }
+
+    const sections = this._profileSections(userContext);
+
+    // Sections are ordered by importance; drop from the end until the profile fits
+    while (sections.length > 1 && estimateTokens(sections.map(section => section.text).join('\n')) > this.settings.profileMaxTokens) {
+      const section = sections.pop();
+      dropped.push({ type: 'profile', section: section.name, reason: 'token budget' });
+    }
+
+    return sections.map(section => section.text).join('\n');
+  }
+
+  /**
+   * Profile sections, most important first
+   */
+  _profileSections(userContext) {
+    const { user = {}, usage, refundEligibility, subscriptions = [], projects, assetsData, billingHistory, stripeCustomer } = userContext;
+    const recent = this.settings.recentItems;
+    const sections = [];
+
+    const info = usage || {};
+    sections.push({
+      name: 'account',
+      text: [
+        `Name: ${user.name || 'unknown'} (${user.email || userContext.email || 'unknown email'})`,
+        `Account type: ${user.user_type || 'unknown'}`,
+        `Customer since: ${formatDate(user.created_at)}${info.daysSinceSignup !== undefined ? ` (${info.daysSinceSignup} days)` : ''}`,
+        `Plan: ${user.subscription_plan || 'none'} (${user.subscription_status || 'no subscription'})`,
+        `Stripe customer: ${stripeCustomer ? 'yes' : 'no'}`
+      ].join('\n')
+    });
+
+    if (refundEligibility) {
+      sections.push({
+        name: 'refundEligibility',
+        text: `Refund eligibility: ${refundEligibility.eligible ? 'eligible' : 'not eligible'}${refundEligibility.reason ? ` - ${refundEligibility.reason}` : ''}`
+      });
+    }
+
+    if (subscriptions.length) {
+      sections.push({
+        name: 'subscriptions',
+        text: `Subscriptions:\n${subscriptions.slice(0, recent).map(formatSubscription).join('\n')}`
+      });
+    }
+
+    // Projects aren't loaded up front when the model can look them up (ai.tools)
+    const compliant = assetsData?.totalCompliant ?? info.compliantAssets ?? 0;
+    sections.push({
+      name: 'usage',
+      text: projects
+        ? `Usage: ${projects.length} projects (${projects.filter(project => project.status === 'completed').length} completed), ${compliant} compliant assets`
+        : `Usage: ${info.completedProjects ?? 0} completed projects, ${compliant} compliant assets`
+    });
+
+    const charges = billingHistory?.charges || [];
+    const invoices = billingHistory?.invoices || [];
+    if (charges.length || invoices.length) {
+      const paid = charges.filter(charge => charge.status === 'succeeded').reduce((sum, charge) => sum + (charge.amount || 0), 0);
+      const refunded = charges.reduce((sum, charge) => sum + (charge.amount_refunded || 0), 0);
+      const open = invoices.filter(invoice => invoice.status === 'open').length;
+
+      sections.push({
+        name: 'billingSummary',
+        text: `Billing: ${formatMoney(paid)} paid, ${formatMoney(refunded)} refunded, ${open} open invoices`
+      });
+
+      if (charges.length) {
+        sections.push({
+          name: 'recentCharges',
+          text: `Recent charges:\n${charges.slice(0, recent).map(formatCharge).join('\n')}`
+        });
+      }
+    }
+
+    if (projects?.length) {
+      sections.push({
+        name: 'recentProjects',
+        text: `Recent projects:\n${projects.slice(0, recent).map(project => `- ${project.name} (${project.status}, ${project.asset_count ?? 0} assets)`).join('\n')}`
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Rank knowledge hits, truncate them and keep as many as fit the budget
+   */
+  _buildKnowledge(knowledgeResults, budget, dropped) {
+    const { maxSnippets, maxSnippetChars } = this.settings;
+    const seen = new Set();
+
+    const snippets = (Array.isArray(knowledgeResults) ? knowledgeResults : [])
+      .flatMap(result => (result.items || []).map(item => ({ category: result.category, ...item })))
+      .filter(snippet => typeof snippet.content === 'string' && snippet.content.trim())
+      .sort((a, b) => (b.relevance || 0) - (a.relevance || 0))
+      .filter(snippet => {
+        const key = snippet.content.trim().toLowerCase();
+        if (seen.has(key)) {
+          dropped.push({ type: 'knowledge', source: formatSource(snippet), reason: 'duplicate' });
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+
+    const lines = [];
+    let used = 0;
+
+    snippets.forEach((snippet, index) => {
+      const source = formatSource(snippet);
+
+      if (index >= maxSnippets) {
+        dropped.push({ type: 'knowledge', source, reason: 'snippet limit' });
+        return;
+      }
+
+      const content = snippet.content.length > maxSnippetChars
+        ? `${snippet.content.slice(0, maxSnippetChars)}...`
+        : snippet.content;
+      const line = `- [${source}] ${content}`;
+      const tokens = estimateTokens(line);
+
+      if (used + tokens > budget) {
+        dropped.push({ type: 'knowledge', source, reason: 'token budget' });
+        return;
+      }
+
+      used += tokens;
+      lines.push(line);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+function formatSource(snippet) {
+  return `${snippet.category}${snippet.path ? `.${snippet.path}` : ''}`;
+}
+
+function formatDate(value) {
+  if (!value) return 'unknown';
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().split('T')[0];
+}
+
+function formatMoney(cents, currency = 'usd') {
+  return `${((cents || 0) / 100).toFixed(2)} ${String(currency).toUpperCase()}`;
+}
+
+function formatSubscription(subscription) {
+  const price = subscription.items?.data?.[0]?.price || subscription.plan || {};
+  const interval = price.recurring?.interval || price.interval;
+  const amount = price.unit_amount ?? price.amount;
+
+  return `- ${price.nickname || price.id || 'plan'}: ${subscription.status}` +
+    `${amount !== undefined ? `, ${formatMoney(amount, price.currency)}${interval ? `/${interval}` : ''}` : ''}` +
+    `${subscription.current_period_end ? `, renews ${formatDate(subscription.current_period_end)}` : ''}` +
+    `${subscription.cancel_at_period_end ? ', cancels at period end' : ''}`;
+}
+
+function formatCharge(charge) {
+  return `- ${formatDate(charge.created)}: ${formatMoney(charge.amount, charge.currency)} ${charge.status}` +
+    `${charge.amount_refunded ? ` (refunded ${formatMoney(charge.amount_refunded, charge.currency)})` : ''}`;
+}
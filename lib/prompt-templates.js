@@ -0,0 +1,100 @@
+/**
+ * Prompt Templates
+ *
+ * Prompts live in `<ai.prompts.directory>/<version>/<name>.txt` and use
+ * {{variable}} placeholders. `ai.prompts.variants` lists the versions in use
+ * with a weight each; every email thread is assigned one version by a stable
+ * hash of its thread ID, so an experiment's traffic split stays consistent
+ * across follow-ups, retries and approvals.
+ *
+ * The tool lookup prompt (tools.txt) is only needed with `ai.tools.enabled`;
+ * versions published before the lookup tools don't have one.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('prompt-templates');
+
+export const PROMPT_NAMES = ['analysis', 'response', 'tools'];
+
+export class PromptTemplates {
+  constructor(config) {
+    const settings = config.ai?.prompts || {};
+    this.directory = settings.directory || 'config/prompts';
+    this.variants = (settings.variants || [{ version: 'v1', weight: 1 }])
+      .filter(variant => variant.weight > 0);
+    this.totalWeight = this.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    this.templates = new Map();
+    this.names = config.ai?.tools?.enabled ? PROMPT_NAMES : PROMPT_NAMES.filter(name => name !== 'tools');
+
+    if (!this.variants.length) {
+      throw new Error('ai.prompts.variants needs at least one version with a positive weight');
+    }
+
+    // Load every template up front so a missing file fails at startup
+    for (const { version } of this.variants) {
+      for (const name of this.names) {
+        this._load(version, name);
+      }
+    }
+
+    logger.info(`📝 Prompt versions: ${this.variants.map(variant => `${variant.version} (${variant.weight})`).join(', ')}`);
+  }
+
+  /**
+   * Pick the prompt version for a thread (or message) ID
+   */
+  selectVersion(key) {
+    if (this.variants.length === 1) return this.variants[0].version;
+
+    const point = key ? hashString(String(key)) % this.totalWeight : Math.random() * this.totalWeight;
+    let cumulative = 0;
+
+    for (const variant of this.variants) {
+      cumulative += variant.weight;
+      if (point < cumulative) return variant.version;
+    }
+
+    return this.variants[this.variants.length - 1].version;
+  }
+
+  /**
+   * Fill a template's {{variables}}
+   * Throws on variables the caller didn't provide, so template typos surface
+   */
+  render(version, name, variables) {
+    const template = this._load(version, name);
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => {
+      if (!(key in variables)) {
+        throw new Error(`Prompt template ${version}/${name} uses unknown variable: ${key}`);
+      }
+      return variables[key] ?? '';
+    });
+  }
+
+  _load(version, name) {
+    const key = `${version}/${name}`;
+
+    if (!this.templates.has(key)) {
+      const filePath = join(process.cwd(), this.directory, version, `${name}.txt`);
+      this.templates.set(key, readFileSync(filePath, 'utf-8').trimEnd());
+    }
+
+    return this.templates.get(key);
+  }
+}
+
+/**
+ * FNV-1a hash, used for sticky variant assignment
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
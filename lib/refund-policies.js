@@ -0,0 +1,167 @@
+/**
+ * Refund Amount Policies
+ *
+ * How much a refund is worth, per `subscription_plan`, set under
+ * `businessRules.refunds.policies` in agent-config.json (the `default` entry
+ * covers any other plan):
+ * - full: the whole latest payment
+ * - prorated: the unused days of the billing period that payment covered
+ * - percentage: `percent` of the latest payment
+ * - capped: `amount` (or `refundAmountDefault`), capped at what was paid
+ *
+ * Amounts come from the customer's Stripe charges and invoices. The refund
+ * never exceeds what is left to refund on the charge, or what the customer
+ * asked for. Every calculation returns a breakdown with the figures used and
+ * plain-language lines for the customer reply and the audit log.
+ */
+
+export const REFUND_POLICY_TYPES = ['full', 'prorated', 'percentage', 'capped'];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export class RefundPolicies {
+  constructor(refundRules = {}) {
+    this.policies = refundRules.policies || { default: { type: 'capped' } };
+    this.defaultAmount = Math.round((refundRules.refundAmountDefault || 0) * 100);
+  }
+
+  /**
+   * Policy for a plan: { type, percent?, amount? }
+   */
+  get(plan) {
+    return this.policies[plan] || this.policies.default || { type: 'capped' };
+  }
+
+  /**
+   * Work out the refund for a customer's latest payment
+   * Returns the breakdown: { plan, policy, chargeId, currency, amountPaid,
+   * alreadyRefunded, requestedAmount, amount, lines, problem? } (amounts in cents).
+   * `problem` is set, and `amount` is 0, when nothing can be refunded
+   */
+  calculate(plan, billingHistory, { requestedAmount = null, now = Date.now() } = {}) {
+    const policy = this.get(plan);
+    const charge = (billingHistory?.charges || []).find(item => item.status === 'succeeded' && !item.refunded);
+    const breakdown = { plan: plan || 'default', policy: policy.type, requestedAmount };
+
+    if (!charge) {
+      return { ...breakdown, amount: 0, lines: ['No refundable payment found'], problem: 'No refundable payment found' };
+    }
+
+    const currency = charge.currency || 'usd';
+    const money = cents => formatMoney(cents, currency);
+    const alreadyRefunded = charge.amount_refunded || 0;
+    const refundable = charge.amount - alreadyRefunded;
+
+    Object.assign(breakdown, { chargeId: charge.id, currency, amountPaid: charge.amount, alreadyRefunded });
+    const lines = [`Amount paid: ${money(charge.amount)} on ${formatDate(charge.created)}`];
+    if (alreadyRefunded) lines.push(`Already refunded: ${money(alreadyRefunded)}`);
+
+    let amount;
+    if (policy.type === 'full') {
+      amount = refundable;
+      lines.push('Refund policy: full refund of the latest payment');
+    } else if (policy.type === 'percentage') {
+      amount = Math.round(charge.amount * policy.percent / 100);
+      breakdown.percent = policy.percent;
+      lines.push(`Refund policy: ${policy.percent}% of the latest payment (${money(amount)})`);
+    } else if (policy.type === 'capped') {
+      const cap = policy.amount !== undefined ? Math.round(policy.amount * 100) : this.defaultAmount;
+      amount = Math.min(cap, charge.amount);
+      breakdown.cap = cap;
+      lines.push(`Refund policy: up to ${money(cap)}, and no more than the amount paid`);
+    } else {
+      const period = billingPeriod(charge, billingHistory.invoices || []);
+      if (!period) {
+        return { ...breakdown, amount: 0, lines, problem: 'Billing period for the payment not found' };
+      }
+
+      const periodDays = Math.max(1, Math.round((period.end - period.start) / DAY_SECONDS));
+      const unusedDays = Math.min(periodDays, Math.max(0, Math.floor((period.end - now / 1000) / DAY_SECONDS)));
+      amount = Math.round(charge.amount * unusedDays / periodDays);
+      Object.assign(breakdown, { periodStart: period.start, periodEnd: period.end, periodDays, unusedDays });
+      lines.push(`Billing period: ${formatDate(period.start)} to ${formatDate(period.end)}, ${unusedDays} of ${periodDays} days unused`);
+      lines.push(`Refund policy: prorated, ${money(charge.amount)} x ${unusedDays}/${periodDays} = ${money(amount)}`);
+    }
+
+    if (amount > refundable) {
+      amount = refundable;
+      lines.push(`Limited to the ${money(refundable)} not yet refunded`);
+    }
+
+    if (requestedAmount && requestedAmount < amount) {
+      amount = requestedAmount;
+      lines.push(`Limited to the ${money(requestedAmount)} requested`);
+    }
+
+    lines.push(`Refund: ${money(amount)}`);
+
+    return {
+      ...breakdown,
+      amount,
+      lines,
+      ...(amount > 0 ? {} : { problem: 'Nothing left to refund under the plan\'s policy' })
+    };
+  }
+
+  /**
+   * Check the policies
+   * Returns a list of error messages (empty when valid)
+   */
+  validate(path = 'businessRules.refunds.policies') {
+    return Object.entries(this.policies).flatMap(([plan, policy]) => {
+      const errors = [];
+
+      if (!REFUND_POLICY_TYPES.includes(policy?.type)) {
+        errors.push(`${path}.${plan}.type must be one of: ${REFUND_POLICY_TYPES.join(', ')}`);
+      } else if (policy.type === 'percentage' && !(policy.percent > 0 && policy.percent <= 100)) {
+        errors.push(`${path}.${plan}.percent must be a number between 0 and 100`);
+      } else if (policy.type === 'capped' && policy.amount !== undefined && !(policy.amount >= 0)) {
+        errors.push(`${path}.${plan}.amount must be a positive number`);
+      }
+
+      return errors;
+    });
+  }
+
+  /**
+   * Plain-language policies, for AI prompts
+   */
+  describe() {
+    return Object.entries(this.policies).map(([plan, policy]) => {
+      const text = {
+        full: 'full refund of the latest payment',
+        prorated: 'the unused days of the current billing period',
+        percentage: `${policy.percent}% of the latest payment`,
+        capped: `up to ${formatMoney(policy.amount !== undefined ? Math.round(policy.amount * 100) : this.defaultAmount, 'usd')}, no more than was paid`
+      }[policy.type];
+
+      return `${plan === 'default' ? 'other plans' : `plan "${plan}"`}: ${text}`;
+    });
+  }
+}
+
+/**
+ * Service period ({ start, end } in seconds) of the invoice a charge paid
+ */
+function billingPeriod(charge, invoices) {
+  const invoice = invoices.find(item => item.id === charge.invoice);
+  if (!invoice) return null;
+
+  // Invoice-level period_start/period_end are the previous period for
+  // subscription renewals; the line item carries the period paid for
+  const line = invoice.lines?.data?.find(item => item.period?.start && item.period?.end);
+  if (line) return line.period;
+
+  return invoice.period_end > invoice.period_start
+    ? { start: invoice.period_start, end: invoice.period_end }
+    : null;
+}
+
+function formatMoney(cents, currency) {
+  const value = (cents / 100).toFixed(2);
+  return currency.toLowerCase() === 'usd' ? `$${value}` : `${value} ${currency.toUpperCase()}`;
+}
+
+function formatDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().slice(0, 10) : 'an unknown date';
+}
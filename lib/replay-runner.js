@@ -0,0 +1,111 @@
+/**
+ * Cassette Replay Runner
+ *
+ * Processes the emails in a recorded cassette (lib/cassette.js) again,
+ * offline: every Gmail, Supabase, Stripe and model call is answered from
+ * the recording. Each message the recording fetched with
+ * get_gmail_message_content is run through EmailProcessor.processEmail,
+ * the same way index.js processes new mail.
+ *
+ * A replay that makes a call the cassette doesn't have is reported as a
+ * miss, and the run fails.
+ *
+ *   npm run replay -- fixtures/cassettes/<incident>.json [messageId ...]
+ */
+
+import { readFileSync } from 'fs';
+import { MCPClientManager } from './mcp-client.js';
+import { GmailOperations } from './gmail.js';
+import { SupabaseOperations } from './supabase.js';
+import { StripeOperations } from './stripe.js';
+import { AIOperations } from './ai.js';
+import { BusinessRulesEngine } from './business-rules.js';
+import { KnowledgeBase } from './knowledge-base.js';
+import { EmailProcessor } from './email-processor.js';
+import { getCassette } from './cassette.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('replay');
+
+/**
+ * Replay the emails recorded in the cassette at `path`
+ * Returns { results: [{ messageId, result, error }], misses, unused }
+ */
+export async function replayCassette(config, path, { messageIds = null } = {}) {
+  if (process.env.CASSETTE_MODE && process.env.CASSETTE_MODE !== 'replay') {
+    throw new Error(`CASSETTE_MODE=${process.env.CASSETTE_MODE} is set; unset it to replay a cassette`);
+  }
+
+  const replayConfig = { ...config, cassette: { ...config.cassette, mode: 'replay', path } };
+  const cassette = getCassette(replayConfig);
+
+  const mcpClient = new MCPClientManager(replayConfig);
+  await mcpClient.initialize();
+
+  const gmail = new GmailOperations(mcpClient);
+  const knowledgeBase = new KnowledgeBase(replayConfig);
+  await knowledgeBase.loadKnowledgeBase();
+
+  const processor = new EmailProcessor({
+    config: replayConfig,
+    gmail,
+    supabase: new SupabaseOperations(mcpClient),
+    stripe: new StripeOperations(mcpClient),
+    ai: new AIOperations(replayConfig),
+    businessRules: new BusinessRulesEngine(replayConfig),
+    knowledgeBase
+  });
+
+  const results = [];
+
+  for (const messageId of messageIds || recordedMessageIds(cassette)) {
+    logger.info(`📼 Replaying email ${messageId}`);
+
+    try {
+      const emailContent = await gmail.getEmailContent(messageId);
+      const result = await processor.processEmail({ id: messageId, ...emailContent });
+      results.push({ messageId, result, error: null });
+    } catch (error) {
+      logger.error(`❌ Replay of ${messageId} failed: ${error.message}`);
+      results.push({ messageId, result: null, error: error.message });
+    }
+  }
+
+  return { results, misses: cassette.getMisses(), unused: cassette.getUnused() };
+}
+
+/**
+ * Message IDs the recording fetched, in the order they were first fetched
+ */
+function recordedMessageIds(cassette) {
+  const ids = cassette.interactions
+    .filter(entry => entry.kind === 'mcp' && entry.request.tool === 'get_gmail_message_content')
+    .map(entry => entry.request.parameters?.message_id)
+    .filter(Boolean);
+
+  return [...new Set(ids)];
+}
+
+// Run from the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [path = process.env.CASSETTE_PATH, ...messageIds] = process.argv.slice(2);
+  const config = JSON.parse(readFileSync(new URL('../config/agent-config.json', import.meta.url), 'utf8'));
+
+  if (!path) {
+    console.error('Usage: npm run replay -- <cassette.json> [messageId ...]');
+    process.exit(1);
+  }
+
+  replayCassette(config, path, { messageIds: messageIds.length ? messageIds : null })
+    .then(({ results, misses, unused }) => {
+      for (const { messageId, result, error } of results) {
+        console.log(`${messageId}: ${error ? `FAILED - ${error}` : result.action}`);
+      }
+      console.log(`${misses.length} unmatched calls, ${unused.length} recorded calls not used`);
+      process.exit(misses.length || results.some(entry => entry.error) ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`Replay failed: ${error.message}`);
+      process.exit(1);
+    });
+}
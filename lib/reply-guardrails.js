@@ -0,0 +1,179 @@
+/**
+ * Reply Guardrails
+ *
+ * Policy checks run on every AI-written reply before it is sent:
+ * - refund_promise: says a refund was made when none was processed
+ * - refund_amount: quotes an amount other than the refund that was processed
+ *   (or one of the figures in its breakdown)
+ * - refund_breakdown: leaves out the amount paid or the refund amount when
+ *   the refund came with a breakdown
+ * - url: links to a domain not in `guardrails.allowedDomains`
+ * - markdown: leftover markdown formatting
+ * - placeholder: unfilled placeholders ([EMAIL_1], {{name}}, [Your Name], TODO)
+ * - signature: missing the `guardrails.signature` sign-off
+ * - internal_data: user/Stripe IDs, JSON or internal field names
+ * - language: written in a different language than the customer's email
+ */
+
+const REFUND_CLAIM = /\b(?:refund(?:ed)?\b[^.!?\n]{0,40}\b(?:processed|issued|approved|initiated|sent|completed)|(?:we(?:'ve| have)|i(?:'ve| have)) (?:refunded|issued (?:you )?a refund|processed (?:your|a|the) refund))/i;
+
+const AMOUNT = /(?:[$€£]\s?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?))|(?:\b(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)\s?(?:USD|EUR|GBP|dollars|euros)\b)/gi;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"']+/gi;
+
+const MARKDOWN = [
+  /\*\*[^*\n]+\*\*/,
+  /__[^_\n]+__/,
+  /^#{1,6}\s/m,
+  /\[[^\]\n]+\]\((?:https?:|mailto:)[^)]+\)/,
+  /`[^`\n]+`/
+];
+
+const PLACEHOLDERS = [
+  /\[(?:EMAIL|CARD|ID|PHONE|ADDRESS)_\d+\]/,
+  /\{\{[^}]*\}\}/,
+  /\[(?:your|customer|insert|recipient|agent|company)[^\]]*\]/i,
+  /\b(?:TODO|TBD|lorem ipsum)\b/
+];
+
+const INTERNAL_DATA = [
+  { pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/i, label: 'internal ID' },
+  { pattern: /\b(?:cus|sub|ch|pi|pm|in|acct)_[A-Za-z0-9]{8,}\b/, label: 'Stripe ID' },
+  { pattern: /\{\s*"[\w]+"\s*:/, label: 'JSON' },
+  { pattern: /\b(?:user_id|stripe_customer_id|userContext|actionType|refundEligibility|aiAnalysis|subscription_status)\b/, label: 'internal field name' }
+];
+
+// Common function words; enough to tell these languages apart in an email
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'you', 'your', 'for', 'with', 'this', 'that', 'have', 'we', 'to', 'of', 'it', 'please', 'thanks'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'para', 'con', 'por', 'una', 'gracias', 'hola', 'su', 'no', 'mi'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'vous', 'pour', 'avec', 'une', 'des', 'merci', 'bonjour', 'je', 'nous', 'pas', 'mon'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'sie', 'ihr', 'für', 'mit', 'nicht', 'danke', 'ich', 'wir', 'ein', 'eine', 'mein'],
+  it: ['il', 'lo', 'gli', 'e', 'è', 'che', 'per', 'con', 'una', 'non', 'grazie', 'ciao', 'sono', 'mio', 'della', 'vostro'],
+  pt: ['o', 'os', 'e', 'é', 'que', 'para', 'com', 'uma', 'não', 'obrigado', 'olá', 'você', 'meu', 'da', 'do', 'seu'],
+  nl: ['de', 'het', 'en', 'is', 'je', 'u', 'voor', 'met', 'een', 'niet', 'bedankt', 'ik', 'wij', 'mijn', 'van', 'dat']
+};
+
+export class ReplyGuardrails {
+  constructor(config) {
+    this.settings = {
+      enabled: true,
+      maxRegenerations: 1,
+      allowedDomains: ['komplier.co'],
+      signature: 'Komplier Support Team',
+      ...(config.guardrails || {})
+    };
+  }
+
+  isEnabled() {
+    return this.settings.enabled !== false;
+  }
+
+  /**
+   * Check a reply against every policy
+   * `refundProcessed`, `refundAmount` (cents) and `refundBreakdown` (from
+   * lib/refund-policies.js) describe what actually happened; `customerText`
+   * is the email being answered
+   * Returns { passed, violations: [{ rule, message }] }
+   */
+  check(reply, { customerText = '', refundProcessed = false, refundAmount = null, refundBreakdown = null } = {}) {
+    if (!this.isEnabled()) {
+      return { passed: true, violations: [] };
+    }
+
+    const text = String(reply || '');
+    const violations = [];
+    const add = (rule, message) => violations.push({ rule, message });
+
+    if (!refundProcessed && REFUND_CLAIM.test(text)) {
+      add('refund_promise', 'Reply says a refund was made, but no refund was processed');
+    }
+
+    if (refundProcessed && refundAmount !== null) {
+      const breakdownAmounts = quotedAmounts((refundBreakdown?.lines || []).join('\n'));
+      const quoted = quotedAmounts(text);
+      const unexpected = quoted.filter(cents => cents !== refundAmount && !breakdownAmounts.includes(cents));
+
+      if (unexpected.length) {
+        add('refund_amount', `Reply quotes ${unexpected.map(formatCents).join(', ')} but the refund was ${formatCents(refundAmount)}`);
+      }
+
+      const missing = refundBreakdown
+        ? [refundBreakdown.amountPaid, refundAmount].filter(cents => cents !== undefined && !quoted.includes(cents))
+        : [];
+      if (missing.length) {
+        add('refund_breakdown', `Reply leaves out the refund breakdown (${missing.map(formatCents).join(', ')}): ${refundBreakdown.lines.join('; ')}`);
+      }
+    }
+
+    const blockedUrls = (text.match(URL_PATTERN) || []).filter(url => !this._isAllowedUrl(url));
+    if (blockedUrls.length) {
+      add('url', `Links to domains not on the allowlist: ${blockedUrls.join(', ')}`);
+    }
+
+    if (MARKDOWN.some(pattern => pattern.test(text))) {
+      add('markdown', 'Reply contains markdown formatting');
+    }
+
+    const placeholder = PLACEHOLDERS.map(pattern => text.match(pattern)).find(Boolean);
+    if (placeholder) {
+      add('placeholder', `Reply contains placeholder text: ${placeholder[0]}`);
+    }
+
+    if (this.settings.signature && !text.includes(this.settings.signature)) {
+      add('signature', `Reply is not signed "${this.settings.signature}"`);
+    }
+
+    const internal = INTERNAL_DATA.filter(({ pattern }) => pattern.test(text)).map(({ label }) => label);
+    if (internal.length) {
+      add('internal_data', `Reply exposes internal data: ${internal.join(', ')}`);
+    }
+
+    const customerLanguage = detectLanguage(customerText);
+    const replyLanguage = detectLanguage(text);
+    if (customerLanguage && replyLanguage && customerLanguage !== replyLanguage) {
+      add('language', `Reply is in ${replyLanguage} but the customer wrote in ${customerLanguage}`);
+    }
+
+    return { passed: violations.length === 0, violations };
+  }
+
+  _isAllowedUrl(url) {
+    let host;
+    try {
+      host = new URL(url.startsWith('www.') ? `https://${url}` : url).hostname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+
+    return this.settings.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+}
+
+/**
+ * Best-guess language code from stopword counts, or null when unclear
+ */
+export function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length < 5) return null;
+
+  const scores = Object.entries(STOPWORDS)
+    .map(([language, stopwords]) => [language, words.filter(word => stopwords.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  const [[best, bestScore], [, secondScore]] = scores;
+
+  // Need a few hits and a clear lead over the runner-up
+  return bestScore >= 3 && bestScore >= secondScore * 1.5 ? best : null;
+}
+
+/**
+ * Money amounts quoted in text, in cents
+ */
+function quotedAmounts(text) {
+  return [...text.matchAll(AMOUNT)].map(match => Math.round(Number((match[1] || match[2]).replace(/,/g, '')) * 100));
+}
+
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
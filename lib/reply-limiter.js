@@ -0,0 +1,48 @@
+/**
+ * Automated Reply Limiter
+ *
+ * Caps how many automated replies one recipient gets in a rolling window,
+ * so a bot on the other end that slipped past header checks can't keep a
+ * reply loop going. Counts the `response_sent` activity the agent logs for
+ * every reply it sends without a human in the loop.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('reply-limiter');
+
+export class ReplyLimiter {
+  constructor({ config, supabase }) {
+    this.settings = config.loopProtection || {};
+    this.supabase = supabase;
+  }
+
+  /**
+   * Check if the recipient already reached the automated reply cap
+   * Returns { limited, count, max, windowMinutes }
+   */
+  async check(recipient) {
+    const max = this.settings.maxAutoRepliesPerRecipient ?? 5;
+    const windowMinutes = this.settings.windowMinutes ?? 1440;
+
+    if (this.settings.enabled === false || !recipient) {
+      return { limited: false, count: 0, max, windowMinutes };
+    }
+
+    try {
+      const since = new Date(Date.now() - windowMinutes * 60000).toISOString();
+      const count = await this.supabase.countAutomatedReplies(recipient.toLowerCase(), since);
+
+      if (count >= max) {
+        logger.warn(`🔁 ${recipient} got ${count} automated replies in ${windowMinutes} min (cap ${max})`);
+      }
+
+      return { limited: count >= max, count, max, windowMinutes };
+
+    } catch (error) {
+      // Don't block replies because the counter is unavailable
+      logger.warn('⚠️ Reply limit check failed, allowing reply:', error);
+      return { limited: false, count: null, max, windowMinutes };
+    }
+  }
+}
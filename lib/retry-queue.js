@@ -0,0 +1,126 @@
+/**
+ * Email Retry Queue
+ *
+ * Persists emails whose processing failed and retries them with
+ * exponential backoff. After `maxAttempts` failures an email moves to the
+ * dead-letter list, where it stays until an admin re-drives it.
+ *
+ * Each job records the failure reason and the pipeline step that failed
+ * (context, ai, stripe, gmail_send).
+ *
+ * Emails a batch had no time left to start are queued here too, with no
+ * attempt counted, so they don't depend on another push to be picked up.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('retry-queue');
+
+export class RetryQueue {
+  constructor({ config, supabase }) {
+    this.settings = config.retryQueue || {};
+    this.supabase = supabase;
+  }
+
+  /**
+   * Check if failed emails should be queued for retry
+   */
+  isEnabled() {
+    return this.settings.enabled !== false;
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failures
+   */
+  getDelaySeconds(attempts) {
+    const base = this.settings.baseDelaySeconds ?? 60;
+    const max = this.settings.maxDelaySeconds ?? 3600;
+    return Math.min(base * 2 ** Math.max(0, attempts - 1), max);
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one (or dead-letter the email)
+   */
+  async recordFailure(messageId, emailData, error) {
+    const maxAttempts = this.settings.maxAttempts ?? 5;
+    const existing = await this.supabase.getEmailJob(messageId);
+    const attempts = (existing?.attempts || 0) + 1;
+    const dead = attempts >= maxAttempts;
+    const nextAttemptAt = dead
+      ? null
+      : new Date(Date.now() + this.getDelaySeconds(attempts) * 1000).toISOString();
+
+    const job = await this.supabase.recordEmailJobFailure(messageId, {
+      email: emailData,
+      step: error.step || 'unknown',
+      error: error.message,
+      nextAttemptAt,
+      dead
+    });
+
+    if (dead) {
+      logger.error(`☠️ Email ${messageId} dead-lettered after ${attempts} attempts (${error.step || 'unknown'} step)`);
+    } else {
+      logger.warn(`🔁 Email ${messageId} failed (attempt ${attempts}/${maxAttempts}), retrying at ${nextAttemptAt}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Queue an email that hasn't been attempted yet (no attempt is counted)
+   */
+  async defer(messageId, emailData) {
+    return await this.supabase.enqueueEmailJob(messageId, emailData);
+  }
+
+  /**
+   * Lock the jobs that are due for another attempt
+   */
+  async claimDue(limit = this.settings.batchSize || 10) {
+    return await this.supabase.claimDueEmailJobs(limit, this.settings.lockSeconds || 300);
+  }
+
+  /**
+   * Mark a retried email as done
+   */
+  async complete(messageId) {
+    return await this.supabase.updateEmailJobStatus(messageId, ['pending', 'processing'], 'completed');
+  }
+
+  /**
+   * Put a claimed job back without counting an attempt
+   */
+  async release(messageId) {
+    return await this.supabase.updateEmailJobStatus(messageId, ['processing'], 'pending');
+  }
+
+  /**
+   * Move a dead-lettered email back to the queue with a fresh attempt count
+   */
+  async redrive(messageId) {
+    const job = await this.supabase.updateEmailJobStatus(messageId, ['dead'], 'pending', { resetAttempts: true });
+
+    if (job) {
+      // The ledger keeps a dead-lettered message closed until now
+      await this.supabase.reopenDeadProcessedMessage(messageId);
+      logger.info(`♻️ Re-driving dead-lettered email ${messageId}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * List jobs by status
+   */
+  async list(status = 'dead', limit = 50) {
+    return await this.supabase.listEmailJobs(status, limit);
+  }
+
+  /**
+   * Get a single job
+   */
+  async get(messageId) {
+    return await this.supabase.getEmailJob(messageId);
+  }
+}
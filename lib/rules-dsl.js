@@ -0,0 +1,249 @@
+/**
+ * Business Rules Language
+ *
+ * Rule sets are plain JSON in agent-config.json, so policy changes don't
+ * need a deploy. A rule set is:
+ *   { "rules": [rule, ...], "default": { "outcome": ..., "reason": ... } }
+ * and a rule is:
+ *   { "id", "description", "when": condition, "then": { "outcome", "priority", "reason" } }
+ *
+ * Conditions:
+ *   { "all": [condition, ...] }    every condition holds
+ *   { "any": [condition, ...] }    at least one holds
+ *   { "not": condition }           the condition doesn't hold
+ *   { "field": "analysis.confidence", "<operator>": value }
+ * Operators: eq, ne, lt, lte, gt, gte, in, notIn, contains, containsAny,
+ * matches (case-insensitive regex), exists (true/false).
+ * Fields are dot paths into the facts: email.*, analysis.*, customer.*,
+ * refund.* and escalation.* (see BusinessRulesEngine._facts).
+ *
+ * Every rule is evaluated. When several fire, the most restrictive outcome
+ * wins (escalate > require_approval > auto_approve) and the highest priority
+ * wins. With none firing, the set's default applies. `reason` can quote
+ * facts with {{field.path}}, and {{matched}} lists what contains, containsAny
+ * and matches conditions found.
+ */
+
+export const OUTCOMES = ['auto_approve', 'require_approval', 'escalate'];
+
+export const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export const FACT_ROOTS = ['email', 'analysis', 'customer', 'refund', 'escalation'];
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  lt: (value, expected) => typeof value === 'number' && value < expected,
+  lte: (value, expected) => typeof value === 'number' && value <= expected,
+  gt: (value, expected) => typeof value === 'number' && value > expected,
+  gte: (value, expected) => typeof value === 'number' && value >= expected,
+  in: (value, expected) => expected.includes(value),
+  notIn: (value, expected) => !expected.includes(value),
+  contains: (value, expected) => String(value ?? '').toLowerCase().includes(String(expected).toLowerCase()),
+  containsAny: (value, expected) => expected.some(item => OPERATORS.contains(value, item)),
+  matches: (value, expected) => new RegExp(expected, 'i').test(String(value ?? '')),
+  exists: (value, expected) => (value !== undefined && value !== null) === expected
+};
+
+const OPERATOR_TEXT = {
+  eq: 'is', ne: 'is not', lt: '<', lte: '<=', gt: '>', gte: '>=', in: 'is one of', notIn: 'is not one of',
+  contains: 'contains', containsAny: 'mentions', matches: 'matches', exists: 'is set'
+};
+
+/**
+ * Evaluate a rule set against facts
+ * Returns { outcome, priority, reasons, fired, trace }
+ * `trace` has one entry per rule: { rule, fired, outcome, priority, reason }
+ */
+export function evaluateRuleSet(ruleSet, facts) {
+  const trace = (ruleSet.rules || []).map(rule => {
+    const matched = [];
+    const fired = evaluateCondition(rule.when, facts, matched);
+    const entry = { rule: rule.id, fired };
+
+    if (fired) {
+      entry.outcome = rule.then?.outcome || null;
+      entry.priority = rule.then?.priority || null;
+      entry.reason = interpolate(rule.then?.reason || rule.description || rule.id, { ...facts, matched: matched.join(', ') });
+    }
+
+    return entry;
+  });
+
+  const fired = trace.filter(entry => entry.fired);
+  const fallback = ruleSet.default || {};
+  const outcomes = fired.map(entry => entry.outcome).filter(Boolean);
+
+  return {
+    outcome: outcomes.length ? mostRestrictive(outcomes) : fallback.outcome || null,
+    priority: highestPriority([...fired.map(entry => entry.priority), fired.length ? null : fallback.priority]),
+    reasons: [
+      ...fired.map(entry => entry.reason),
+      !outcomes.length && fallback.reason ? interpolate(fallback.reason, facts) : null
+    ].filter(Boolean),
+    fired: fired.map(entry => entry.rule),
+    trace
+  };
+}
+
+/**
+ * Check a condition against facts
+ * Text that contains, containsAny and matches conditions found is added to `matched`
+ */
+export function evaluateCondition(condition, facts, matched = []) {
+  if (!condition) return true;
+  if (condition.all) return condition.all.every(item => evaluateCondition(item, facts, matched));
+  if (condition.any) return condition.any.some(item => evaluateCondition(item, facts, matched));
+  if (condition.not) return !evaluateCondition(condition.not, facts, []);
+
+  const operator = Object.keys(OPERATORS).find(name => name in condition);
+  const value = getPath(facts, condition.field);
+  const holds = OPERATORS[operator](value, condition[operator]);
+
+  if (holds && operator === 'containsAny') {
+    matched.push(...condition[operator].filter(item => OPERATORS.contains(value, item)));
+  } else if (holds && operator === 'contains') {
+    matched.push(condition[operator]);
+  } else if (holds && operator === 'matches') {
+    matched.push(String(value).match(new RegExp(condition[operator], 'i'))[0]);
+  }
+
+  return holds;
+}
+
+/**
+ * Check a rule set's structure
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateRuleSet(ruleSet, path) {
+  const errors = [];
+
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    return [`${path}.rules must be a list of rules`];
+  }
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const rulePath = `${path}.rules[${index}]`;
+
+    if (!rule.id) errors.push(`${rulePath}.id is required`);
+    else if (ids.has(rule.id)) errors.push(`${rulePath}.id "${rule.id}" is used twice`);
+    ids.add(rule.id);
+
+    if (!rule.when) errors.push(`${rulePath}.when is required`);
+    else errors.push(...validateCondition(rule.when, `${rulePath}.when`));
+
+    errors.push(...validateOutcome(rule.then || {}, `${rulePath}.then`));
+    if (!rule.then?.outcome && !rule.then?.priority) {
+      errors.push(`${rulePath}.then needs an outcome or a priority`);
+    }
+  });
+
+  if (ruleSet.default) {
+    errors.push(...validateOutcome(ruleSet.default, `${path}.default`));
+  }
+
+  return errors;
+}
+
+/**
+ * Plain-language condition, for prompts and admin messages
+ */
+export function describeCondition(condition) {
+  if (condition.all) return condition.all.map(describeCondition).join(' and ');
+  if (condition.any) return `(${condition.any.map(describeCondition).join(' or ')})`;
+  if (condition.not) return `not ${describeCondition(condition.not)}`;
+
+  const operator = Object.keys(OPERATORS).find(name => name in condition);
+  const field = condition.field.split('.').join(' ').replace(/([A-Z])/g, ' $1').toLowerCase();
+  const value = condition[operator];
+
+  if (operator === 'exists') return `${field} ${value ? 'is set' : 'is not set'}`;
+  return `${field} ${OPERATOR_TEXT[operator]} ${Array.isArray(value) ? value.join(', ') : value}`;
+}
+
+function validateCondition(condition, path) {
+  if (!condition || typeof condition !== 'object') {
+    return [`${path} must be an object`];
+  }
+
+  for (const combinator of ['all', 'any']) {
+    if (combinator in condition) {
+      return Array.isArray(condition[combinator])
+        ? condition[combinator].flatMap((item, index) => validateCondition(item, `${path}.${combinator}[${index}]`))
+        : [`${path}.${combinator} must be a list`];
+    }
+  }
+
+  if ('not' in condition) {
+    return validateCondition(condition.not, `${path}.not`);
+  }
+
+  const errors = [];
+  const operators = Object.keys(condition).filter(key => key !== 'field');
+
+  if (typeof condition.field !== 'string' || !FACT_ROOTS.includes(condition.field.split('.')[0])) {
+    errors.push(`${path}.field must start with one of: ${FACT_ROOTS.join(', ')}`);
+  }
+
+  if (operators.length !== 1 || !OPERATORS[operators[0]]) {
+    errors.push(`${path} needs exactly one operator (${Object.keys(OPERATORS).join(', ')})`);
+    return errors;
+  }
+
+  const [operator] = operators;
+  const value = condition[operator];
+
+  if (['in', 'notIn', 'containsAny'].includes(operator) && !Array.isArray(value)) {
+    errors.push(`${path}.${operator} must be a list`);
+  } else if (['lt', 'lte', 'gt', 'gte'].includes(operator) && typeof value !== 'number') {
+    errors.push(`${path}.${operator} must be a number`);
+  } else if (operator === 'exists' && typeof value !== 'boolean') {
+    errors.push(`${path}.exists must be true or false`);
+  } else if (operator === 'matches') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push(`${path}.matches is not a valid regex: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+function validateOutcome(then, path) {
+  const errors = [];
+
+  if (then.outcome && !OUTCOMES.includes(then.outcome)) {
+    errors.push(`${path}.outcome must be one of: ${OUTCOMES.join(', ')}`);
+  }
+  if (then.priority && !PRIORITIES.includes(then.priority)) {
+    errors.push(`${path}.priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+function mostRestrictive(outcomes) {
+  return outcomes.reduce((worst, outcome) => (OUTCOMES.indexOf(outcome) > OUTCOMES.indexOf(worst) ? outcome : worst));
+}
+
+/**
+ * Highest of a list of priorities (nulls ignored), or null
+ */
+export function highestPriority(priorities) {
+  const ranked = priorities.filter(Boolean);
+  if (!ranked.length) return null;
+  return ranked.reduce((top, priority) => (PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(top) ? priority : top));
+}
+
+function getPath(facts, path) {
+  return path.split('.').reduce((current, key) => current?.[key], facts);
+}
+
+function interpolate(text, facts) {
+  return String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const value = getPath(facts, path);
+    return value === undefined || value === null ? 'n/a' : String(value);
+  });
+}
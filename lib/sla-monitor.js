@@ -0,0 +1,152 @@
+/**
+ * SLA Monitor
+ *
+ * Watches cases handed to a human (state awaiting_human):
+ * - Detects a human reply in the Gmail thread and stops the clock
+ * - Alerts the admin when a first-response or resolution deadline is close
+ * - Alerts again once a deadline is breached
+ *
+ * Each alert is claimed on the case row, so it is sent once even when
+ * several invocations run the check.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('sla-monitor');
+
+const DEADLINES = [
+  { key: 'first_response', column: 'first_response_due_at', label: 'first response' },
+  { key: 'resolution', column: 'resolution_due_at', label: 'resolution' }
+];
+
+export class SlaMonitor {
+  constructor({ config, gmail, supabase, alertAdmin }) {
+    this.config = config;
+    this.settings = config.sla || {};
+    this.gmail = gmail;
+    this.supabase = supabase;
+    this.alertAdmin = alertAdmin;
+    this.supportAddresses = [config.email.supportInbox, ...(config.email.supportAliases || [])]
+      .filter(Boolean)
+      .map(address => address.toLowerCase());
+  }
+
+  /**
+   * Check every open SLA clock once
+   */
+  async checkOpenCases() {
+    if (this.settings.enabled === false) {
+      return { checked: 0, humanReplies: 0, alerts: 0 };
+    }
+
+    const cases = await this.supabase.listCasesAwaitingHuman();
+    const summary = { checked: cases.length, humanReplies: 0, alerts: 0 };
+
+    for (const supportCase of cases) {
+      try {
+        if (!supportCase.human_response_at && await this._hasHumanReply(supportCase)) {
+          await this._recordHumanReply(supportCase);
+          summary.humanReplies++;
+          continue;
+        }
+
+        summary.alerts += await this._sendDueAlerts(supportCase);
+
+      } catch (error) {
+        logger.warn(`⚠️ SLA check failed for case ${supportCase.id}:`, error);
+      }
+    }
+
+    logger.info(`⏱️ SLA check: ${summary.checked} cases, ${summary.humanReplies} human replies, ${summary.alerts} alerts`);
+    return summary;
+  }
+
+  /**
+   * Look for a reply from the support inbox that the agent didn't send itself
+   */
+  async _hasHumanReply(supportCase) {
+    if (!supportCase.thread_id) return false;
+
+    const [messages, events] = await Promise.all([
+      this.gmail.getThreadMessages(supportCase.thread_id),
+      this.supabase.getCaseEvents(supportCase.id)
+    ]);
+
+    const agentSent = new Set(events
+      .filter(event => event.event_type === 'email_sent')
+      .map(event => event.details?.sentMessageId)
+      .filter(Boolean));
+    const handedOffAt = new Date(supportCase.sla_started_at).getTime();
+
+    return messages.some(message => {
+      const from = (message.from || '').toLowerCase();
+      const sentAt = new Date(message.date).getTime();
+
+      return this.supportAddresses.some(address => from.includes(address)) &&
+        !agentSent.has(message.id || message.message_id) &&
+        sentAt > handedOffAt;
+    });
+  }
+
+  /**
+   * Stop the first-response clock after a human answered in Gmail
+   */
+  async _recordHumanReply(supportCase) {
+    logger.info(`🙋 Human reply found on case ${supportCase.id}`);
+
+    await this.supabase.markCaseResponded(supportCase.id);
+    await this.supabase.addCaseEvent(supportCase.id, 'human_reply', {
+      firstResponseDueAt: supportCase.first_response_due_at
+    });
+    await this.supabase.updateCaseState(supportCase.id, 'awaiting_customer');
+    await this.supabase.addCaseEvent(supportCase.id, 'state_change', {
+      state: 'awaiting_customer',
+      note: 'Human reply found in thread'
+    });
+  }
+
+  /**
+   * Send any at-risk or breach alerts that are due for a case
+   * Returns the number of alerts sent
+   */
+  async _sendDueAlerts(supportCase) {
+    const warnBeforeMs = (this.settings.warnBeforeMinutes ?? 30) * 60000;
+    const now = Date.now();
+    let sent = 0;
+
+    for (const deadline of DEADLINES) {
+      // A human reply meets the first-response target; resolution keeps running
+      if (deadline.key === 'first_response' && supportCase.human_response_at) continue;
+
+      const dueAt = supportCase[deadline.column] ? new Date(supportCase[deadline.column]).getTime() : null;
+      if (!dueAt) continue;
+
+      const status = now >= dueAt ? 'breached' : (dueAt - now <= warnBeforeMs ? 'at_risk' : null);
+      if (!status) continue;
+
+      const alertKey = `${deadline.key}_${status}`;
+      if (!await this.supabase.claimCaseSlaAlert(supportCase.id, alertKey)) continue;
+
+      const minutes = Math.round(Math.abs(dueAt - now) / 60000);
+      const timing = status === 'breached' ? `was due ${minutes} min ago` : `is due in ${minutes} min`;
+
+      await this.alertAdmin(
+        `SLA ${status === 'breached' ? 'BREACHED' : 'at risk'}: ${deadline.label} for ` +
+        `${supportCase.sla_priority || 'medium'} priority case ${supportCase.id} ` +
+        `(${supportCase.customer_email}, "${supportCase.subject}") ${timing} ` +
+        `(deadline ${new Date(dueAt).toISOString()}). No human has replied in the thread yet.`,
+        status === 'breached' ? 'critical' : 'high'
+      );
+
+      await this.supabase.addCaseEvent(supportCase.id, 'sla_alert', {
+        deadline: deadline.key,
+        status,
+        dueAt: new Date(dueAt).toISOString()
+      });
+
+      sent++;
+    }
+
+    return sent;
+  }
+}
@@ -5,7 +5,7 @@
  * - Subscription management
  * - Refund processing  
  * - Customer lookup
- * - Billing history
+ * - Billing history and receipts
  */
 
 import { createLogger } from './logger.js';
@@ -90,31 +90,38 @@ export class StripeOperations {
 
   /**
    * Process refund for a customer
+   * Refunds `chargeId` when given, otherwise the most recent unrefunded charge
    */
-  async processRefund(customerId, amount, reason = 'Customer request') {
+  async processRefund(customerId, amount, reason = 'Customer request', metadata = {}, chargeId = null) {
     try {
       logger.info(`💰 Processing refund for customer: ${customerId}, amount: $${amount / 100}`);
       
-      // First, find the most recent successful charge
-      const charges = await this.mcpClient.callTool('stripe', 'list_charges', {
-        customer: customerId,
-        limit: 10
-      });
-      
-      const latestPaidCharge = charges?.data?.find(charge => 
-        charge.status === 'succeeded' && !charge.refunded
-      );
-      
-      if (!latestPaidCharge) {
-        throw new Error('No refundable charges found for customer');
+      let refundChargeId = chargeId;
+      if (!refundChargeId) {
+        // First, find the most recent successful charge
+        const charges = await this.mcpClient.callTool('stripe', 'list_charges', {
+          customer: customerId,
+          limit: 10
+        });
+        
+        const latestPaidCharge = charges?.data?.find(charge => 
+          charge.status === 'succeeded' && !charge.refunded
+        );
+        
+        if (!latestPaidCharge) {
+          throw new Error('No refundable charges found for customer');
+        }
+
+        refundChargeId = latestPaidCharge.id;
       }
       
       // Create the refund
       const result = await this.mcpClient.callTool('stripe', 'create_refund', {
-        charge: latestPaidCharge.id,
+        charge: refundChargeId,
         amount,
         reason: 'requested_by_customer',
         metadata: {
+          ...metadata,
           agent_processed: 'true',
           reason: reason,
           timestamp: new Date().toISOString()
@@ -159,6 +166,39 @@ export class StripeOperations {
     }
   }
 
+  /**
+   * Get the receipt for a customer's most recent successful charge
+   * Returns null when the customer has no paid charge with a receipt
+   */
+  async getLatestReceipt(customerId) {
+    try {
+      logger.info(`🧾 Getting latest receipt for: ${customerId}`);
+
+      const charges = await this.mcpClient.callTool('stripe', 'list_charges', {
+        customer: customerId,
+        limit: 10
+      });
+
+      const charge = charges?.data?.find(item => item.status === 'succeeded' && item.receipt_url);
+      if (!charge) {
+        logger.info('ℹ️ No receipt found');
+        return null;
+      }
+
+      return {
+        chargeId: charge.id,
+        amount: charge.amount,
+        currency: charge.currency,
+        created: charge.created,
+        receiptUrl: charge.receipt_url
+      };
+
+    } catch (error) {
+      logger.error('❌ Receipt lookup failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create customer portal session for self-service
    */
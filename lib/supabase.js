@@ -124,56 +124,31 @@ export class SupabaseOperations {
   }
 
   /**
-   * Calculate refund eligibility based on usage
+   * Account age and usage for a user - the customer facts the business
+   * rules (refund eligibility) are evaluated against
+   * Pass already-loaded `projects` / `assetsData` to skip those queries
    */
-  async calculateRefundEligibility(userId) {
+  async getUsageFacts(user, { projects = null, assetsData = null } = {}) {
     try {
-      logger.info(`💰 Calculating refund eligibility for: ${userId}`);
-      
-      // Get user info
-      const user = await this.findUserByEmail(userId);
-      if (!user) {
-        return { eligible: false, reason: 'User not found' };
-      }
-      
-      // Get projects and compliant assets
-      const [projects, assetsData] = await Promise.all([
-        this.getUserProjects(user.id),
-        this.getCompliantAssets(user.id)
+      logger.info(`📏 Getting usage facts for: ${user.id}`);
+
+      const [userProjects, userAssets] = await Promise.all([
+        projects || this.getUserProjects(user.id),
+        assetsData || this.getCompliantAssets(user.id)
       ]);
-      
-      // Calculate eligibility based on business rules
-      const daysSinceSignup = Math.floor(
-        (Date.now() - new Date(user.created_at).getTime()) / (1000 * 60 * 60 * 24)
-      );
-      
-      const completedProjects = projects.filter(p => p.status === 'completed').length;
-      const compliantAssets = assetsData.totalCompliant;
-      
-      const eligibility = {
-        eligible: false,
-        reason: '',
-        userInfo: {
-          daysSinceSignup,
-          completedProjects,
-          compliantAssets,
-          subscriptionStatus: user.subscription_status
-        }
+
+      return {
+        daysSinceSignup: Math.floor(
+          (Date.now() - new Date(user.created_at).getTime()) / (1000 * 60 * 60 * 24)
+        ),
+        projectCount: userProjects.length,
+        completedProjects: userProjects.filter(p => p.status === 'completed').length,
+        compliantAssets: userAssets.totalCompliant,
+        subscriptionStatus: user.subscription_status
       };
-      
-      // Business rules from config
-      if (daysSinceSignup <= 30 && completedProjects === 0 && compliantAssets < 5) {
-        eligibility.eligible = true;
-        eligibility.reason = 'Meets auto-approval criteria';
-      } else {
-        eligibility.reason = `Exceeds limits: ${daysSinceSignup}d since signup, ${completedProjects} projects, ${compliantAssets} compliant assets`;
-      }
-      
-      logger.info(`💰 Refund eligibility: ${eligibility.eligible ? 'ELIGIBLE' : 'NOT ELIGIBLE'}`);
-      return eligibility;
-      
+
     } catch (error) {
-      logger.error('❌ Refund eligibility calculation failed:', error);
+      logger.error('❌ Usage facts lookup failed:', error);
       throw error;
     }
   }
@@ -206,6 +181,1058 @@ export class SupabaseOperations {
     }
   }
 
+  /**
+   * Persist a pending agent action awaiting human approval
+   */
+  async createPendingAction(action) {
+    try {
+      logger.info(`📝 Queuing pending ${action.actionType} action: ${action.id}`);
+      
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO pending_actions (
+            id,
+            action_type,
+            status,
+            customer_email,
+            thread_id,
+            message_id,
+            email,
+            ai_analysis,
+            user_context,
+            proposal,
+            drafted_response,
+            reasons,
+            created_at
+          ) VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *
+        `,
+        params: [
+          action.id,
+          action.actionType,
+          action.customerEmail,
+          action.threadId,
+          action.messageId,
+          JSON.stringify(action.email),
+          JSON.stringify(action.aiAnalysis),
+          JSON.stringify(action.userContext),
+          JSON.stringify(action.proposal),
+          action.draftedResponse,
+          JSON.stringify(action.reasons || []),
+          new Date().toISOString()
+        ]
+      });
+      
+      return this._parsePendingAction(result?.data?.[0]) || { ...action, status: 'pending' };
+      
+    } catch (error) {
+      logger.error('❌ Pending action creation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a pending action by ID
+   */
+  async getPendingAction(id) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `SELECT * FROM pending_actions WHERE id = $1`,
+        params: [id]
+      });
+      
+      return this._parsePendingAction(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Pending action lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List pending actions by status (newest first)
+   */
+  async listPendingActions(status = 'pending', limit = 50) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT * FROM pending_actions
+          WHERE status = $1
+          ORDER BY created_at DESC
+          LIMIT $2
+        `,
+        params: [status, limit]
+      });
+      
+      return (result?.data || []).map(row => this._parsePendingAction(row));
+      
+    } catch (error) {
+      logger.error('❌ Pending action listing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically move a pending action from one status to another
+   * Returns null if the action was not in the expected status
+   */
+  async transitionPendingAction(id, fromStatus, toStatus, fields = {}) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE pending_actions
+          SET status = $3,
+              reviewed_by = COALESCE($4, reviewed_by),
+              review_note = COALESCE($5, review_note),
+              final_response = COALESCE($6, final_response),
+              result = COALESCE($7::jsonb, result),
+              reviewed_at = $8
+          WHERE id = $1 AND status = $2
+          RETURNING *
+        `,
+        params: [
+          id,
+          fromStatus,
+          toStatus,
+          fields.reviewedBy || null,
+          fields.reviewNote || null,
+          fields.finalResponse || null,
+          fields.result ? JSON.stringify(fields.result) : null,
+          new Date().toISOString()
+        ]
+      });
+      
+      return this._parsePendingAction(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Pending action update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decode JSON columns of a pending action row
+   */
+  _parsePendingAction(row) {
+    if (!row) return null;
+    
+    const parsed = { ...row };
+    for (const column of ['email', 'ai_analysis', 'user_context', 'proposal', 'reasons', 'result']) {
+      if (typeof parsed[column] === 'string') {
+        try {
+          parsed[column] = JSON.parse(parsed[column]);
+        } catch {
+          // Leave non-JSON values untouched
+        }
+      }
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Record a failed processing attempt for an email
+   * Creates the retry job on first failure; `dead` moves it to the dead-letter list
+   */
+  async recordEmailJobFailure(messageId, { email, step, error, nextAttemptAt, dead }) {
+    try {
+      const failure = { step, error, at: new Date().toISOString() };
+      
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO email_jobs (
+            message_id,
+            thread_id,
+            customer_email,
+            subject,
+            email,
+            status,
+            attempts,
+            next_attempt_at,
+            failed_step,
+            last_error,
+            errors,
+            dead_at
+          ) VALUES (
+            $1, $2, $3, $4, $5,
+            CASE WHEN $8 THEN 'dead' ELSE 'pending' END,
+            1, $6, $7->>'step', $7->>'error',
+            jsonb_build_array($7::jsonb || jsonb_build_object('attempt', 1)),
+            CASE WHEN $8 THEN NOW() END
+          )
+          ON CONFLICT (message_id) DO UPDATE
+          SET status = CASE WHEN $8 THEN 'dead' ELSE 'pending' END,
+              attempts = email_jobs.attempts + 1,
+              next_attempt_at = $6,
+              locked_until = NULL,
+              failed_step = $7->>'step',
+              last_error = $7->>'error',
+              errors = email_jobs.errors || jsonb_build_array($7::jsonb || jsonb_build_object('attempt', email_jobs.attempts + 1)),
+              dead_at = CASE WHEN $8 THEN NOW() ELSE NULL END,
+              updated_at = NOW()
+          RETURNING *
+        `,
+        params: [
+          messageId,
+          email.thread_id || email.threadId || null,
+          email.from || null,
+          email.subject || null,
+          JSON.stringify(email),
+          nextAttemptAt,
+          JSON.stringify(failure),
+          Boolean(dead)
+        ]
+      });
+      
+      return this._parseEmailJob(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Email job failure recording failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an email for a first attempt by the retry worker
+   * Leaves an existing job untouched
+   */
+  async enqueueEmailJob(messageId, email) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO email_jobs (
+            message_id,
+            thread_id,
+            email,
+            status,
+            attempts,
+            next_attempt_at
+          ) VALUES ($1, $2, $3, 'pending', 0, NOW())
+          ON CONFLICT (message_id) DO NOTHING
+          RETURNING *
+        `,
+        params: [messageId, email.thread_id || null, JSON.stringify(email)]
+      });
+      
+      return this._parseEmailJob(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Email job enqueue failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the retry job for an email
+   */
+  async getEmailJob(messageId) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `SELECT * FROM email_jobs WHERE message_id = $1`,
+        params: [messageId]
+      });
+      
+      return this._parseEmailJob(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Email job lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List retry jobs by status (newest first)
+   */
+  async listEmailJobs(status = 'dead', limit = 50) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT * FROM email_jobs
+          WHERE status = $1
+          ORDER BY updated_at DESC
+          LIMIT $2
+        `,
+        params: [status, limit]
+      });
+      
+      return (result?.data || []).map(row => this._parseEmailJob(row));
+      
+    } catch (error) {
+      logger.error('❌ Email job listing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock retry jobs that are due so only one worker runs each of them
+   * Jobs whose lock expired (worker died mid-retry) are picked up again
+   */
+  async claimDueEmailJobs(limit = 10, lockSeconds = 300) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE email_jobs
+          SET status = 'processing',
+              locked_until = NOW() + make_interval(secs => $2),
+              updated_at = NOW()
+          WHERE message_id IN (
+            SELECT message_id FROM email_jobs
+            WHERE (status = 'pending' AND next_attempt_at <= NOW())
+               OR (status = 'processing' AND locked_until < NOW())
+            ORDER BY next_attempt_at ASC
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING *
+        `,
+        params: [limit, lockSeconds]
+      });
+      
+      return (result?.data || []).map(row => this._parseEmailJob(row));
+      
+    } catch (error) {
+      logger.error('❌ Email job claim failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a retry job to a new status (completed, or pending to release/re-drive it)
+   * Returns null if the job was not in one of the expected statuses
+   */
+  async updateEmailJobStatus(messageId, fromStatuses, toStatus, { resetAttempts = false } = {}) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE email_jobs
+          SET status = $3,
+              attempts = CASE WHEN $4 THEN 0 ELSE attempts END,
+              next_attempt_at = CASE WHEN $3 = 'pending' THEN NOW() ELSE next_attempt_at END,
+              locked_until = NULL,
+              dead_at = CASE WHEN $3 = 'dead' THEN dead_at ELSE NULL END,
+              completed_at = CASE WHEN $3 = 'completed' THEN NOW() ELSE completed_at END,
+              updated_at = NOW()
+          WHERE message_id = $1 AND status = ANY($2)
+          RETURNING *
+        `,
+        params: [messageId, fromStatuses, toStatus, Boolean(resetAttempts)]
+      });
+      
+      return this._parseEmailJob(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Email job update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse JSON columns of an email job row
+   */
+  _parseEmailJob(row) {
+    if (!row) return null;
+    
+    const parsed = { ...row };
+    for (const column of ['email', 'errors']) {
+      if (typeof parsed[column] === 'string') {
+        try {
+          parsed[column] = JSON.parse(parsed[column]);
+        } catch {
+          // Leave non-JSON values untouched
+        }
+      }
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Claim a Gmail message for processing in the processed-message ledger
+   * Returns the claimed row, or null if another invocation owns or finished it
+   * A failed message can't be claimed while its retry job is backing off, and
+   * a dead-lettered one (status dead) not at all, so only the retry run retries them
+   */
+  async claimProcessedMessage(messageId, owner, leaseSeconds = 300) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO processed_messages (
+            message_id,
+            status,
+            owner,
+            attempts,
+            steps,
+            claimed_at
+          ) VALUES ($1, 'processing', $2, 1, '{}'::jsonb, NOW())
+          ON CONFLICT (message_id) DO UPDATE
+          SET status = 'processing',
+              owner = EXCLUDED.owner,
+              attempts = processed_messages.attempts + 1,
+              claimed_at = NOW()
+          WHERE (
+               processed_messages.status = 'failed'
+               AND NOT EXISTS (
+                 SELECT 1 FROM email_jobs
+                 WHERE email_jobs.message_id = processed_messages.message_id
+                   AND email_jobs.next_attempt_at > NOW()
+               )
+             )
+             OR (
+               processed_messages.status = 'processing'
+               AND processed_messages.claimed_at < NOW() - make_interval(secs => $3)
+             )
+          RETURNING *
+        `,
+        params: [messageId, owner, leaseSeconds]
+      });
+      
+      return this._parseProcessedMessage(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Message claim failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a processed-message ledger entry
+   */
+  async getProcessedMessage(messageId) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `SELECT * FROM processed_messages WHERE message_id = $1`,
+        params: [messageId]
+      });
+      
+      return this._parseProcessedMessage(result?.data?.[0]);
+      
+    } catch (error) {
+      logger.error('❌ Processed message lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a completed side effect (refund, reply) for a claimed message
+   */
+  async recordProcessedMessageStep(messageId, owner, step, details = {}) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE processed_messages
+          SET steps = steps || jsonb_build_object($3::text, $4::jsonb)
+          WHERE message_id = $1 AND owner = $2
+          RETURNING message_id
+        `,
+        params: [messageId, owner, step, JSON.stringify(details)]
+      });
+      
+      return Boolean(result?.data?.length);
+      
+    } catch (error) {
+      logger.error('❌ Processed message step recording failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a claimed message with its final status and outcome
+   */
+  async finishProcessedMessage(messageId, owner, status, outcome = {}, steps = {}) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE processed_messages
+          SET status = $3,
+              outcome = $4::jsonb,
+              steps = steps || $5::jsonb,
+              finished_at = NOW()
+          WHERE message_id = $1 AND owner = $2
+          RETURNING message_id
+        `,
+        params: [messageId, owner, status, JSON.stringify(outcome), JSON.stringify(steps || {})]
+      });
+      
+      return Boolean(result?.data?.length);
+      
+    } catch (error) {
+      logger.error('❌ Processed message update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a dead-lettered message so it can be claimed again (on re-drive)
+   */
+  async reopenDeadProcessedMessage(messageId) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE processed_messages
+          SET status = 'failed'
+          WHERE message_id = $1 AND status = 'dead'
+          RETURNING message_id
+        `,
+        params: [messageId]
+      });
+      
+      return Boolean(result?.data?.length);
+      
+    } catch (error) {
+      logger.error('❌ Processed message reopen failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decode JSON columns of a processed-message row
+   */
+  _parseProcessedMessage(row) {
+    if (!row) return null;
+    
+    const parsed = { ...row };
+    for (const column of ['steps', 'outcome']) {
+      if (typeof parsed[column] === 'string') {
+        try {
+          parsed[column] = JSON.parse(parsed[column]);
+        } catch {
+          // Leave non-JSON values untouched
+        }
+      }
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Get the last synced Gmail historyId for a mailbox
+   */
+  async getGmailSyncState(emailAddress) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `SELECT * FROM gmail_sync_state WHERE email_address = $1`,
+        params: [emailAddress]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error('❌ Gmail sync state lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the last synced Gmail historyId (never moves backwards)
+   */
+  async saveGmailSyncState(emailAddress, historyId) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO gmail_sync_state (email_address, history_id, updated_at)
+          VALUES ($1, $2::numeric, NOW())
+          ON CONFLICT (email_address) DO UPDATE
+          SET history_id = GREATEST(gmail_sync_state.history_id, EXCLUDED.history_id),
+              updated_at = NOW()
+          RETURNING *
+        `,
+        params: [emailAddress, String(historyId)]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error('❌ Gmail sync state update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the recorded Gmail watch for a mailbox
+   */
+  async getGmailWatchState(emailAddress) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `SELECT * FROM gmail_watch_state WHERE email_address = $1`,
+        params: [emailAddress]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error('❌ Gmail watch state lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a Gmail watch renewal attempt
+   * Failed attempts keep the previous historyId and expiration
+   */
+  async saveGmailWatchState(emailAddress, watch) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO gmail_watch_state (
+            email_address,
+            history_id,
+            expiration,
+            topic_name,
+            last_error,
+            consecutive_failures,
+            last_renewed_at,
+            last_attempt_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7 THEN NOW() END, NOW())
+          ON CONFLICT (email_address) DO UPDATE
+          SET history_id = COALESCE(EXCLUDED.history_id, gmail_watch_state.history_id),
+              expiration = COALESCE(EXCLUDED.expiration, gmail_watch_state.expiration),
+              topic_name = COALESCE(EXCLUDED.topic_name, gmail_watch_state.topic_name),
+              last_error = EXCLUDED.last_error,
+              consecutive_failures = EXCLUDED.consecutive_failures,
+              last_renewed_at = COALESCE(EXCLUDED.last_renewed_at, gmail_watch_state.last_renewed_at),
+              last_attempt_at = NOW()
+          RETURNING *
+        `,
+        params: [
+          emailAddress,
+          watch.historyId ? String(watch.historyId) : null,
+          watch.expiration ? String(watch.expiration) : null,
+          watch.topicName || null,
+          watch.lastError || null,
+          watch.consecutiveFailures || 0,
+          Boolean(watch.renewed)
+        ]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error('❌ Gmail watch state update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a support case for a thread, or touch the existing one
+   * A resolved case that gets a new customer message is reopened
+   */
+  async upsertCaseForThread(supportCase) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO support_cases (
+            id,
+            thread_id,
+            customer_email,
+            subject,
+            state,
+            last_customer_message_at,
+            created_at,
+            updated_at
+          ) VALUES ($1, $2, $3, $4, 'new', NOW(), NOW(), NOW())
+          ON CONFLICT (thread_id) DO UPDATE
+          SET state = CASE
+                WHEN support_cases.state = 'resolved' THEN 'reopened'
+                ELSE support_cases.state
+              END,
+              resolved_at = CASE
+                WHEN support_cases.state = 'resolved' THEN NULL
+                ELSE support_cases.resolved_at
+              END,
+              last_customer_message_at = NOW(),
+              updated_at = NOW()
+          RETURNING *
+        `,
+        params: [
+          supportCase.id,
+          supportCase.threadId,
+          supportCase.customerEmail,
+          supportCase.subject
+        ]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error('❌ Support case upsert failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a support case's lifecycle state
+   */
+  async updateCaseState(caseId, state, fields = {}) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE support_cases
+          SET state = $2,
+              priority = COALESCE($3, priority),
+              last_agent_action_at = CASE WHEN $4 THEN NOW() ELSE last_agent_action_at END,
+              resolved_at = CASE WHEN $2 = 'resolved' THEN NOW() ELSE resolved_at END,
+              updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `,
+        params: [caseId, state, fields.priority || null, Boolean(fields.agentAction)]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.error('❌ Support case update failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an event to a support case timeline
+   */
+  async addCaseEvent(caseId, eventType, details = {}, messageId = null) {
+    try {
+      await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          INSERT INTO case_events (case_id, event_type, message_id, details, created_at)
+          VALUES ($1, $2, $3, $4, $5)
+        `,
+        params: [
+          caseId,
+          eventType,
+          messageId,
+          JSON.stringify(details),
+          new Date().toISOString()
+        ]
+      });
+      
+    } catch (error) {
+      logger.warn('⚠️ Case event logging failed:', error);
+      // Don't throw - the case timeline shouldn't stop the agent
+    }
+  }
+
+  /**
+   * Record a human reply on a case (sets first_response_at once)
+   * Agent replies, such as the escalation acknowledgment, don't count
+   */
+  async markCaseResponded(caseId) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE support_cases
+          SET first_response_at = COALESCE(first_response_at, NOW()),
+              human_response_at = COALESCE(human_response_at, NOW()),
+              updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `,
+        params: [caseId]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.warn('⚠️ Case response update failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Start the SLA clock on a case (keeps an already running clock)
+   */
+  async startCaseSla(caseId, { priority, firstResponseDueAt, resolutionDueAt }) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE support_cases
+          SET sla_priority = $2,
+              sla_started_at = NOW(),
+              first_response_due_at = $3,
+              resolution_due_at = $4,
+              human_response_at = NULL,
+              sla_alerts = '[]'::jsonb,
+              updated_at = NOW()
+          WHERE id = $1
+            AND NOT (state = 'awaiting_human' AND sla_started_at IS NOT NULL AND human_response_at IS NULL)
+          RETURNING *
+        `,
+        params: [caseId, priority, firstResponseDueAt, resolutionDueAt]
+      });
+      
+      return result?.data?.[0] || null;
+      
+    } catch (error) {
+      logger.warn('⚠️ Case SLA start failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List cases waiting on a human with a running SLA clock
+   */
+  async listCasesAwaitingHuman(limit = 100) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT * FROM support_cases
+          WHERE state = 'awaiting_human'
+            AND sla_started_at IS NOT NULL
+          ORDER BY first_response_due_at ASC
+          LIMIT $1
+        `,
+        params: [limit]
+      });
+      
+      return result?.data || [];
+      
+    } catch (error) {
+      logger.error('❌ SLA case listing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an SLA alert for a case so it is only sent once
+   * Returns true if this caller should send the alert
+   */
+  async claimCaseSlaAlert(caseId, alertKey) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          UPDATE support_cases
+          SET sla_alerts = sla_alerts || to_jsonb($2::text)
+          WHERE id = $1 AND NOT (sla_alerts ? $2)
+          RETURNING id
+        `,
+        params: [caseId, alertKey]
+      });
+      
+      return Boolean(result?.data?.length);
+      
+    } catch (error) {
+      logger.warn('⚠️ SLA alert claim failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * SLA outcomes for cases whose clock started on a given day, per priority
+   */
+  async getSlaSummary(date = new Date().toISOString().split('T')[0]) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT 
+            sla_priority,
+            COUNT(*) as total,
+            COUNT(*) FILTER (
+              WHERE human_response_at IS NOT NULL AND human_response_at <= first_response_due_at
+            ) as first_response_met,
+            COUNT(*) FILTER (
+              WHERE COALESCE(human_response_at, NOW()) > first_response_due_at
+            ) as first_response_breached,
+            COUNT(*) FILTER (
+              WHERE COALESCE(resolved_at, NOW()) > resolution_due_at
+            ) as resolution_breached,
+            AVG(EXTRACT(EPOCH FROM (human_response_at - sla_started_at))) as avg_human_response_seconds
+          FROM support_cases
+          WHERE DATE(sla_started_at) = $1
+          GROUP BY sla_priority
+        `,
+        params: [date]
+      });
+      
+      return result?.data || [];
+      
+    } catch (error) {
+      logger.error('❌ SLA summary lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count automated (non-human) replies sent to a recipient since a time
+   */
+  async countAutomatedReplies(recipient, since) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT COUNT(*) as count
+          FROM agent_activity
+          WHERE activity_type = 'response_sent'
+            AND timestamp >= $2
+            AND details::jsonb->>'recipient' = $1
+            AND COALESCE((details::jsonb->>'human')::boolean, false) = false
+        `,
+        params: [recipient, since]
+      });
+      
+      return Number(result?.data?.[0]?.count || 0);
+      
+    } catch (error) {
+      logger.error('❌ Automated reply count failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Average time from customer email to first reply on a given day
+   */
+  async getResponseTimeStats(date = new Date().toISOString().split('T')[0]) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT 
+            COUNT(*) as responses,
+            AVG((details::jsonb->>'responseTimeSeconds')::numeric) as avg_seconds,
+            PERCENTILE_CONT(0.9) WITHIN GROUP (
+              ORDER BY (details::jsonb->>'responseTimeSeconds')::numeric
+            ) as p90_seconds
+          FROM agent_activity
+          WHERE activity_type = 'response_sent'
+            AND DATE(timestamp) = $1
+            AND details::jsonb ? 'responseTimeSeconds'
+        `,
+        params: [date]
+      });
+      
+      return result?.data?.[0] || { responses: 0, avg_seconds: null, p90_seconds: null };
+      
+    } catch (error) {
+      logger.error('❌ Response time lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Model usage and cost per outcome on a given day
+   */
+  async getLlmUsageStats(date = new Date().toISOString().split('T')[0]) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT 
+            details::jsonb->>'action' as action,
+            COUNT(*) as emails,
+            SUM((details::jsonb->>'calls')::numeric) as calls,
+            SUM((details::jsonb->>'retries')::numeric) as retries,
+            SUM((details::jsonb->>'promptTokens')::numeric) as prompt_tokens,
+            SUM((details::jsonb->>'completionTokens')::numeric) as completion_tokens,
+            AVG((details::jsonb->>'latencyMs')::numeric) as avg_latency_ms,
+            SUM((details::jsonb->>'costUsd')::numeric) as cost_usd
+          FROM agent_activity
+          WHERE activity_type = 'llm_usage'
+            AND DATE(timestamp) = $1
+          GROUP BY 1
+          ORDER BY 1
+        `,
+        params: [date]
+      });
+      
+      return result?.data || [];
+      
+    } catch (error) {
+      logger.error('❌ LLM usage stats lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Outcomes per prompt version on a given day, for A/B comparisons
+   * Emails the analysis sent to escalate are counted once, as escalated
+   */
+  async getPromptVersionStats(date = new Date().toISOString().split('T')[0]) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT 
+            COALESCE(details::jsonb->>'promptVersion', 'unversioned') as prompt_version,
+            COUNT(*) FILTER (
+              WHERE activity_type = 'email_processed'
+                AND details::jsonb->>'action' IS DISTINCT FROM 'escalate'
+            ) as handled,
+            COUNT(*) FILTER (WHERE activity_type = 'escalated') as escalated,
+            COUNT(*) FILTER (WHERE activity_type = 'approval_requested') as approvals_requested,
+            COUNT(*) FILTER (WHERE activity_type = 'pending_action_rejected') as approvals_rejected,
+            COUNT(*) FILTER (WHERE activity_type = 'ai_parse_failure') as parse_failures
+          FROM agent_activity
+          WHERE DATE(timestamp) = $1
+          GROUP BY 1
+          ORDER BY 1
+        `,
+        params: [date]
+      });
+      
+      return result?.data || [];
+      
+    } catch (error) {
+      logger.error('❌ Prompt version stats lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up support cases by case ID, thread ID or customer email
+   */
+  async findCases({ caseId = null, threadId = null, customerEmail = null }, limit = 20) {
+    try {
+      let where;
+      let value;
+      
+      if (caseId) {
+        where = 'id = $1';
+        value = caseId;
+      } else if (threadId) {
+        where = 'thread_id = $1';
+        value = threadId;
+      } else {
+        where = 'LOWER(customer_email) = LOWER($1)';
+        value = customerEmail;
+      }
+      
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT * FROM support_cases
+          WHERE ${where}
+          ORDER BY updated_at DESC
+          LIMIT $2
+        `,
+        params: [value, limit]
+      });
+      
+      return result?.data || [];
+      
+    } catch (error) {
+      logger.error('❌ Support case lookup failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the event timeline of a support case
+   */
+  async getCaseEvents(caseId) {
+    try {
+      const result = await this.mcpClient.callTool('supabase', 'query', {
+        sql: `
+          SELECT * FROM case_events
+          WHERE case_id = $1
+          ORDER BY created_at ASC
+        `,
+        params: [caseId]
+      });
+      
+      return (result?.data || []).map(event => ({
+        ...event,
+        details: typeof event.details === 'string' ? JSON.parse(event.details) : event.details
+      }));
+      
+    } catch (error) {
+      logger.error('❌ Case events lookup failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get daily activity summary for reporting
    */
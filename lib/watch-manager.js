@@ -0,0 +1,157 @@
+/**
+ * Gmail Watch Manager
+ *
+ * Gmail push watches expire after ~7 days. This keeps the watch alive:
+ * - Records `expiration` and `historyId` from each setupWatch call
+ * - Renews the watch once it is within `renewBeforeHours` of expiring
+ * - Alerts the admin when renewal fails
+ * - Reports watch status for health checks
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('watch-manager');
+
+export class GmailWatchManager {
+  constructor({ config, gmail, supabase, alertAdmin }) {
+    this.settings = config.email.watch || {};
+    this.emailAddress = config.email.supportInbox;
+    this.gmail = gmail;
+    this.supabase = supabase;
+    this.alertAdmin = alertAdmin;
+  }
+
+  /**
+   * Build the watch request from config
+   */
+  getWatchConfig() {
+    const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID || 'komplier';
+    return {
+      topicName: this.settings.topicName || `projects/${projectId}/topics/gmail-notifications`,
+      labelIds: this.settings.labelIds || ['INBOX']
+    };
+  }
+
+  /**
+   * Renew the watch if it is missing or about to expire
+   */
+  async ensureWatch({ force = false } = {}) {
+    try {
+      const state = await this.supabase.getGmailWatchState(this.emailAddress);
+
+      if (!force && !this._needsRenewal(state)) {
+        logger.info(`✅ Gmail watch valid until ${new Date(Number(state.expiration)).toISOString()}`);
+        return this._buildStatus(state);
+      }
+
+      return await this.renew(state);
+
+    } catch (error) {
+      logger.error('❌ Gmail watch check failed:', error);
+      await this.alertAdmin(`Gmail watch check failed for ${this.emailAddress}: ${error.message}`, 'high');
+      return { healthy: false, emailAddress: this.emailAddress, error: error.message };
+    }
+  }
+
+  /**
+   * Create or renew the Gmail watch and record the result
+   */
+  async renew(previousState = null) {
+    const watchConfig = this.getWatchConfig();
+    logger.info(`🔔 Renewing Gmail watch for ${this.emailAddress}...`);
+
+    const result = await this.gmail.setupWatch(this.emailAddress, watchConfig);
+
+    if (result.success) {
+      const state = await this.supabase.saveGmailWatchState(this.emailAddress, {
+        historyId: result.result?.historyId,
+        expiration: result.result?.expiration,
+        topicName: watchConfig.topicName,
+        lastError: null,
+        consecutiveFailures: 0,
+        renewed: true
+      });
+
+      // Seed the history sync cursor on first watch so the first push is incremental
+      if (result.result?.historyId) {
+        const syncState = await this.supabase.getGmailSyncState(this.gmail.userEmail);
+        if (!syncState) {
+          await this.supabase.saveGmailSyncState(this.gmail.userEmail, result.result.historyId);
+        }
+      }
+
+      logger.info(`📬 Push notifications will be sent to: ${watchConfig.topicName}`);
+      return this._buildStatus(state);
+    }
+
+    const failures = (previousState?.consecutive_failures || 0) + 1;
+    const state = await this.supabase.saveGmailWatchState(this.emailAddress, {
+      lastError: result.error || 'Unknown error',
+      consecutiveFailures: failures,
+      renewed: false
+    });
+
+    const status = this._buildStatus(state);
+    const severity = status.expired ? 'critical' : 'high';
+
+    logger.warn(`⚠️ Gmail watch renewal failed (${failures}x): ${result.error}`);
+    await this.alertAdmin(
+      `Gmail watch renewal failed for ${this.emailAddress} (attempt ${failures}): ${result.error}. ` +
+      (status.expired
+        ? 'There is no active watch - push notifications are not being delivered.'
+        : `Current watch expires at ${status.expiresAt}.`),
+      severity
+    );
+
+    return status;
+  }
+
+  /**
+   * Get current watch status for health output
+   */
+  async getStatus() {
+    try {
+      const state = await this.supabase.getGmailWatchState(this.emailAddress);
+      return this._buildStatus(state);
+    } catch (error) {
+      logger.warn('⚠️ Gmail watch status lookup failed:', error);
+      return { healthy: false, emailAddress: this.emailAddress, error: error.message };
+    }
+  }
+
+  /**
+   * Check if a stored watch is missing or within the renewal window
+   */
+  _needsRenewal(state) {
+    if (!state?.expiration) return true;
+
+    const renewBeforeMs = (this.settings.renewBeforeHours ?? 24) * 3600000;
+    return Number(state.expiration) - Date.now() <= renewBeforeMs;
+  }
+
+  /**
+   * Summarize a stored watch state
+   */
+  _buildStatus(state) {
+    if (!state) {
+      return { healthy: false, emailAddress: this.emailAddress, configured: false };
+    }
+
+    const expiration = state.expiration ? Number(state.expiration) : null;
+    const expired = !expiration || expiration <= Date.now();
+
+    return {
+      healthy: !expired,
+      configured: true,
+      emailAddress: this.emailAddress,
+      historyId: state.history_id,
+      expiresAt: expiration ? new Date(expiration).toISOString() : null,
+      expiresInHours: expiration ? Math.round((expiration - Date.now()) / 360000) / 10 : null,
+      expired,
+      needsRenewal: this._needsRenewal(state),
+      lastRenewedAt: state.last_renewed_at,
+      lastError: state.last_error,
+      consecutiveFailures: state.consecutive_failures || 0
+    };
+  }
+}
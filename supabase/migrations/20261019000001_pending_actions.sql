@@ -0,0 +1,23 @@
+-- Human approval queue for agent-proposed actions
+CREATE TABLE IF NOT EXISTS pending_actions (
+  id UUID PRIMARY KEY,
+  action_type TEXT NOT NULL,          -- refund | cancellation | reply
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | processing | approved | rejected | failed
+  customer_email TEXT,
+  thread_id TEXT,
+  message_id TEXT,
+  email JSONB,
+  ai_analysis JSONB,
+  user_context JSONB,
+  proposal JSONB,
+  drafted_response TEXT,
+  final_response TEXT,
+  reasons JSONB,
+  result JSONB,
+  reviewed_by TEXT,
+  review_note TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS pending_actions_status_idx ON pending_actions (status, created_at DESC);
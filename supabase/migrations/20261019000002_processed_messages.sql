@@ -0,0 +1,14 @@
+-- Processed-message ledger: one row per Gmail message ID so that
+-- concurrent invocations never reply to or refund the same email twice
+CREATE TABLE IF NOT EXISTS processed_messages (
+  message_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,               -- processing | completed | failed | dead
+  owner TEXT NOT NULL,                -- invocation that holds the claim
+  attempts INTEGER NOT NULL DEFAULT 1,
+  steps JSONB NOT NULL DEFAULT '{}'::jsonb, -- side effects already performed (refund, customer_reply)
+  outcome JSONB,
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS processed_messages_status_idx ON processed_messages (status, claimed_at);
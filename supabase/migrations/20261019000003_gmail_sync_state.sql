@@ -0,0 +1,6 @@
+-- Last Gmail historyId seen per mailbox, for incremental history sync
+CREATE TABLE IF NOT EXISTS gmail_sync_state (
+  email_address TEXT PRIMARY KEY,
+  history_id NUMERIC(20) NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
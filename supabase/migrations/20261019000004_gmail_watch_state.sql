@@ -0,0 +1,11 @@
+-- Gmail push watch per mailbox, renewed before it expires (~7 days)
+CREATE TABLE IF NOT EXISTS gmail_watch_state (
+  email_address TEXT PRIMARY KEY,
+  history_id NUMERIC(20),
+  expiration BIGINT,                  -- epoch milliseconds, as returned by Gmail
+  topic_name TEXT,
+  last_error TEXT,
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  last_renewed_at TIMESTAMPTZ,
+  last_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,29 @@
+-- Support cases: one per Gmail thread, grouping every message and agent action
+CREATE TABLE IF NOT EXISTS support_cases (
+  id UUID PRIMARY KEY,
+  thread_id TEXT NOT NULL UNIQUE,
+  customer_email TEXT,
+  subject TEXT,
+  state TEXT NOT NULL DEFAULT 'new',  -- new | awaiting_customer | awaiting_human | resolved | reopened
+  priority TEXT,
+  last_customer_message_at TIMESTAMPTZ,
+  last_agent_action_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS support_cases_customer_idx ON support_cases (customer_email, updated_at DESC);
+CREATE INDEX IF NOT EXISTS support_cases_state_idx ON support_cases (state, updated_at DESC);
+
+-- Timeline of everything that happened on a case
+CREATE TABLE IF NOT EXISTS case_events (
+  id BIGSERIAL PRIMARY KEY,
+  case_id UUID NOT NULL REFERENCES support_cases (id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,           -- message_received | reply_sent | refund | escalation | pending_action | state_change | ...
+  message_id TEXT,
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS case_events_case_idx ON case_events (case_id, created_at);
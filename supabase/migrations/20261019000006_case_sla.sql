@@ -0,0 +1,12 @@
+-- SLA tracking on support cases
+ALTER TABLE support_cases
+  ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMPTZ,      -- first human reply (agent replies don't count)
+  ADD COLUMN IF NOT EXISTS sla_priority TEXT,
+  ADD COLUMN IF NOT EXISTS sla_started_at TIMESTAMPTZ,         -- when the case was handed to a human
+  ADD COLUMN IF NOT EXISTS first_response_due_at TIMESTAMPTZ,  -- measured from the customer's message
+  ADD COLUMN IF NOT EXISTS resolution_due_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS human_response_at TIMESTAMPTZ,      -- first human reply after escalation
+  ADD COLUMN IF NOT EXISTS sla_alerts JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS support_cases_sla_idx ON support_cases (state, first_response_due_at)
+  WHERE sla_started_at IS NOT NULL;
@@ -0,0 +1,21 @@
+-- Retry queue for emails whose processing failed, with a dead-letter state
+CREATE TABLE IF NOT EXISTS email_jobs (
+  message_id TEXT PRIMARY KEY,
+  thread_id TEXT,
+  customer_email TEXT,
+  subject TEXT,
+  email JSONB NOT NULL,               -- email data as passed to the pipeline
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | processing | completed | dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ,
+  failed_step TEXT,                   -- context | ai | stripe | gmail_send | unknown
+  last_error TEXT,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ attempt, step, error, at }]
+  dead_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS email_jobs_due_idx ON email_jobs (status, next_attempt_at);
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentTools } from '../lib/agent-tools.js';
+import { AIOperations } from '../lib/ai.js';
+import { ScriptedProvider } from '../lib/llm-providers.js';
+import { loadConfig } from './helpers/mocks.js';
+
+const userContext = {
+  userFound: true,
+  user: { id: 'user-1', email: 'jane@example.com', name: 'Jane' },
+  stripeCustomer: { id: 'cus_TEST0000001' },
+  usage: {},
+  refundEligibility: { eligible: false, reason: 'Account has been used' }
+};
+
+/**
+ * Tools over fake Supabase and Stripe services that record the IDs they were asked for
+ */
+function createTools(tools = {}) {
+  const lookups = [];
+  const supabase = {
+    getUserProjects: async userId => {
+      lookups.push(['projects', userId]);
+      return [{ name: 'Spring campaign', status: 'completed', asset_count: 12, created_at: '2026-03-01T00:00:00Z' }];
+    },
+    getCompliantAssets: async userId => {
+      lookups.push(['assets', userId]);
+      throw new Error('database unavailable');
+    }
+  };
+  const stripe = {
+    getBillingHistory: async (customerId, limit) => {
+      lookups.push(['billing', customerId, limit]);
+      return { charges: [], invoices: [{ id: 'in_1', number: 'KMP-0001', status: 'paid', amount_due: 2900, amount_paid: 2900, currency: 'usd' }] };
+    },
+    getCustomerSubscriptions: async customerId => {
+      lookups.push(['subscriptions', customerId]);
+      return [];
+    }
+  };
+
+  return { tools: new AgentTools({ config: { ai: { tools: { enabled: true, ...tools } } }, supabase, stripe }), lookups };
+}
+
+test('lookups use the sender\'s own IDs, whatever the model passes', async () => {
+  const { tools, lookups } = createTools();
+
+  const projects = await tools.invoke('get_projects', { limit: 1, userId: 'user-2' }, userContext);
+  const invoice = await tools.invoke('get_invoice', { invoice: 'kmp-0001', customerId: 'cus_OTHER' }, userContext);
+
+  assert.equal(projects.status, 'ok');
+  assert.deepEqual(projects.result.projects, [{ name: 'Spring campaign', status: 'completed', assets: 12, created: '2026-03-01', completed: null }]);
+  assert.equal(invoice.result.found, true);
+  assert.equal(invoice.result.number, 'KMP-0001');
+  assert.deepEqual(lookups, [['projects', 'user-1'], ['billing', 'cus_TEST0000001', 100]]);
+});
+
+test('tools are only offered for a known sender and Stripe tools only with a Stripe customer', () => {
+  const { tools } = createTools();
+
+  assert.deepEqual(tools.available({ userFound: false }), []);
+  assert.equal(tools.describe({ userFound: false }), '');
+  assert.deepEqual(
+    tools.available({ ...userContext, stripeCustomer: null }).map(tool => tool.name),
+    ['get_projects', 'get_compliant_assets']
+  );
+  assert.equal(tools.available(userContext).length, 6);
+});
+
+test('unknown, disallowed and unavailable tools are rejected without running', async () => {
+  const { tools, lookups } = createTools({ allowed: ['get_projects', 'get_billing_history'] });
+
+  const unknown = await tools.invoke('delete_account', {}, userContext);
+  const disallowed = await tools.invoke('get_subscriptions', {}, userContext);
+  const noStripe = await tools.invoke('get_billing_history', {}, { ...userContext, stripeCustomer: null });
+
+  for (const call of [unknown, disallowed, noStripe]) {
+    assert.equal(call.status, 'rejected');
+    assert.match(call.error, /^Unknown or unavailable tool: /);
+  }
+  assert.deepEqual(lookups, []);
+});
+
+test('arguments outside the tool schema are rejected and lookup failures reported', async () => {
+  const { tools, lookups } = createTools();
+
+  const invalid = await tools.invoke('get_projects', { limit: 50 }, userContext);
+  assert.equal(invalid.status, 'rejected');
+  assert.match(invalid.error, /arguments\.limit/);
+
+  const failed = await tools.invoke('get_compliant_assets', {}, userContext);
+  assert.equal(failed.status, 'error');
+  assert.equal(failed.error, 'database unavailable');
+  assert.deepEqual(lookups, [['assets', 'user-1']]);
+});
+
+test('tool calls stop at the per-email call budget', async () => {
+  const request = JSON.stringify({ toolCalls: Array.from({ length: 4 }, () => ({ tool: 'get_projects', arguments: {} })) });
+  const provider = new ScriptedProvider({ responses: [request, request, request] });
+  const ai = new AIOperations(loadConfig(), { provider });
+  const { tools, lookups } = createTools({ maxSteps: 3, maxCallsPerEmail: 6 });
+  const email = { from: 'jane@example.com', subject: 'My projects', body: 'Where are my projects?', threadId: 'thread-1' };
+
+  const result = await ai.gatherToolResults(email, userContext, tools);
+
+  assert.equal(result.calls.length, 6);
+  assert.equal(result.steps, 2);
+  assert.equal(result.budgetExhausted, true);
+  assert.deepEqual(result.calls.map(call => call.step), [1, 1, 1, 1, 2, 2]);
+  assert.equal(lookups.length, 6);
+  assert.equal(provider.calls.length, 2);
+  assert.match(provider.calls[1].prompt, /at most 2 more calls/);
+});
+
+test('tool calls stop after maxSteps or when the model asks for none', async () => {
+  const oneCall = JSON.stringify({ toolCalls: [{ tool: 'get_projects', arguments: {} }] });
+  const email = { from: 'jane@example.com', subject: 'My projects', body: 'Where are my projects?', threadId: 'thread-1' };
+
+  const stepLimited = new ScriptedProvider({ responses: [oneCall, oneCall, oneCall] });
+  const { tools } = createTools({ maxSteps: 2 });
+  const limited = await new AIOperations(loadConfig(), { provider: stepLimited }).gatherToolResults(email, userContext, tools);
+  assert.deepEqual({ calls: limited.calls.length, steps: limited.steps, budgetExhausted: limited.budgetExhausted }, { calls: 2, steps: 2, budgetExhausted: false });
+
+  const done = new ScriptedProvider({ responses: [oneCall, JSON.stringify({ toolCalls: [] })] });
+  const finished = await new AIOperations(loadConfig(), { provider: done }).gatherToolResults(email, userContext, createTools().tools);
+  assert.deepEqual({ calls: finished.calls.length, steps: finished.steps }, { calls: 1, steps: 2 });
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, normalizeToSchema, validateSchema } from '../lib/analysis-schema.js';
+
+const valid = {
+  actionType: 'refund',
+  confidence: 0.9,
+  reasoning: 'New account asking for a refund',
+  refundAmount: 49900,
+  knowledgeUsed: ['refund policy'],
+  sentiment: -0.2,
+  emotion: 'frustrated',
+  urgency: 'medium'
+};
+
+test('extractJson handles fences and surrounding prose', () => {
+  assert.deepEqual(extractJson('{"a": 1}'), { a: 1 });
+  assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJson('Sure! Here is the analysis: {"a": {"b": 2}} Let me know.'), { a: { b: 2 } });
+  assert.throws(() => extractJson('no json here'), SyntaxError);
+  assert.throws(() => extractJson(undefined), /no text/);
+});
+
+test('normalizeToSchema fixes numeric strings and empty optionals', () => {
+  assert.deepEqual(
+    normalizeToSchema({ ...valid, confidence: '0.8', refundAmount: '', suggestedResponse: '' }),
+    { ...valid, confidence: 0.8, refundAmount: null, suggestedResponse: null }
+  );
+});
+
+test('validateSchema accepts a complete analysis', () => {
+  assert.deepEqual(validateSchema(valid), []);
+  assert.deepEqual(validateSchema({ ...valid, refundAmount: null, escalationReason: null }), []);
+});
+
+test('validateSchema lists every problem', () => {
+  assert.deepEqual(validateSchema({
+    actionType: 'refund_please',
+    confidence: 1.5,
+    refundAmount: 10.5,
+    knowledgeUsed: ['ok', 3],
+    emotion: 'sad'
+  }), [
+    'result.reasoning is required',
+    'result.actionType must be one of: refund, cancel_subscription, billing_question, receipt_resend, plan_change, bug_report, feature_request, account_deletion, sales_inquiry, help_response, escalate, general_info',
+    'result.confidence must be <= 1',
+    'result.refundAmount must be integer or null',
+    'result.knowledgeUsed[1] must be string',
+    'result.emotion must be one of: neutral, satisfied, confused, anxious, frustrated, angry'
+  ]);
+  assert.deepEqual(validateSchema([]), ['result must be object']);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApprovalQueue } from '../lib/approval-queue.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { StripeOperations } from '../lib/stripe.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp, loadConfig } from './helpers/mocks.js';
+
+const refundAction = {
+  id: 'action-1',
+  action_type: 'refund',
+  status: 'pending',
+  customer_email: 'jane@example.com',
+  email: { from: 'jane@example.com', subject: 'Refund please' },
+  proposal: {
+    customerId: 'cus_TEST0000001',
+    chargeId: 'ch_TEST0000001',
+    amount: 4950,
+    breakdown: { policy: 'prorated', amountPaid: 9900, alreadyRefunded: 1000, lines: [] }
+  },
+  drafted_response: 'We refunded $49.50.'
+};
+
+/**
+ * Queue over an in-memory pending_actions table; `sendFailures` sends fail first
+ */
+function createQueue(action, { sendFailures = 0 } = {}) {
+  const rows = new Map([[action.id, { ...action }]]);
+  let failuresLeft = sendFailures;
+
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql, params }) => {
+      if (sql.includes('SELECT * FROM pending_actions')) return { data: rows.has(params[0]) ? [{ ...rows.get(params[0]) }] : [] };
+      if (!sql.includes('UPDATE pending_actions')) return undefined;
+
+      const [id, fromStatus, toStatus, , , finalResponse, result] = params;
+      const row = rows.get(id);
+      if (!row || row.status !== fromStatus) return { data: [] };
+
+      Object.assign(row, { status: toStatus }, finalResponse && { final_response: finalResponse }, result && { result: JSON.parse(result) });
+      return { data: [{ ...row }] };
+    },
+    'stripe.create_refund': ({ charge, amount }) => ({ id: 're_TEST0000001', charge, amount }),
+    'googleWorkspace.send_gmail_message': () => {
+      if (failuresLeft-- > 0) throw new Error('Gmail unavailable');
+      return { id: 'sent-1' };
+    }
+  });
+
+  const queue = new ApprovalQueue({
+    config: loadConfig(),
+    gmail: new GmailOperations(mcp),
+    supabase: new SupabaseOperations(mcp),
+    stripe: new StripeOperations(mcp)
+  });
+
+  return { queue, rows, mcp };
+}
+
+test('a failed reply can be retried without refunding again', async () => {
+  const { queue, rows, mcp } = createQueue(refundAction, { sendFailures: 1 });
+
+  const failed = await queue.approve('action-1');
+  assert.equal(failed.success, false);
+  assert.equal(failed.executed, true);
+  assert.equal(rows.get('action-1').status, 'failed');
+  assert.equal(rows.get('action-1').result.refundId, 're_TEST0000001');
+
+  const retried = await queue.approve('action-1');
+  assert.equal(retried.success, true);
+  assert.equal(retried.result.refundId, 're_TEST0000001');
+  assert.equal(retried.result.amount, 4950);
+  assert.equal(rows.get('action-1').status, 'approved');
+
+  assert.equal(mcp.find('stripe', 'create_refund').length, 1);
+  assert.equal(mcp.find('googleWorkspace', 'send_gmail_message').length, 2);
+});
+
+test('an approved action can\'t be approved twice', async () => {
+  const { queue, mcp } = createQueue(refundAction);
+
+  assert.equal((await queue.approve('action-1')).success, true);
+  assert.deepEqual(await queue.approve('action-1'), { success: false, error: 'Action not found or already reviewed' });
+  assert.equal(mcp.find('stripe', 'create_refund').length, 1);
+});
+
+test('amount overrides must be whole cents within the refundable amount', () => {
+  const { queue } = createQueue(refundAction);
+
+  const response = 'We refunded $89.00.';
+  assert.equal(queue.checkAmountOverride(refundAction, 8900, response), null);
+  assert.match(queue.checkAmountOverride(refundAction, 8901, response), /more than the refundable \$89\.00/);
+  assert.match(queue.checkAmountOverride(refundAction, 0), /positive whole number/);
+  assert.match(queue.checkAmountOverride(refundAction, 49.5), /positive whole number/);
+  assert.match(queue.checkAmountOverride(refundAction, '4950'), /positive whole number/);
+
+  // Without a breakdown, the proposed amount is the limit
+  const proposalOnly = { ...refundAction, proposal: { amount: 4950 } };
+  assert.equal(queue.checkAmountOverride(proposalOnly, 4950), null);
+  assert.equal(queue.checkAmountOverride(proposalOnly, 4000, 'We refunded $40.00.'), null);
+  assert.match(queue.checkAmountOverride(proposalOnly, 4951), /\$49\.50/);
+
+  assert.match(queue.checkAmountOverride({ ...refundAction, result: { executed: true } }, 100), /already issued/);
+  assert.match(queue.checkAmountOverride({ ...refundAction, action_type: 'reply' }, 100), /only be given for refunds/);
+});
+
+test('a changed amount is not sent with the drafted reply that quotes the proposed one', async () => {
+  const { queue, rows, mcp } = createQueue(refundAction);
+
+  assert.match(queue.checkAmountOverride(refundAction, 3000), /needs an edited response/);
+  assert.deepEqual(await queue.approve('action-1', { amount: 3000 }), {
+    success: false,
+    error: 'A changed amount needs an edited response that tells the customer the new amount'
+  });
+  assert.equal(rows.get('action-1').status, 'pending');
+  assert.equal(mcp.find('stripe', 'create_refund').length, 0);
+
+  const approved = await queue.approve('action-1', { amount: 3000, response: 'We refunded $30.00.' });
+  assert.equal(approved.success, true);
+  assert.equal(mcp.find('stripe', 'create_refund')[0].params.amount, 3000);
+  assert.match(JSON.stringify(mcp.find('googleWorkspace', 'send_gmail_message')[0].params), /refunded \$30\.00/);
+});
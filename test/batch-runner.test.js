@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { batchOptions, processBatch } from '../lib/batch-runner.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('items start until the minimum time is left, with budgets cut to the deadline', async () => {
+  const deadline = Date.now() + 300;
+  const { results, skipped } = await processBatch([1, 2, 3], async item => {
+    await sleep(item === 1 ? 50 : 1500);
+    return item;
+  }, { concurrency: 1, itemBudgetMs: 1000, minItemMs: 100, deadline });
+
+  // Item 1 finishes; item 2 starts with ~250ms left and times out at the deadline, not after 1000ms
+  assert.deepEqual(results.map(({ item, status }) => [item, status]), [[1, 'completed'], [2, 'timed_out']]);
+  assert.deepEqual(skipped, [3]);
+  assert.ok(Date.now() - deadline < 100);
+});
+
+test('without a deadline every item runs with the full budget', async () => {
+  const { results, skipped } = await processBatch([1, 2], async item => {
+    if (item === 2) throw new Error('boom');
+    return item * 10;
+  }, { concurrency: 2, itemBudgetMs: 100 });
+
+  assert.deepEqual(results.map(({ item, status, value }) => [item, status, value]), [[1, 'completed', 10], [2, 'failed', undefined]]);
+  assert.deepEqual(skipped, []);
+});
+
+test('batchOptions reads config.processing', () => {
+  assert.deepEqual(batchOptions({ concurrency: 3, messageBudgetSeconds: 40, minMessageSeconds: 10 }, 1000), {
+    concurrency: 3,
+    itemBudgetMs: 40000,
+    minItemMs: 10000,
+    deadline: 1000
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BusinessRulesEngine } from '../lib/business-rules.js';
+import { loadConfig } from './helpers/mocks.js';
+
+const email = { from: 'jane@example.com', subject: 'Question about my invoice', body: 'Can you explain the last charge?' };
+const analysis = { actionType: 'general_info', confidence: 0.95, sentiment: 0, emotion: 'neutral', urgency: 'low' };
+
+function contextWithCharges(charges) {
+  return {
+    userFound: true,
+    user: { id: 'user-1', email: 'jane@example.com', subscription_plan: 'monthly', subscription_status: 'active' },
+    stripeCustomer: { id: 'cus_TEST0000001' },
+    billingHistory: { charges, invoices: [] }
+  };
+}
+
+test('a disputed charge escalates the email as a billing dispute', () => {
+  const engine = new BusinessRulesEngine(loadConfig());
+  const context = contextWithCharges([
+    { id: 'ch_1', status: 'succeeded', amount: 2900, disputed: false },
+    { id: 'ch_2', status: 'succeeded', amount: 2900, disputed: true }
+  ]);
+
+  const result = engine.shouldEscalate(email, analysis, context);
+
+  assert.equal(result.escalate, true);
+  assert.deepEqual(result.rulesFired, ['billing-dispute']);
+  assert.deepEqual(result.reasons, ['Customer has active billing disputes']);
+});
+
+test('undisputed charges and missing billing history are not disputes', () => {
+  const engine = new BusinessRulesEngine(loadConfig());
+
+  assert.equal(engine.shouldEscalate(email, analysis, contextWithCharges([{ id: 'ch_1', disputed: false }])).escalate, false);
+  assert.equal(engine.shouldEscalate(email, analysis, { ...contextWithCharges([]), billingHistory: undefined }).escalate, false);
+});
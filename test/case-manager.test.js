@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CaseManager } from '../lib/case-manager.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp, loadConfig } from './helpers/mocks.js';
+
+const emailInfo = { messageId: 'msg-1', caseId: 'case-1', from: 'jane@example.com', timestamp: new Date().toISOString() };
+
+function createCases() {
+  const mcp = createMockMcp();
+  return { mcp, cases: new CaseManager({ config: loadConfig(), supabase: new SupabaseOperations(mcp) }) };
+}
+
+test('an agent reply such as the escalation acknowledgment is not a first response', async () => {
+  const { mcp, cases } = createCases();
+
+  await cases.recordResponse(emailInfo, { actionType: 'escalate', sentMessageId: 'sent-1' });
+
+  assert.equal(mcp.find('supabase', 'query', 'first_response_at').length, 0);
+  // The reply is still on the case timeline, so the SLA monitor can tell it apart from a human's
+  const [event] = mcp.find('supabase', 'query', 'INSERT INTO case_events');
+  assert.ok(event.params.params.includes('email_sent'));
+});
+
+test('a human reply sets the first response', async () => {
+  const { mcp, cases } = createCases();
+
+  await cases.recordResponse(emailInfo, { actionType: 'reply', human: true, sentMessageId: 'sent-2' });
+
+  const [responded] = mcp.find('supabase', 'query', 'first_response_at');
+  assert.deepEqual(responded.params.params, ['case-1']);
+});
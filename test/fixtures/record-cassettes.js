@@ -0,0 +1,85 @@
+/**
+ * Records the cassettes in test/fixtures/cassettes, with the MCP services
+ * mocked and a scripted model standing in for Gemini
+ * Re-run after a prompt or pipeline change alters the recorded calls:
+ *
+ *   node test/fixtures/record-cassettes.js
+ */
+
+import { rmSync } from 'fs';
+import { AIOperations } from '../../lib/ai.js';
+import { BusinessRulesEngine } from '../../lib/business-rules.js';
+import { EmailProcessor } from '../../lib/email-processor.js';
+import { GmailOperations } from '../../lib/gmail.js';
+import { MCPClientManager } from '../../lib/mcp-client.js';
+import { ScriptedProvider } from '../../lib/llm-providers.js';
+import { StripeOperations } from '../../lib/stripe.js';
+import { SupabaseOperations } from '../../lib/supabase.js';
+import { createMockMcp, loadConfig } from '../helpers/mocks.js';
+
+const HELP_QUESTION = 'test/fixtures/cassettes/help-question.json';
+
+const email = {
+  id: '18f2a3b4c5d6e7f8',
+  threadId: '18f2a3b4c5d6e7f8',
+  from: 'Jane Doe <jane.doe@gmail.com>',
+  to: 'gethelp@komplier.co',
+  subject: 'How do I export my assets?',
+  body: 'Hi, how can I download all the compliant assets of a project at once? Thanks, Jane'
+};
+
+const model = new ScriptedProvider({
+  model: loadConfig().ai.model,
+  responses: [
+    { match: 'Return the tool request JSON object', text: { toolCalls: [] } },
+    {
+      match: 'respond with JSON only',
+      text: {
+        actionType: 'help_response',
+        confidence: 0.93,
+        reasoning: 'How-to question about exporting assets, answered by the knowledge base',
+        sentiment: 0.2,
+        emotion: 'neutral',
+        urgency: 'low'
+      }
+    },
+    {
+      match: 'Generate a professional email response',
+      text: 'Hi Jane,\n\nOpen the project, select Assets and choose Download all. You will get a ZIP file with every compliant asset in the project.\n\nBest regards,\nKomplier Support Team'
+    }
+  ]
+});
+
+const mcp = createMockMcp({
+  'googleWorkspace.get_gmail_message_content': () => email,
+  'googleWorkspace.send_gmail_message': () => ({ id: '18f2a3b4c5d6e7f9' }),
+  'supabase.query': ({ sql }) => {
+    if (sql.includes('FROM users')) {
+      return { data: [{ id: 'user-1', email: 'jane.doe@gmail.com', name: 'Jane Doe', created_at: '2026-01-05T10:00:00Z', subscription_plan: 'annual', subscription_status: 'active' }] };
+    }
+  },
+  'stripe.search_customers': () => ({ data: [] })
+});
+
+rmSync(HELP_QUESTION, { force: true });
+
+const config = loadConfig({ cassette: { mode: 'record', path: HELP_QUESTION } });
+const mcpClient = new MCPClientManager(config);
+mcpClient._callTool = (service, tool, params) => mcp.callTool(service, tool, params);
+
+const gmail = new GmailOperations(mcpClient);
+const processor = new EmailProcessor({
+  config,
+  gmail,
+  supabase: new SupabaseOperations(mcpClient),
+  stripe: new StripeOperations(mcpClient),
+  ai: new AIOperations(config, { provider: model }),
+  businessRules: new BusinessRulesEngine(config),
+  knowledgeBase: { searchKnowledge: async () => [] }
+});
+
+// The same calls lib/replay-runner.js makes
+const content = await gmail.getEmailContent(email.id);
+const result = await processor.processEmail({ id: email.id, ...content });
+
+console.log(`${HELP_QUESTION}: ${result.action}`);
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GmailOperations } from '../lib/gmail.js';
+import { createMockMcp } from './helpers/mocks.js';
+
+test('email content carries the headers that mark automated mail', async () => {
+  const mcp = createMockMcp({
+    'googleWorkspace.get_gmail_message_content': () => ({
+      id: 'msg-ooo',
+      from: 'jane@example.com',
+      subject: 'Re: Your refund',
+      body: 'I am away until Monday.',
+      payload: { headers: [{ name: 'Auto-Submitted', value: 'auto-replied' }, { name: 'Received', value: 'from mx.example.com' }] }
+    })
+  });
+  const gmail = new GmailOperations(mcp);
+
+  const email = await gmail.getEmailContent('msg-ooo');
+
+  const [call] = mcp.find('googleWorkspace', 'get_gmail_message_content');
+  assert.ok(['Auto-Submitted', 'Precedence', 'List-Id'].every(name => call.params.metadata_headers.includes(name)));
+  assert.deepEqual(email.headers, { 'Auto-Submitted': 'auto-replied' });
+  assert.equal(gmail.getAutomatedReason(email), 'Auto-Submitted: auto-replied');
+});
+
+test('list mail is recognised from the returned List-Id header', async () => {
+  const mcp = createMockMcp({
+    'googleWorkspace.get_gmail_message_content': () => ({
+      id: 'msg-list',
+      from: 'news@example.com',
+      subject: 'October update',
+      body: 'News',
+      headers: { 'list-id': '<updates.example.com>' }
+    })
+  });
+  const gmail = new GmailOperations(mcp);
+
+  const email = await gmail.getEmailContent('msg-list');
+  assert.equal(gmail.getAutomatedReason(email), 'Mailing list (List-Id)');
+});
+
+function createSyncStore(historyId) {
+  const store = {
+    state: historyId ? { history_id: historyId } : null,
+    saved: [],
+    async getGmailSyncState() {
+      return store.state;
+    },
+    async saveGmailSyncState(email, id) {
+      store.saved.push(String(id));
+      store.state = { history_id: String(id) };
+    }
+  };
+  return store;
+}
+
+const added = (recordId, ...ids) => ({ id: recordId, messagesAdded: ids.map(id => ({ message: { id, threadId: `t-${id}`, labelIds: ['INBOX', 'UNREAD'] } })) });
+
+test('history sync reads every page and stores the newest history ID', async () => {
+  const pages = {
+    first: { history: [added('101', 'm1'), added('102', 'm2')], historyId: '110', nextPageToken: 'p2' },
+    p2: { history: [added('103', 'm3'), { id: '104', messagesAdded: [{ message: { id: 'sent', labelIds: ['SENT'] } }] }], historyId: '110' }
+  };
+  const mcp = createMockMcp({ 'googleWorkspace.list_gmail_history': ({ page_token }) => pages[page_token || 'first'] });
+  const store = createSyncStore('100');
+
+  const sync = await new GmailOperations(mcp).syncNewMessages(store, '109');
+
+  assert.deepEqual(sync.messages.map(message => message.id), ['m1', 'm2', 'm3']);
+  assert.equal(sync.truncated, false);
+  assert.deepEqual(store.saved, ['110']);
+});
+
+test('a truncated sync resumes after the last record it returned, without dropping messages', async () => {
+  const history = [added('101', 'm1', 'm2'), added('102', 'm3', 'm4'), added('103', 'm5')];
+  const mcp = createMockMcp({
+    'googleWorkspace.list_gmail_history': ({ start_history_id }) => ({
+      history: history.filter(record => Number(record.id) > Number(start_history_id)),
+      historyId: '110'
+    })
+  });
+  const gmail = new GmailOperations(mcp);
+  const store = createSyncStore('100');
+
+  // The second record goes past the limit; it is returned whole rather than cut
+  const first = await gmail.syncNewMessages(store, null, { maxResults: 3 });
+  assert.deepEqual(first.messages.map(message => message.id), ['m1', 'm2', 'm3', 'm4']);
+  assert.equal(first.truncated, true);
+  assert.deepEqual(store.saved, ['102']);
+
+  const second = await gmail.syncNewMessages(store, null, { maxResults: 3 });
+  assert.deepEqual(second.messages.map(message => message.id), ['m5']);
+  assert.equal(second.truncated, false);
+  assert.deepEqual(store.saved, ['102', '110']);
+});
+
+test('an expired history ID falls back to a full resync', async () => {
+  const mcp = createMockMcp({
+    'googleWorkspace.list_gmail_history': () => { throw new Error('404 Requested entity was not found'); },
+    'googleWorkspace.search_gmail_messages': () => ({ messages: [{ id: 'm9', thread_id: 't9' }] })
+  });
+  const store = createSyncStore('5');
+
+  const sync = await new GmailOperations(mcp).syncNewMessages(store, '200');
+
+  assert.equal(sync.fullResync, true);
+  assert.deepEqual(sync.messages, [{ id: 'm9', threadId: 't9' }]);
+  assert.equal(mcp.find('googleWorkspace', 'search_gmail_messages')[0].params.query, 'in:inbox newer_than:3d');
+  assert.deepEqual(store.saved, ['200']);
+});
@@ -0,0 +1,85 @@
+/**
+ * Test doubles shared by the test files
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * A fresh copy of config/agent-config.json, with `overrides` merged into
+ * its top-level sections
+ */
+export function loadConfig(overrides = {}) {
+  const config = JSON.parse(readFileSync(new URL('../../config/agent-config.json', import.meta.url), 'utf-8'));
+
+  for (const [section, values] of Object.entries(overrides)) {
+    config[section] = values && typeof values === 'object' && !Array.isArray(values)
+      ? { ...config[section], ...values }
+      : values;
+  }
+
+  return config;
+}
+
+/**
+ * In-memory stand-in for MCPClientManager
+ * `handlers` maps "service.tool" to a function of the call parameters; a
+ * handler returning undefined falls through to the defaults, which keep
+ * the processed-message ledger and support cases working
+ */
+export function createMockMcp(handlers = {}) {
+  const calls = [];
+  const ledger = new Map();
+
+  const defaults = (service, tool, params) => {
+    const sql = params?.sql || '';
+
+    if (service === 'supabase' && sql.includes('INSERT INTO processed_messages')) {
+      const [messageId, owner] = params.params;
+      const existing = ledger.get(messageId);
+      if (existing && existing.status !== 'failed') return { data: [] };
+      const row = { message_id: messageId, status: 'processing', owner, steps: existing?.steps || {}, attempts: (existing?.attempts || 0) + 1 };
+      ledger.set(messageId, row);
+      return { data: [row] };
+    }
+    if (service === 'supabase' && sql.includes('FROM processed_messages')) {
+      return { data: ledger.has(params.params[0]) ? [ledger.get(params.params[0])] : [] };
+    }
+    if (service === 'supabase' && sql.includes('UPDATE processed_messages')) {
+      const row = ledger.get(params.params[0]);
+      if (row && sql.includes('finished_at')) Object.assign(row, { status: params.params[2], outcome: JSON.parse(params.params[3]) });
+      if (row?.status === 'dead' && sql.includes("status = 'dead'")) row.status = 'failed';
+      return { data: row ? [{ message_id: row.message_id }] : [] };
+    }
+    if (service === 'supabase' && sql.includes('INSERT INTO support_cases')) {
+      return { data: [{ id: 'case-1', thread_id: params.params[1], state: 'new' }] };
+    }
+    if (service === 'supabase' && sql.includes('UPDATE support_cases')) {
+      return { data: [{ id: params.params[0], state: params.params[1] }] };
+    }
+
+    return { data: [] };
+  };
+
+  return {
+    calls,
+    ledger,
+    async callTool(service, tool, params) {
+      calls.push({ service, tool, params });
+
+      const handler = handlers[`${service}.${tool}`];
+      const result = handler ? await handler(params) : undefined;
+
+      return result === undefined ? defaults(service, tool, params) : result;
+    },
+    async healthCheck() {
+      return { googleWorkspace: true, supabase: true, stripe: true };
+    },
+    /**
+     * Calls to one service tool, optionally only SQL containing `sqlText`
+     */
+    find(service, tool, sqlText = null) {
+      return calls.filter(call => call.service === service && call.tool === tool &&
+        (!sqlText || call.params?.sql?.includes(sqlText)));
+    }
+  };
+}
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIOperations } from '../lib/ai.js';
+import { BusinessRulesEngine } from '../lib/business-rules.js';
+import { EmailProcessor } from '../lib/email-processor.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { IntentPolicies } from '../lib/intent-policies.js';
+import { StripeOperations } from '../lib/stripe.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp, loadConfig } from './helpers/mocks.js';
+
+const emailInfo = { messageId: 'msg-1', threadId: 'thread-1', from: 'jane@example.com', subject: 'Invoice question' };
+const aiAnalysis = { actionType: 'billing_question', confidence: 0.95, reasoning: 'Asks about an invoice' };
+
+/**
+ * Processor with the reply, approval, escalation and delivery steps replaced by recorders
+ */
+function createProcessor(intents, replyPassed = true) {
+  const config = loadConfig({ intents });
+  const mcp = createMockMcp();
+  const processor = new EmailProcessor({
+    config,
+    gmail: new GmailOperations(mcp),
+    supabase: new SupabaseOperations(mcp),
+    stripe: new StripeOperations(mcp),
+    ai: new AIOperations(config),
+    businessRules: new BusinessRulesEngine(config),
+    knowledgeBase: { searchKnowledge: async () => [] }
+  });
+  const steps = [];
+
+  processor.notifyIntent = async actionType => { steps.push(['notify', actionType]); };
+  processor.generateGuardedReply = async () => ({ text: 'Your invoice is attached.', passed: replyPassed, violations: [] });
+  processor.escalateIntent = async actionType => {
+    steps.push(['escalate', actionType, processor.intents.get(actionType).priority]);
+    return { action: 'escalated' };
+  };
+  processor.queueForApproval = async (type, info, analysis, userContext, { reasons }) => {
+    steps.push(['approval', type, reasons[0]]);
+    return { action: 'pending_approval' };
+  };
+  processor.holdReply = async actionType => {
+    steps.push(['hold', actionType]);
+    return { action: 'reply_held' };
+  };
+  processor.deliverCustomerEmail = async (actionType, to, subject, body) => { steps.push(['send', to, body]); };
+
+  return { processor, steps };
+}
+
+test('defaults apply to intents the config leaves out', () => {
+  const policies = new IntentPolicies({ intents: { billing_question: { priority: 'high' } } });
+
+  assert.deepEqual(policies.get('billing_question'), { automation: 'auto', priority: 'high' });
+  assert.deepEqual(policies.get('account_deletion'), { automation: 'escalate', priority: 'high' });
+  assert.equal(policies.getAutomation('cancel_subscription'), 'approval');
+});
+
+test('an unknown intent has no policy and is escalated', () => {
+  const policies = new IntentPolicies({ intents: { refund_dispute: { automation: 'auto' } } });
+
+  assert.equal(policies.get('refund_dispute'), null);
+  assert.equal(policies.getAutomation('refund_dispute'), 'escalate');
+});
+
+test('a level the intent does not support fails at startup', () => {
+  assert.throws(
+    () => new IntentPolicies({ intents: { account_deletion: { automation: 'auto' } } }),
+    { message: 'intents.account_deletion.automation must be one of: approval, escalate (got auto)' }
+  );
+  assert.throws(() => new IntentPolicies({ intents: { sales_inquiry: { automation: 'approval' } } }), /auto, escalate/);
+  assert.throws(() => new IntentPolicies({ intents: { bug_report: { automation: 'sometimes' } } }), /got sometimes/);
+});
+
+test('config cannot widen the levels an intent supports', () => {
+  assert.throws(
+    () => new IntentPolicies({ intents: { account_deletion: { automation: 'auto', levels: ['auto'] } } }),
+    /must be one of: approval, escalate/
+  );
+  assert.equal(new IntentPolicies({ intents: { bug_report: { levels: ['auto'] } } }).get('bug_report').levels, undefined);
+});
+
+test('an auto intent is answered without a human', async () => {
+  const { processor, steps } = createProcessor({ billing_question: { automation: 'auto', priority: 'medium' } });
+
+  const result = await processor.handleIntentReply('billing_question', emailInfo, aiAnalysis, {}, null);
+
+  assert.equal(result.action, 'billing_answered');
+  assert.deepEqual(steps, [['notify', 'billing_question'], ['send', 'jane@example.com', 'Your invoice is attached.']]);
+});
+
+test('an approval intent queues its drafted reply', async () => {
+  const { processor, steps } = createProcessor({ billing_question: { automation: 'approval', priority: 'medium' } });
+
+  const result = await processor.handleIntentReply('billing_question', emailInfo, aiAnalysis, {}, null);
+
+  assert.equal(result.action, 'pending_approval');
+  assert.deepEqual(steps, [['notify', 'billing_question'], ['approval', 'reply', 'Replies to billing_question need approval']]);
+});
+
+test('an escalate intent goes to a human at the policy priority without drafting a reply', async () => {
+  const { processor, steps } = createProcessor({ billing_question: { automation: 'escalate', priority: 'high' } });
+  processor.generateGuardedReply = async () => assert.fail('no reply is drafted for an escalated intent');
+
+  const result = await processor.handleIntentReply('billing_question', emailInfo, aiAnalysis, {}, null);
+
+  assert.equal(result.action, 'escalated');
+  assert.deepEqual(steps, [['notify', 'billing_question'], ['escalate', 'billing_question', 'high']]);
+});
+
+test('an auto reply that fails the guardrails is held instead of sent', async () => {
+  const { processor, steps } = createProcessor({ billing_question: { automation: 'auto', priority: 'medium' } }, false);
+
+  const result = await processor.handleIntentReply('billing_question', emailInfo, aiAnalysis, {}, null);
+
+  assert.equal(result.action, 'reply_held');
+  assert.deepEqual(steps, [['notify', 'billing_question'], ['hold', 'billing_question']]);
+});
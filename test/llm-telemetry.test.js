@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIOperations } from '../lib/ai.js';
+import { LlmTelemetry } from '../lib/llm-telemetry.js';
+import { ScriptedProvider } from '../lib/llm-providers.js';
+import { loadConfig } from './helpers/mocks.js';
+
+const pricing = {
+  'gemini-2.5-flash': { inputPerMillion: 0.30, outputPerMillion: 2.50 },
+  'local-model': { inputPerMillion: 0, outputPerMillion: 0 }
+};
+
+test('each call is priced from ai.pricing per million tokens', () => {
+  const telemetry = new LlmTelemetry({ ai: { pricing } });
+  const entry = telemetry.record({}, { purpose: 'analysis', model: 'gemini-2.5-flash', promptTokens: 2000, completionTokens: 400, latencyMs: 900 });
+
+  assert.equal(entry.costUsd, (2000 * 0.30 + 400 * 2.50) / 1e6);
+  assert.equal(telemetry.estimateCost('local-model', 5000, 5000), 0);
+});
+
+test('usage adds up tokens, latency and cost for one email only', () => {
+  const telemetry = new LlmTelemetry({ ai: { pricing } });
+  const email = {};
+  const other = {};
+
+  telemetry.record(email, { purpose: 'analysis', model: 'gemini-2.5-flash', promptTokens: 1000, completionTokens: 200, latencyMs: 800 });
+  telemetry.record(email, { purpose: 'analysis_repair', model: 'gemini-2.5-flash', promptTokens: 1200, completionTokens: 200, latencyMs: 700 });
+  telemetry.record(email, { purpose: 'response', model: 'local-model', promptTokens: 900, completionTokens: 0, estimated: true, latencyMs: 300, error: 'timeout' });
+  telemetry.record(other, { purpose: 'analysis', model: 'gemini-2.5-flash', promptTokens: 5000, completionTokens: 500, latencyMs: 100 });
+
+  assert.deepEqual(telemetry.getUsage(email), {
+    calls: 3,
+    retries: 1,
+    failures: 1,
+    unpricedCalls: 0,
+    promptTokens: 3100,
+    completionTokens: 400,
+    latencyMs: 1800,
+    costUsd: 0.00166,
+    estimatedTokens: true,
+    models: ['gemini-2.5-flash', 'local-model']
+  });
+  assert.equal(telemetry.getUsage(other).calls, 1);
+  assert.equal(telemetry.getUsage({}).calls, 0);
+});
+
+test('a model missing from the price table is counted but not priced', () => {
+  const telemetry = new LlmTelemetry({ ai: { pricing } });
+  const email = {};
+
+  telemetry.record(email, { purpose: 'analysis', model: 'unknown-model', promptTokens: 1000, completionTokens: 100, latencyMs: 50 });
+  telemetry.record(email, { purpose: 'response', model: 'gemini-2.5-flash', promptTokens: 1000, completionTokens: 0, latencyMs: 50 });
+
+  const usage = telemetry.getUsage(email);
+  assert.equal(usage.unpricedCalls, 1);
+  assert.equal(usage.costUsd, 0.0003);
+  assert.equal(usage.promptTokens, 2000);
+});
+
+test('model calls are timed and token-counted against their email', async () => {
+  const provider = new ScriptedProvider({ model: 'gemini-2.5-flash', fallback: 'Thanks for writing in!' });
+  const complete = provider.complete.bind(provider);
+  provider.complete = async (prompt, options) => {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    return complete(prompt, options);
+  };
+
+  const ai = new AIOperations(loadConfig({ ai: { pricing } }), { provider });
+  const email = { threadId: 'thread-1' };
+  const prompt = 'x'.repeat(400);
+
+  assert.equal(await ai._generate(email, 'response', prompt), 'Thanks for writing in!');
+
+  const usage = ai.getUsage(email);
+  assert.equal(usage.calls, 1);
+  // The scripted provider estimates 4 characters per token
+  assert.equal(usage.promptTokens, 100);
+  assert.equal(usage.completionTokens, Math.ceil('Thanks for writing in!'.length / 4));
+  assert.equal(usage.estimatedTokens, true);
+  assert.ok(usage.latencyMs >= 20, `latency ${usage.latencyMs}ms`);
+  assert.equal(usage.costUsd, Number(((100 * 0.30 + usage.completionTokens * 2.50) / 1e6).toFixed(6)));
+});
+
+test('a failed model call is recorded with an estimated prompt size', async () => {
+  const provider = new ScriptedProvider({ model: 'gemini-2.5-flash' });
+  const ai = new AIOperations(loadConfig({ ai: { pricing } }), { provider });
+  const email = {};
+
+  await assert.rejects(ai._generate(email, 'analysis', 'y'.repeat(801)), error => error.step === 'ai');
+
+  assert.deepEqual(
+    { ...ai.getUsage(email), latencyMs: 0 },
+    { calls: 1, retries: 0, failures: 1, unpricedCalls: 0, promptTokens: 201, completionTokens: 0, latencyMs: 0, costUsd: 0.00006, estimatedTokens: true, models: ['gemini-2.5-flash'] }
+  );
+});
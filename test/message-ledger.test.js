@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageLedger } from '../lib/message-ledger.js';
+import { RetryQueue } from '../lib/retry-queue.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp, loadConfig } from './helpers/mocks.js';
+
+function createLedger() {
+  const mcp = createMockMcp();
+  const supabase = new SupabaseOperations(mcp);
+  return { mcp, supabase, ledger: new MessageLedger({ config: loadConfig(), supabase }) };
+}
+
+test('only one invocation claims a message', async () => {
+  const { mcp, supabase } = createLedger();
+  const first = new MessageLedger({ config: loadConfig(), supabase });
+  const second = new MessageLedger({ config: loadConfig(), supabase });
+
+  assert.equal((await first.claim('msg-1')).claimed, true);
+
+  const duplicate = await second.claim('msg-1');
+  assert.equal(duplicate.claimed, false);
+  assert.equal(duplicate.entry.status, 'processing');
+  assert.equal(mcp.find('supabase', 'query', 'INSERT INTO processed_messages').length, 2);
+});
+
+test('steps are recorded and outlive a failed attempt', async () => {
+  const { mcp, ledger } = createLedger();
+
+  await ledger.claim('msg-2');
+  assert.equal(ledger.getStep('msg-2', 'refund'), null);
+
+  await ledger.recordStep('msg-2', 'refund', { refundId: 're_1', amount: 4900 });
+  assert.equal(ledger.getStep('msg-2', 'refund').refundId, 're_1');
+
+  const [stepCall] = mcp.find('supabase', 'query', 'jsonb_build_object');
+  assert.deepEqual(stepCall.params.params.slice(0, 3), ['msg-2', ledger.owner, 'refund']);
+
+  // The mock stores steps written by finish(), as the real table does
+  mcp.ledger.get('msg-2').steps = { refund: ledger.getStep('msg-2', 'refund') };
+  await ledger.finish('msg-2', 'failed', { action: 'retry_scheduled' });
+  assert.equal(mcp.ledger.get('msg-2').status, 'failed');
+
+  // A failed message can be claimed again, and knows the refund already happened
+  const retry = await ledger.claim('msg-2');
+  assert.equal(retry.claimed, true);
+  assert.equal(retry.entry.attempts, 2);
+  assert.equal(ledger.getStep('msg-2', 'refund').refundId, 're_1');
+});
+
+test('finish stores the outcome and forgets the claim', async () => {
+  const { mcp, ledger } = createLedger();
+
+  await ledger.claim('msg-3');
+  await ledger.finish('msg-3', 'completed', { action: 'help_response_sent' });
+
+  assert.deepEqual(mcp.ledger.get('msg-3').outcome, { action: 'help_response_sent' });
+  assert.equal(ledger.claims.has('msg-3'), false);
+
+  // Steps for unclaimed messages are ignored
+  await ledger.recordStep('msg-3', 'customer_reply');
+  assert.equal(mcp.find('supabase', 'query', 'jsonb_build_object').length, 0);
+});
+
+test('a ledger outage while finishing does not throw', async () => {
+  const { supabase, ledger } = createLedger();
+
+  await ledger.claim('msg-4');
+  supabase.finishProcessedMessage = async () => { throw new Error('connection reset'); };
+
+  await ledger.finish('msg-4', 'completed', {});
+  assert.equal(ledger.claims.has('msg-4'), false);
+});
+
+test('a dead-lettered message is only claimed again after a re-drive', async () => {
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql, params }) => {
+      if (sql.includes('UPDATE email_jobs')) return { data: [{ message_id: params[0], status: 'pending', attempts: 0 }] };
+    }
+  });
+  const supabase = new SupabaseOperations(mcp);
+  const ledger = new MessageLedger({ config: loadConfig(), supabase });
+
+  await ledger.claim('msg-5');
+  await ledger.finish('msg-5', 'dead', { action: 'error_escalated', deadLettered: true });
+  assert.equal((await ledger.claim('msg-5')).claimed, false);
+
+  await new RetryQueue({ config: loadConfig(), supabase }).redrive('msg-5');
+  assert.equal((await ledger.claim('msg-5')).claimed, true);
+});
+
+test('a failed message is not claimed while its retry is backing off', async () => {
+  const { mcp, ledger } = createLedger();
+
+  await ledger.claim('msg-6');
+
+  const [claim] = mcp.find('supabase', 'query', 'INSERT INTO processed_messages');
+  assert.match(claim.params.sql, /processed_messages\.status = 'failed'\s+AND NOT EXISTS \(\s+SELECT 1 FROM email_jobs[\s\S]*email_jobs\.next_attempt_at > NOW\(\)/);
+});
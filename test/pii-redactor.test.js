@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PiiRedactor } from '../lib/pii-redactor.js';
+
+test('redacts each type with stable placeholders', () => {
+  const redactor = new PiiRedactor();
+  const text = [
+    'From jane.doe@example.com, card 4242 4242 4242 4242 (ending in 4242).',
+    'Customer cus_ABC12345678, user 123e4567-e89b-12d3-a456-426614174000.',
+    'Call +1 (415) 555-0132 or write to 221 Baker Street today.',
+    'Reply to jane.doe@example.com please.'
+  ].join('\n');
+
+  assert.equal(redactor.redact(text), [
+    'From [EMAIL_1], card [CARD_1] ([CARD_2]).',
+    'Customer [ID_1], user [ID_2].',
+    'Call [PHONE_1] or write to [ADDRESS_1] today.',
+    'Reply to [EMAIL_1] please.'
+  ].join('\n'));
+  assert.deepEqual(redactor.getSummary(), { email: 1, card: 2, id: 2, phone: 1, address: 1 });
+});
+
+test('restores placeholders it issued, and leaves others alone', () => {
+  const redactor = new PiiRedactor();
+  redactor.redact('Contact jane.doe@example.com about cus_ABC12345678');
+
+  assert.equal(redactor.restore('We emailed [EMAIL_1] about [ID_1] and [EMAIL_7].'), 'We emailed jane.doe@example.com about cus_ABC12345678 and [EMAIL_7].');
+  assert.deepEqual(
+    redactor.restoreDeep({ reasoning: 'Refund for [EMAIL_1]', knowledgeUsed: ['[ID_1]'], confidence: 0.9 }),
+    { reasoning: 'Refund for jane.doe@example.com', knowledgeUsed: ['cus_ABC12345678'], confidence: 0.9 }
+  );
+});
+
+test('kept values, non-Luhn numbers and dates are not redacted', () => {
+  const redactor = new PiiRedactor({ keep: ['Support@Komplier.co'] });
+
+  assert.equal(
+    redactor.redact('Write to support@komplier.co. Order 1234 5678 9012 3456 on 2026-10-19.'),
+    'Write to support@komplier.co. Order 1234 5678 9012 3456 on 2026-10-19.'
+  );
+});
+
+test('only the configured types are redacted', () => {
+  const redactor = new PiiRedactor({ types: ['email'] });
+  assert.equal(redactor.redact('jane@example.com, cus_ABC12345678'), '[EMAIL_1], cus_ABC12345678');
+});
+
+test('custom placeholders, and values matching keepPatterns are kept', () => {
+  const redactor = new PiiRedactor({
+    keepPatterns: [/^redacted-\d+@example\.com$/],
+    placeholder: (type, n) => `<${type}-${n}>`
+  });
+  assert.equal(redactor.redact('redacted-1@example.com and jane@example.com'), 'redacted-1@example.com and <email-1>');
+});
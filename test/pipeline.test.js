@@ -0,0 +1,220 @@
+/**
+ * End to end: a refund email through EmailProcessor, with AIOperations on
+ * the scripted provider and the MCP services mocked
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIOperations } from '../lib/ai.js';
+import { BusinessRulesEngine } from '../lib/business-rules.js';
+import { EmailProcessor } from '../lib/email-processor.js';
+import { GmailOperations } from '../lib/gmail.js';
+import { StripeOperations } from '../lib/stripe.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp, loadConfig } from './helpers/mocks.js';
+
+const DAY = 24 * 60 * 60;
+const paidAt = Math.floor(Date.now() / 1000) - 3 * DAY;
+
+const scripted = {
+  model: 'scripted',
+  responses: [
+    { match: 'Return the tool request JSON object', text: { toolCalls: [] } },
+    {
+      match: 'respond with JSON only',
+      text: {
+        actionType: 'refund',
+        confidence: 0.92,
+        reasoning: 'Customer signed up this week and asks for their money back',
+        refundAmount: null,
+        sentiment: -0.2,
+        emotion: 'neutral',
+        urgency: 'medium'
+      }
+    },
+    {
+      match: 'Generate a professional email response',
+      text: 'Hi Jane,\n\nWe have refunded $29.00, the full amount of your $29.00 payment. It will show on your statement within 5-10 business days.\n\nBest regards,\nKomplier Support Team'
+    }
+  ]
+};
+
+function createProcessor(config, mcp) {
+  const gmail = new GmailOperations(mcp);
+  const supabase = new SupabaseOperations(mcp);
+  const stripe = new StripeOperations(mcp);
+
+  return new EmailProcessor({
+    config,
+    gmail,
+    supabase,
+    stripe,
+    ai: new AIOperations(config),
+    businessRules: new BusinessRulesEngine(config),
+    knowledgeBase: { searchKnowledge: async () => [] }
+  });
+}
+
+test('a refund request from a new monthly customer is refunded and confirmed', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted } });
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql }) => {
+      if (sql.includes('FROM users')) {
+        return { data: [{ id: 'user-1', email: 'jane@example.com', name: 'Jane', created_at: new Date().toISOString(), subscription_plan: 'monthly', subscription_status: 'active' }] };
+      }
+    },
+    'stripe.search_customers': () => ({ data: [{ id: 'cus_TEST0000001' }] }),
+    'stripe.list_charges': () => ({ data: [{ id: 'ch_TEST0000001', status: 'succeeded', amount: 2900, currency: 'usd', created: paidAt }] }),
+    'stripe.create_refund': ({ charge, amount }) => ({ id: 're_TEST0000001', charge, amount }),
+    'googleWorkspace.send_gmail_message': () => ({ id: 'sent-1' })
+  });
+  const processor = createProcessor(config, mcp);
+
+  const result = await processor.processEmail({
+    id: 'msg-refund-1',
+    threadId: 'thread-1',
+    from: 'Jane Doe <jane@example.com>',
+    to: 'gethelp@komplier.co',
+    subject: 'Refund please',
+    body: 'Hi, I signed up by mistake and have not used Komplier at all. Can I get my money back?'
+  });
+
+  assert.equal(result.action, 'refund_processed');
+  assert.equal(result.amount, 2900);
+  assert.equal(result.mode, 'live');
+
+  const [refund] = mcp.find('stripe', 'create_refund');
+  assert.equal(refund.params.charge, 'ch_TEST0000001');
+  assert.equal(refund.params.amount, 2900);
+
+  const [sent] = mcp.find('googleWorkspace', 'send_gmail_message');
+  assert.match(JSON.stringify(sent.params), /refunded \$29\.00/);
+
+  const entry = mcp.ledger.get('msg-refund-1');
+  assert.equal(entry.status, 'completed');
+  assert.equal(entry.outcome.action, 'refund_processed');
+
+  // Tool selection, analysis and the reply
+  assert.equal(result.llm.calls, 3);
+});
+
+test('a second delivery of the same message is skipped', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted } });
+  const mcp = createMockMcp();
+  const processor = createProcessor(config, mcp);
+
+  mcp.ledger.set('msg-dup', { message_id: 'msg-dup', status: 'completed', steps: {}, outcome: { action: 'refund_processed' } });
+
+  const result = await processor.processEmail({ id: 'msg-dup', from: 'jane@example.com', subject: 'Refund please', body: 'again' });
+
+  assert.equal(result.action, 'duplicate');
+  assert.deepEqual(result.outcome, { action: 'refund_processed' });
+  assert.equal(mcp.find('stripe', 'create_refund').length, 0);
+});
+
+test('a model outage is retried later instead of answered with a fallback', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted: { model: 'scripted', responses: [] } } });
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql }) => {
+      if (sql.includes('INSERT INTO email_jobs')) return { data: [{ message_id: 'msg-outage', status: 'pending', attempts: 1 }] };
+    }
+  });
+  const processor = createProcessor(config, mcp);
+
+  const result = await processor.processEmail({ id: 'msg-outage', from: 'jane@example.com', subject: 'Question', body: 'How do I export my assets?' });
+
+  assert.equal(result.action, 'retry_scheduled');
+  assert.equal(result.failedStep, 'ai');
+  assert.equal(mcp.find('googleWorkspace', 'send_gmail_message').length, 0);
+  assert.equal(mcp.ledger.get('msg-outage').status, 'failed');
+});
+
+test('a retry of an email another run is still processing is put back for later', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted } });
+  const mcp = createMockMcp();
+  const processor = createProcessor(config, mcp);
+
+  mcp.ledger.set('msg-busy', { message_id: 'msg-busy', status: 'processing', steps: {} });
+  assert.equal(await processor.retryJob({ message_id: 'msg-busy', email: { id: 'msg-busy', body: 'Hi' } }), 'released');
+
+  mcp.ledger.get('msg-busy').status = 'completed';
+  assert.equal(await processor.retryJob({ message_id: 'msg-busy', email: { id: 'msg-busy', body: 'Hi' } }), 'completed');
+
+  // Released back to pending, then completed
+  const updates = mcp.find('supabase', 'query', 'UPDATE email_jobs').map(call => call.params.params[2]);
+  assert.deepEqual(updates, ['pending', 'completed']);
+});
+
+test('an escalation sends the admin a summary once, even when the email is retried', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted } });
+  const mcp = createMockMcp({ 'googleWorkspace.send_gmail_message': () => ({ id: 'sent-1' }) });
+  const processor = createProcessor(config, mcp);
+
+  const emailInfo = { messageId: 'msg-escalate', threadId: 'thread-9', caseId: 'case-9', from: 'jane@example.com', subject: 'Charged twice', body: 'You charged me twice!' };
+  const analysis = { actionType: 'refund', confidence: 0.4, reasoning: 'Customer reports a duplicate charge', emotion: 'angry', sentiment: -0.8, urgency: 'high' };
+  const userContext = {
+    userFound: true,
+    user: { id: 'user-1', email: 'jane@example.com', subscription_plan: 'monthly', subscription_status: 'active' },
+    stripeCustomer: { id: 'cus_TEST0000001' },
+    subscriptions: [],
+    refundEligibility: { eligible: false, reason: 'Outside the 14 day window' }
+  };
+  const escalation = { escalate: true, reasons: ['Angry customer'], priority: 'high' };
+
+  await processor.ledger.claim('msg-escalate');
+  await processor.handleEscalation(emailInfo, analysis, escalation, userContext);
+
+  const adminEmails = () => mcp.find('googleWorkspace', 'send_gmail_message')
+    .filter(call => JSON.stringify(call.params).includes('[ESCALATED]'));
+  const [admin] = adminEmails();
+  const body = JSON.stringify(admin.params);
+  assert.match(body, /ANALYSIS: refund \(confidence 0\.4\) - Customer reports a duplicate charge/);
+  assert.match(body, /CUSTOMER: monthly plan \(active\), Stripe customer cus_TEST0000001/);
+  assert.match(body, /REFUND ELIGIBILITY: not eligible - Outside the 14 day window/);
+  assert.match(body, /GET \/cases\?id=case-9/);
+  assert.doesNotMatch(body, /user-1|"actionType"/);
+
+  // A retry of the same message doesn't escalate to the admin again
+  await processor.handleEscalation(emailInfo, analysis, escalation, userContext);
+  assert.equal(adminEmails().length, 1);
+});
+
+test('with agent tools enabled the context still loads the billing history the rules need', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted, tools: { ...loadConfig().ai.tools, enabled: true } } });
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql }) => {
+      if (sql.includes('FROM users')) {
+        return { data: [{ id: 'user-1', email: 'jane@example.com', created_at: new Date().toISOString(), subscription_plan: 'monthly', subscription_status: 'active' }] };
+      }
+    },
+    'stripe.search_customers': () => ({ data: [{ id: 'cus_TEST0000001' }] }),
+    'stripe.list_charges': () => ({ data: [{ id: 'ch_TEST0000001', status: 'succeeded', amount: 2900, currency: 'usd', created: paidAt, disputed: true }] })
+  });
+  const processor = createProcessor(config, mcp);
+
+  const userContext = await processor.buildUserContext('jane@example.com');
+
+  assert.deepEqual(userContext.billingHistory.charges.map(charge => charge.id), ['ch_TEST0000001']);
+  assert.equal(processor.businessRules.shouldEscalate({ subject: 'Hi', body: 'Hello' }, { confidence: 0.95 }, userContext).rulesFired.includes('billing-dispute'), true);
+});
+
+test('a dead-lettered email is not escalated again when it is listed again', async () => {
+  const config = loadConfig({ ai: { ...loadConfig().ai, provider: 'scripted', scripted: { model: 'scripted', responses: [] } } });
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql }) => {
+      if (sql.includes('INSERT INTO email_jobs')) return { data: [{ message_id: 'msg-dead', status: 'dead', attempts: 5 }] };
+    },
+    'googleWorkspace.send_gmail_message': () => ({ id: 'sent-1' })
+  });
+  const processor = createProcessor(config, mcp);
+  const email = { id: 'msg-dead', from: 'jane@example.com', subject: 'Question', body: 'How do I export my assets?' };
+
+  const first = await processor.processEmail(email);
+  assert.equal(first.action, 'error_escalated');
+  assert.equal(mcp.ledger.get('msg-dead').status, 'dead');
+
+  const second = await processor.processEmail(email);
+  assert.equal(second.action, 'duplicate');
+  assert.equal(second.status, 'dead');
+  assert.equal(mcp.find('googleWorkspace', 'send_gmail_message').length, 1);
+});
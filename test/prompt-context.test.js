@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PromptContextBuilder, estimateTokens } from '../lib/prompt-context.js';
+
+const userContext = {
+  userFound: true,
+  user: { name: 'Jane', email: 'jane@example.com', created_at: '2026-01-05T10:00:00Z', subscription_plan: 'monthly', subscription_status: 'active' },
+  stripeCustomer: { id: 'cus_TEST0000001' },
+  usage: { daysSinceSignup: 287, completedProjects: 2, compliantAssets: 12 },
+  refundEligibility: { eligible: false, reason: 'Account has been used' },
+  billingHistory: {
+    charges: [{ id: 'ch_1', status: 'succeeded', amount: 2900, amount_refunded: 0, currency: 'usd', created: 1790000000 }],
+    invoices: [{ id: 'in_1', status: 'open' }]
+  },
+  projects: [{ name: 'Spring campaign', status: 'completed', asset_count: 12 }]
+};
+
+const builder = (context = {}) => new PromptContextBuilder({ ai: { context } });
+
+test('the profile lists the account, eligibility, usage and billing', () => {
+  const { profile, report } = builder().build(userContext);
+
+  assert.match(profile, /^Name: Jane \(jane@example\.com\)/);
+  assert.match(profile, /Customer since: 2026-01-05 \(287 days\)/);
+  assert.match(profile, /Refund eligibility: not eligible - Account has been used/);
+  assert.match(profile, /Usage: 1 projects \(1 completed\), 12 compliant assets/);
+  assert.match(profile, /Billing: 29\.00 USD paid, 0\.00 USD refunded, 1 open invoices/);
+  assert.match(profile, /Recent projects:\n- Spring campaign \(completed, 12 assets\)/);
+  assert.deepEqual(report.dropped, []);
+  assert.equal(report.tokens.profile, estimateTokens(profile));
+});
+
+test('profile sections are dropped from the least important until the profile fits', () => {
+  const account = builder().build({ ...userContext, refundEligibility: null, billingHistory: null, projects: null }).profile;
+  const { profile, report } = builder({ profileMaxTokens: estimateTokens(account) + 20 }).build(userContext);
+
+  assert.match(profile, /Refund eligibility/);
+  assert.doesNotMatch(profile, /Recent projects|Recent charges/);
+  assert.deepEqual(report.dropped.map(item => item.section), ['recentProjects', 'recentCharges', 'billingSummary']);
+  assert.ok(report.dropped.every(item => item.type === 'profile' && item.reason === 'token budget'));
+});
+
+test('an unknown sender gets a one-line profile', () => {
+  assert.equal(builder().build({ userFound: false, email: 'new@example.com' }).profile, 'No Komplier account found for new@example.com.');
+});
+
+test('knowledge is ranked by relevance, de-duplicated and cut to the snippet limit and token budget', () => {
+  const knowledge = [
+    { category: 'faq', items: [{ path: 'export', content: 'Export assets from the project page.', relevance: 0.4 }, { path: 'logos', content: 'Use the official Apple Pay mark.', relevance: 0.9 }] },
+    { category: 'guidelines', items: [{ path: 'logos', content: 'use the official apple pay mark.', relevance: 0.8 }, { path: 'colors', content: 'Keep the mark black or white.', relevance: 0.6 }] }
+  ];
+
+  const ranked = builder().build(null, knowledge);
+  assert.deepEqual(ranked.knowledge.split('\n'), [
+    '- [faq.logos] Use the official Apple Pay mark.',
+    '- [guidelines.colors] Keep the mark black or white.',
+    '- [faq.export] Export assets from the project page.'
+  ]);
+  assert.deepEqual(ranked.report.dropped, [{ type: 'knowledge', source: 'guidelines.logos', reason: 'duplicate' }]);
+
+  const limited = builder({ maxSnippets: 1 }).build(null, knowledge);
+  assert.deepEqual(limited.report.dropped.map(item => [item.source, item.reason]), [
+    ['guidelines.logos', 'duplicate'],
+    ['guidelines.colors', 'snippet limit'],
+    ['faq.export', 'snippet limit']
+  ]);
+
+  // The profile's tokens come out of the knowledge budget
+  const { profile } = builder().build(userContext);
+  const squeezed = builder({ maxTokens: estimateTokens(profile) + 12 }).build(userContext, knowledge);
+  assert.equal(squeezed.knowledge, '- [faq.logos] Use the official Apple Pay mark.');
+  assert.deepEqual(squeezed.report.dropped.filter(item => item.reason === 'token budget').map(item => item.source), ['guidelines.colors', 'faq.export']);
+});
+
+test('long snippets are truncated', () => {
+  const { knowledge } = builder({ maxSnippetChars: 10 }).build(null, [{ category: 'faq', items: [{ content: 'A very long answer about exports', relevance: 1 }] }]);
+  assert.equal(knowledge, '- [faq] A very lon...');
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PromptTemplates } from '../lib/prompt-templates.js';
+
+const templates = (variants, tools = {}) => new PromptTemplates({
+  ai: { prompts: { directory: 'config/prompts', variants }, tools }
+});
+
+const responseVariables = {
+  from: 'jane@example.com',
+  subject: 'Refund',
+  body: 'Please refund me',
+  customerProfile: 'Name: Jane',
+  knowledge: '',
+  conversationHistory: '',
+  actionPlan: 'Reply only'
+};
+
+test('a single version serves every thread', () => {
+  const prompts = templates([{ version: 'v1', weight: 1 }]);
+
+  assert.equal(prompts.selectVersion('thread-a'), 'v1');
+  assert.equal(prompts.selectVersion(null), 'v1');
+});
+
+test('a thread keeps its version across calls and restarts', () => {
+  const variants = [{ version: 'v1', weight: 1 }, { version: 'v2', weight: 1 }];
+  const first = templates(variants);
+  const second = templates(variants);
+
+  for (let i = 0; i < 50; i++) {
+    const version = first.selectVersion(`thread-${i}`);
+    assert.equal(first.selectVersion(`thread-${i}`), version);
+    assert.equal(second.selectVersion(`thread-${i}`), version);
+  }
+});
+
+test('threads are split by weight and zero-weight versions get none', () => {
+  const prompts = templates([
+    { version: 'v1', weight: 3 },
+    { version: 'v2', weight: 1 },
+    { version: 'v3', weight: 0 }
+  ]);
+  const counts = { v1: 0, v2: 0, v3: 0 };
+
+  for (let i = 0; i < 2000; i++) {
+    counts[prompts.selectVersion(`thread-${i}`)]++;
+  }
+
+  assert.equal(counts.v3, 0);
+  assert.ok(counts.v1 > 1350 && counts.v1 < 1650, `v1 got ${counts.v1} of 2000`);
+  assert.equal(counts.v1 + counts.v2, 2000);
+});
+
+test('a config without a positive weight is refused', () => {
+  assert.throws(() => templates([{ version: 'v1', weight: 0 }]), /at least one version with a positive weight/);
+});
+
+test('a missing template fails at startup', () => {
+  // v1 predates the lookup tools and has no tools.txt
+  assert.throws(() => templates([{ version: 'v1', weight: 1 }], { enabled: true }), /ENOENT/);
+  assert.doesNotThrow(() => templates([{ version: 'v1', weight: 1 }]));
+});
+
+test('render fills every variable and treats null as empty', () => {
+  const prompts = templates([{ version: 'v1', weight: 1 }]);
+  const text = prompts.render('v1', 'response', { ...responseVariables, knowledge: null });
+
+  assert.match(text, /jane@example\.com/);
+  assert.match(text, /Please refund me/);
+  assert.doesNotMatch(text, /\{\{/);
+});
+
+test('render throws on a variable the caller did not provide', () => {
+  const prompts = templates([{ version: 'v1', weight: 1 }]);
+  const { actionPlan, ...withoutActionPlan } = responseVariables;
+
+  assert.throws(
+    () => prompts.render('v1', 'response', withoutActionPlan),
+    { message: 'Prompt template v1/response uses unknown variable: actionPlan' }
+  );
+});
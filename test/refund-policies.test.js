@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RefundPolicies } from '../lib/refund-policies.js';
+
+const DAY = 24 * 60 * 60;
+const periodStart = Date.UTC(2026, 9, 1) / 1000;
+const now = (periodStart + 15 * DAY) * 1000;
+
+const charge = { id: 'ch_1', status: 'succeeded', amount: 9900, amount_refunded: 0, currency: 'usd', created: periodStart, invoice: 'in_1' };
+const history = {
+  charges: [charge],
+  invoices: [{
+    id: 'in_1',
+    // Invoice-level period is the previous one for renewals; the line has the paid period
+    period_start: periodStart - 30 * DAY,
+    period_end: periodStart,
+    lines: { data: [{ period: { start: periodStart, end: periodStart + 30 * DAY } }] }
+  }]
+};
+
+const policies = new RefundPolicies({
+  refundAmountDefault: 50,
+  policies: {
+    default: { type: 'capped' },
+    monthly: { type: 'full' },
+    annual: { type: 'prorated' },
+    team: { type: 'percentage', percent: 25 },
+    starter: { type: 'capped', amount: 200 }
+  }
+});
+
+test('prorated refunds the unused days of the paid period', () => {
+  const breakdown = policies.calculate('annual', history, { now });
+
+  assert.equal(breakdown.policy, 'prorated');
+  assert.equal(breakdown.unusedDays, 15);
+  assert.equal(breakdown.periodDays, 30);
+  assert.equal(breakdown.amount, 4950);
+  assert.equal(breakdown.chargeId, 'ch_1');
+  assert.deepEqual(breakdown.lines, [
+    'Amount paid: $99.00 on 2026-10-01',
+    'Billing period: 2026-10-01 to 2026-10-31, 15 of 30 days unused',
+    'Refund policy: prorated, $99.00 x 15/30 = $49.50',
+    'Refund: $49.50'
+  ]);
+});
+
+test('prorated without a billing period is a problem, not a guess', () => {
+  const breakdown = policies.calculate('annual', { charges: [charge], invoices: [] }, { now });
+
+  assert.equal(breakdown.amount, 0);
+  assert.equal(breakdown.problem, 'Billing period for the payment not found');
+});
+
+test('capped uses the policy amount or refundAmountDefault, never more than was paid', () => {
+  assert.equal(policies.calculate('unknown-plan', history).amount, 5000);
+  assert.equal(policies.calculate('unknown-plan', history).cap, 5000);
+
+  const starter = policies.calculate('starter', history);
+  assert.equal(starter.cap, 20000);
+  assert.equal(starter.amount, 9900);
+});
+
+test('full and percentage policies', () => {
+  assert.equal(policies.calculate('monthly', history).amount, 9900);
+  assert.equal(policies.calculate('team', history).amount, 2475);
+});
+
+test('refunds are limited to what is left on the charge and what was asked for', () => {
+  const partial = { charges: [{ ...charge, amount_refunded: 9000 }], invoices: history.invoices };
+  const breakdown = policies.calculate('monthly', partial);
+  assert.equal(breakdown.amount, 900);
+  assert.ok(breakdown.lines.includes('Already refunded: $90.00'));
+
+  assert.equal(policies.calculate('monthly', history, { requestedAmount: 1000 }).amount, 1000);
+});
+
+test('no refundable charge is reported as a problem', () => {
+  const breakdown = policies.calculate('monthly', { charges: [{ ...charge, refunded: true }], invoices: [] });
+
+  assert.equal(breakdown.amount, 0);
+  assert.equal(breakdown.problem, 'No refundable payment found');
+});
+
+test('validate rejects unknown types and bad settings', () => {
+  const invalid = new RefundPolicies({
+    policies: { a: { type: 'half' }, b: { type: 'percentage', percent: 150 }, c: { type: 'capped', amount: -5 } }
+  });
+
+  assert.deepEqual(invalid.validate(), [
+    'businessRules.refunds.policies.a.type must be one of: full, prorated, percentage, capped',
+    'businessRules.refunds.policies.b.percent must be a number between 0 and 100',
+    'businessRules.refunds.policies.c.amount must be a positive number'
+  ]);
+  assert.deepEqual(policies.validate(), []);
+});
@@ -0,0 +1,76 @@
+/**
+ * Cassette record/replay: the recorded fixture replays offline, misses fail
+ * the run, and recordings are scrubbed of customer data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CassetteScrubber } from '../lib/cassette.js';
+import { EmailProcessor } from '../lib/email-processor.js';
+import { replayCassette } from '../lib/replay-runner.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp, loadConfig } from './helpers/mocks.js';
+
+const HELP_QUESTION = 'test/fixtures/cassettes/help-question.json';
+
+test('the recorded help question replays without any live calls', async () => {
+  const { results, misses, unused } = await replayCassette(loadConfig(), HELP_QUESTION);
+
+  assert.deepEqual(results.map(({ messageId, result, error }) => [messageId, result?.action, error]), [
+    ['18f2a3b4c5d6e7f8', 'help_provided', null]
+  ]);
+  assert.deepEqual(misses, []);
+  assert.deepEqual(unused, []);
+});
+
+test('a miss fails the replay even when the step that made the call carries on', async () => {
+  const cassette = JSON.parse(readFileSync(HELP_QUESTION, 'utf-8'));
+  // Activity logging swallows its errors, so this miss would otherwise go unnoticed
+  const index = cassette.interactions.findIndex(entry => entry.request.parameters?.params?.[0] === 'help_provided');
+  cassette.interactions.splice(index, 1);
+
+  const path = join(mkdtempSync(join(tmpdir(), 'cassette-')), 'missing-activity.json');
+  writeFileSync(path, JSON.stringify(cassette));
+
+  const { results, misses } = await replayCassette(loadConfig(), path);
+
+  assert.equal(results[0].result, null);
+  assert.match(results[0].error, /Replay left the recorded path: no recorded match for supabase\.query/);
+  assert.ok(misses.some(miss => miss.request.parameters.params[0] === 'help_provided'));
+});
+
+test('a pipeline that throws still finishes its ledger claim', async () => {
+  const config = loadConfig();
+  const mcp = createMockMcp();
+  const processor = new EmailProcessor({ config, supabase: new SupabaseOperations(mcp) });
+
+  const miss = Object.assign(new Error('Cassette has no recorded mcp call'), { code: 'CASSETTE_MISS' });
+  processor.runPipeline = async () => { throw miss; };
+
+  await assert.rejects(processor.processEmail({ id: 'msg-miss', from: 'jane@example.com' }), miss);
+
+  const entry = mcp.ledger.get('msg-miss');
+  assert.equal(entry.status, 'failed');
+  assert.deepEqual(entry.outcome, { action: 'error', error: miss.message, code: 'CASSETTE_MISS' });
+});
+
+test('recordings are scrubbed of emails, names and phone numbers', () => {
+  const scrubber = new CassetteScrubber({ keep: ['gethelp@komplier.co'] });
+  const recorded = [
+    { from: 'Jane Doe <jane.doe@gmail.com>', to: 'gethelp@komplier.co', body: 'Call me on +1 (415) 555-0132. Jane' },
+    { data: [{ id: '123e4567-e89b-12d3-a456-426614174000', name: 'Bob Stone', email: 'bob@example.org' }, { name: 'Spring campaign' }] }
+  ];
+  recorded.forEach(value => scrubber.collectNames(value));
+
+  const scrubbed = scrubber.scrub(recorded);
+  assert.deepEqual(scrubbed, [
+    { from: 'Customer 1 <redacted-1@example.com>', to: 'gethelp@komplier.co', body: 'Call me on [PHONE_1]. Customer 1' },
+    { data: [{ id: '123e4567-e89b-12d3-a456-426614174000', name: 'Customer 2', email: 'redacted-2@example.com' }, { name: 'Spring campaign' }] }
+  ]);
+
+  // Replayed requests carry scrubbed values, which a fresh scrubber leaves alone
+  assert.deepEqual(new CassetteScrubber({ keep: ['gethelp@komplier.co'] }).scrub(scrubbed), scrubbed);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplyGuardrails, detectLanguage } from '../lib/reply-guardrails.js';
+import { loadConfig } from './helpers/mocks.js';
+
+const guardrails = new ReplyGuardrails(loadConfig());
+const SIGNATURE = '\n\nBest regards,\nKomplier Support Team';
+
+const rules = result => result.violations.map(violation => violation.rule);
+
+test('a clean reply passes', () => {
+  const result = guardrails.check(`Hi there,\n\nYou can manage your plan at https://komplier.co/account.${SIGNATURE}`);
+  assert.deepEqual(result, { passed: true, violations: [] });
+});
+
+test('refund claims must match what was processed', () => {
+  assert.deepEqual(rules(guardrails.check(`We have processed your refund.${SIGNATURE}`)), ['refund_promise']);
+
+  const wrongAmount = guardrails.check(`We have refunded $49.00 to your card.${SIGNATURE}`, { refundProcessed: true, refundAmount: 4900 + 100 });
+  assert.deepEqual(rules(wrongAmount), ['refund_amount']);
+  assert.match(wrongAmount.violations[0].message, /\$49\.00 but the refund was \$50\.00/);
+});
+
+test('a refund breakdown must be shown, and its figures may be quoted', () => {
+  const refundBreakdown = {
+    amountPaid: 9900,
+    lines: ['Amount paid: $99.00 on 2026-10-01', 'Refund policy: prorated, $99.00 x 15/30 = $49.50', 'Refund: $49.50']
+  };
+  const context = { refundProcessed: true, refundAmount: 4950, refundBreakdown };
+
+  assert.ok(guardrails.check(`We refunded $49.50 of your $99.00 payment (15 of 30 days unused).${SIGNATURE}`, context).passed);
+  assert.deepEqual(rules(guardrails.check(`We refunded $49.50.${SIGNATURE}`, context)), ['refund_breakdown']);
+});
+
+test('links, markdown, placeholders, signature and internal data', () => {
+  assert.deepEqual(rules(guardrails.check(`Download it from https://evil.example.com/file${SIGNATURE}`)), ['url']);
+  assert.deepEqual(rules(guardrails.check(`This is **important**.${SIGNATURE}`)), ['markdown']);
+  assert.deepEqual(rules(guardrails.check(`Hi [Your Name], we emailed [EMAIL_1].${SIGNATURE}`)), ['placeholder']);
+  assert.deepEqual(rules(guardrails.check('Thanks for writing in.')), ['signature']);
+  assert.deepEqual(rules(guardrails.check(`Your customer cus_ABC12345678 is active.${SIGNATURE}`)), ['internal_data']);
+});
+
+test('the reply must be in the customer\'s language', () => {
+  const customerText = 'Hola, no puedo acceder a mi cuenta y necesito ayuda con la factura por favor, gracias';
+  const reply = `Hi there, thanks for your email. We have reset your account and you should be able to log in with the link we sent you.${SIGNATURE}`;
+
+  assert.equal(detectLanguage(customerText), 'es');
+  assert.deepEqual(rules(guardrails.check(reply, { customerText })), ['language']);
+});
+
+test('disabled guardrails pass everything', () => {
+  const disabled = new ReplyGuardrails(loadConfig({ guardrails: { enabled: false } }));
+  assert.ok(disabled.check('**refund processed** [EMAIL_1]').passed);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplyLimiter } from '../lib/reply-limiter.js';
+import { SupabaseOperations } from '../lib/supabase.js';
+import { createMockMcp } from './helpers/mocks.js';
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+/**
+ * Limiter over an in-memory list of automated replies ({ recipient, timestamp })
+ */
+function createLimiter(replies, loopProtection = {}) {
+  const mcp = createMockMcp({
+    'supabase.query': ({ sql, params: [recipient, since] }) => {
+      if (!sql.includes('FROM agent_activity')) return undefined;
+      const count = replies.filter(reply => reply.recipient === recipient && reply.timestamp >= since).length;
+      return { data: [{ count: String(count) }] };
+    }
+  });
+  const limiter = new ReplyLimiter({ config: { loopProtection }, supabase: new SupabaseOperations(mcp) });
+  return { limiter, mcp };
+}
+
+const repliesTo = (recipient, count, minutes) => Array.from({ length: count }, () => ({ recipient, timestamp: minutesAgo(minutes) }));
+
+test('a recipient is limited once they reach the cap', async () => {
+  const { limiter } = createLimiter(repliesTo('bot@example.com', 3, 10), { maxAutoRepliesPerRecipient: 3, windowMinutes: 60 });
+
+  assert.deepEqual(await limiter.check('Bot@Example.com'), { limited: true, count: 3, max: 3, windowMinutes: 60 });
+  assert.deepEqual(await limiter.check('jane@example.com'), { limited: false, count: 0, max: 3, windowMinutes: 60 });
+});
+
+test('only replies inside the window count', async () => {
+  const replies = [...repliesTo('bot@example.com', 2, 30), ...repliesTo('bot@example.com', 4, 90)];
+  const { limiter, mcp } = createLimiter(replies, { maxAutoRepliesPerRecipient: 3, windowMinutes: 60 });
+
+  const result = await limiter.check('bot@example.com');
+  assert.equal(result.limited, false);
+  assert.equal(result.count, 2);
+
+  const [call] = mcp.find('supabase', 'query', 'FROM agent_activity');
+  assert.match(call.params.sql, /'human'\)::boolean, false\) = false/);
+  assert.ok(Math.abs(Date.parse(call.params.params[1]) - Date.parse(minutesAgo(60))) < 5000);
+});
+
+test('the cap defaults to 5 replies a day', async () => {
+  const { limiter } = createLimiter([...repliesTo('bot@example.com', 4, 60), ...repliesTo('bot@example.com', 5, 1500)]);
+  assert.deepEqual(await limiter.check('bot@example.com'), { limited: false, count: 4, max: 5, windowMinutes: 1440 });
+
+  const { limiter: atCap } = createLimiter(repliesTo('bot@example.com', 5, 1430));
+  assert.equal((await atCap.check('bot@example.com')).limited, true);
+});
+
+test('a disabled limiter or missing recipient never queries', async () => {
+  const { limiter: disabled, mcp } = createLimiter(repliesTo('bot@example.com', 10, 1), { enabled: false });
+  assert.equal((await disabled.check('bot@example.com')).limited, false);
+
+  const { limiter } = createLimiter([]);
+  assert.equal((await limiter.check(null)).limited, false);
+  assert.equal(mcp.calls.length, 0);
+});
+
+test('a failing counter allows the reply', async () => {
+  const mcp = createMockMcp({ 'supabase.query': () => { throw new Error('database unavailable'); } });
+  const limiter = new ReplyLimiter({ config: {}, supabase: new SupabaseOperations(mcp) });
+
+  assert.deepEqual(await limiter.check('bot@example.com'), { limited: false, count: null, max: 5, windowMinutes: 1440 });
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRuleSet, evaluateCondition, validateRuleSet, describeCondition, highestPriority } from '../lib/rules-dsl.js';
+
+const facts = {
+  email: { text: 'I was charged twice, this is urgent' },
+  analysis: { confidence: 0.9, sentiment: -0.7, emotion: 'frustrated' },
+  customer: { plan: 'monthly', daysSinceSignup: 12, completedProjects: 0 }
+};
+
+test('leaf operators compare facts by dot path', () => {
+  assert.equal(evaluateCondition({ field: 'customer.daysSinceSignup', lte: 30 }, facts), true);
+  assert.equal(evaluateCondition({ field: 'analysis.sentiment', gt: 0 }, facts), false);
+  assert.equal(evaluateCondition({ field: 'analysis.emotion', in: ['angry', 'frustrated'] }, facts), true);
+  assert.equal(evaluateCondition({ field: 'customer.plan', notIn: ['annual'] }, facts), true);
+  assert.equal(evaluateCondition({ field: 'email.text', contains: 'URGENT' }, facts), true);
+  assert.equal(evaluateCondition({ field: 'email.text', matches: 'charged (twice|two times)' }, facts), true);
+  assert.equal(evaluateCondition({ field: 'customer.missing', exists: false }, facts), true);
+  // Numeric comparisons never hold for missing values
+  assert.equal(evaluateCondition({ field: 'customer.missing', lt: 5 }, facts), false);
+});
+
+test('all, any and not combine conditions', () => {
+  assert.equal(evaluateCondition({
+    all: [
+      { field: 'customer.daysSinceSignup', lte: 30 },
+      { any: [{ field: 'customer.plan', eq: 'annual' }, { field: 'customer.completedProjects', eq: 0 }] },
+      { not: { field: 'analysis.emotion', eq: 'angry' } }
+    ]
+  }, facts), true);
+});
+
+test('containsAny and matches report what they found', () => {
+  const matched = [];
+  evaluateCondition({ field: 'email.text', containsAny: ['legal', 'urgent', 'twice'] }, facts, matched);
+  assert.deepEqual(matched, ['urgent', 'twice']);
+});
+
+test('the most restrictive outcome and highest priority win', () => {
+  const result = evaluateRuleSet({
+    rules: [
+      { id: 'new-account', when: { field: 'customer.daysSinceSignup', lte: 30 }, then: { outcome: 'auto_approve' } },
+      { id: 'keywords', when: { field: 'email.text', containsAny: ['urgent'] }, then: { outcome: 'escalate', priority: 'high', reason: 'Found {{matched}}' } },
+      { id: 'negative', when: { field: 'analysis.sentiment', lt: -0.5 }, then: { priority: 'medium' } },
+      { id: 'unused', when: { field: 'customer.plan', eq: 'annual' }, then: { outcome: 'require_approval' } }
+    ],
+    default: { outcome: 'require_approval', priority: 'low' }
+  }, facts);
+
+  assert.equal(result.outcome, 'escalate');
+  assert.equal(result.priority, 'high');
+  assert.deepEqual(result.fired, ['new-account', 'keywords', 'negative']);
+  assert.deepEqual(result.reasons, ['new-account', 'Found urgent', 'negative']);
+  assert.deepEqual(result.trace.map(entry => [entry.rule, entry.fired]), [
+    ['new-account', true], ['keywords', true], ['negative', true], ['unused', false]
+  ]);
+});
+
+test('the default applies when no rule fires', () => {
+  const result = evaluateRuleSet({
+    rules: [{ id: 'annual', when: { field: 'customer.plan', eq: 'annual' }, then: { outcome: 'auto_approve' } }],
+    default: { outcome: 'require_approval', priority: 'low', reason: 'Plan {{customer.plan}} needs review' }
+  }, facts);
+
+  assert.equal(result.outcome, 'require_approval');
+  assert.equal(result.priority, 'low');
+  assert.deepEqual(result.reasons, ['Plan monthly needs review']);
+  assert.deepEqual(result.fired, []);
+});
+
+test('validateRuleSet reports every problem with its path', () => {
+  const errors = validateRuleSet({
+    rules: [
+      { id: 'a', when: { field: 'billing.total', gt: 'ten' }, then: { outcome: 'approve' } },
+      { id: 'a', when: { all: [{ field: 'email.text', eq: 'x', ne: 'y' }] }, then: {} },
+      { id: 'c', when: { field: 'email.text', matches: '(' }, then: { priority: 'urgent' } }
+    ]
+  }, 'businessRules.refunds');
+
+  assert.deepEqual(errors, [
+    'businessRules.refunds.rules[0].when.field must start with one of: email, analysis, customer, refund, escalation',
+    'businessRules.refunds.rules[0].when.gt must be a number',
+    'businessRules.refunds.rules[0].then.outcome must be one of: auto_approve, require_approval, escalate',
+    'businessRules.refunds.rules[1].id "a" is used twice',
+    'businessRules.refunds.rules[1].when.all[0] needs exactly one operator (eq, ne, lt, lte, gt, gte, in, notIn, contains, containsAny, matches, exists)',
+    'businessRules.refunds.rules[1].then needs an outcome or a priority',
+    `businessRules.refunds.rules[2].when.matches is not a valid regex: ${regexError('(')}`,
+    'businessRules.refunds.rules[2].then.priority must be one of: low, medium, high, critical'
+  ]);
+  assert.deepEqual(validateRuleSet({}, 'businessRules.priority'), ['businessRules.priority.rules must be a list of rules']);
+});
+
+test('describeCondition and highestPriority', () => {
+  assert.equal(
+    describeCondition({ all: [{ field: 'customer.daysSinceSignup', lte: 30 }, { field: 'email.text', containsAny: ['legal', 'ceo'] }] }),
+    'customer days since signup <= 30 and email text mentions legal, ceo'
+  );
+  assert.equal(highestPriority([null, 'medium', 'critical', 'high']), 'critical');
+  assert.equal(highestPriority([null]), null);
+});
+
+function regexError(pattern) {
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message;
+  }
+}
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GmailWatchManager } from '../lib/watch-manager.js';
+import { loadConfig } from './helpers/mocks.js';
+
+const HOUR = 3600000;
+
+/**
+ * Watch manager over in-memory watch and sync state; `setupWatch` answers the renewal
+ */
+function createManager({ watch = null, syncState = null, setupWatch = async () => ({ success: true, result: { historyId: '500', expiration: String(Date.now() + 7 * 24 * HOUR) } }) } = {}) {
+  const alerts = [];
+  const calls = { setupWatch: 0, savedSync: [] };
+  const store = { watch, syncState };
+
+  const supabase = {
+    async getGmailWatchState() {
+      return store.watch;
+    },
+    async saveGmailWatchState(email, { historyId, expiration, lastError = null, consecutiveFailures = 0 }) {
+      store.watch = {
+        ...store.watch,
+        ...(historyId ? { history_id: historyId, expiration } : {}),
+        last_error: lastError,
+        consecutive_failures: consecutiveFailures
+      };
+      return store.watch;
+    },
+    async getGmailSyncState() {
+      return store.syncState;
+    },
+    async saveGmailSyncState(email, historyId) {
+      calls.savedSync.push(historyId);
+      store.syncState = { history_id: historyId };
+    }
+  };
+  const gmail = {
+    userEmail: 'zach@komplier.co',
+    async setupWatch(...args) {
+      calls.setupWatch++;
+      return await setupWatch(...args);
+    }
+  };
+
+  const manager = new GmailWatchManager({
+    config: loadConfig(),
+    gmail,
+    supabase,
+    alertAdmin: async (message, severity) => alerts.push({ message, severity })
+  });
+
+  return { manager, store, calls, alerts };
+}
+
+test('a watch is renewed when missing or inside the renewal window', () => {
+  const { manager } = createManager();
+
+  assert.equal(manager._needsRenewal(null), true);
+  assert.equal(manager._needsRenewal({ expiration: String(Date.now() + 23 * HOUR) }), true);
+  assert.equal(manager._needsRenewal({ expiration: String(Date.now() + 25 * HOUR) }), false);
+});
+
+test('a valid watch outside the window is left alone', async () => {
+  const { manager, calls } = createManager({ watch: { history_id: '100', expiration: String(Date.now() + 48 * HOUR) } });
+
+  const status = await manager.ensureWatch();
+
+  assert.equal(calls.setupWatch, 0);
+  assert.equal(status.healthy, true);
+  assert.equal(status.needsRenewal, false);
+});
+
+test('the first watch seeds the history sync cursor, later renewals keep it', async () => {
+  const first = createManager();
+
+  const status = await first.manager.ensureWatch();
+  assert.equal(first.calls.setupWatch, 1);
+  assert.equal(status.healthy, true);
+  assert.equal(status.historyId, '500');
+  assert.deepEqual(first.calls.savedSync, ['500']);
+
+  const renewal = createManager({ watch: { history_id: '100', expiration: String(Date.now() + HOUR) }, syncState: { history_id: '450' } });
+  await renewal.manager.ensureWatch();
+  assert.equal(renewal.calls.setupWatch, 1);
+  assert.deepEqual(renewal.calls.savedSync, []);
+});
+
+test('a failed renewal alerts the admin, critically once the watch has expired', async () => {
+  const setupWatch = async () => ({ success: false, error: 'Topic not found' });
+
+  const expiring = createManager({ watch: { history_id: '100', expiration: String(Date.now() + HOUR), consecutive_failures: 1 }, setupWatch });
+  const status = await expiring.manager.ensureWatch();
+  assert.equal(status.consecutiveFailures, 2);
+  assert.equal(status.lastError, 'Topic not found');
+  assert.equal(expiring.alerts.length, 1);
+  assert.equal(expiring.alerts[0].severity, 'high');
+  assert.match(expiring.alerts[0].message, /attempt 2\): Topic not found\. Current watch expires at/);
+
+  const expired = createManager({ watch: { history_id: '100', expiration: String(Date.now() - HOUR) }, setupWatch });
+  await expired.manager.ensureWatch();
+  assert.equal(expired.alerts[0].severity, 'critical');
+  assert.match(expired.alerts[0].message, /no active watch/);
+});
+
+test('an error while checking the watch alerts the admin', async () => {
+  const { manager, alerts } = createManager({ setupWatch: async () => { throw new Error('MCP server down'); } });
+
+  const status = await manager.ensureWatch();
+
+  assert.deepEqual(status, { healthy: false, emailAddress: loadConfig().email.supportInbox, error: 'MCP server down' });
+  assert.equal(alerts[0].severity, 'high');
+  assert.match(alerts[0].message, /MCP server down/);
+});